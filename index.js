@@ -1,28 +1,97 @@
-import axios from "axios";
 import fs from "fs";
 import ffmpeg from "fluent-ffmpeg";
 import dotenv from "dotenv";
 import path from "path";
-import OpenAI from "openai";
-import * as PlayHT from "playht";
-import puppeteer from "puppeteer";
-import { google } from "googleapis";
-import { exec } from "child_process";
+import { parseArgs } from "util";
+import { loadConfig, preflight } from "./src/config.js";
+import { closeBrowser, configureBrowser } from "./src/browser.js";
+import { pickBackground } from "./src/backgrounds.js";
+import { probeDuration } from "./src/media.js";
+import { musicFilters, pickTrack } from "./src/music.js";
+import {
+  coverPath,
+  generateThumbnails,
+  thumbnailPath,
+} from "./src/thumbnails.js";
+import { checkRules, classifyPost } from "./src/filters.js";
+import { getPost, getSubreddit, listPosts } from "./src/sources/index.js";
+import { fetchVerdict, verdictText } from "./src/verdict.js";
+import { languageProfile, localizedId } from "./src/languages.js";
+import { reviewDecision, reviewSegment } from "./src/review.js";
+import { NotFoundError, startDashboard } from "./src/dashboard.js";
+import { runDaemon } from "./src/daemon.js";
+import { nextPlaylistRelease, releasePlaylists } from "./src/series.js";
+import { cronDue, nextCronTime, parseCron } from "./src/cron.js";
+import { acquireLock, releaseLock } from "./src/lock.js";
+import {
+  lastUploadTime,
+  nextUploadTime,
+  uploadAllowance,
+  uploadsToday,
+} from "./src/schedule.js";
+import { YoutubeAuthError, YoutubeQuotaError } from "./src/youtube.js";
+import {
+  PUBLISHERS,
+  enabledPublishers,
+  publishVideo,
+  stopsQueue,
+} from "./src/publishers/index.js";
+import { synthesizeSpeech } from "./src/tts/index.js";
+import {
+  CancelledError,
+  cancelPipeline,
+  configurePipeline,
+  isCancelled,
+  isPartialFile,
+  onCancel,
+  configureReport,
+  printSummary,
+  recordOutcome,
+  removePartialFiles,
+  runReport,
+  runTask,
+  saveReport,
+  writeAtomically,
+} from "./src/pipeline.js";
+import {
+  LlmOutputError,
+  generateText,
+  wordRetention,
+} from "./src/llm/index.js";
+import { writeCaptions } from "./src/captions.js";
+import {
+  VIDEO_CARD_WIDTH,
+  planCards,
+  planVerdictCards,
+  renderCards,
+  timeCards,
+} from "./src/cards.js";
+import {
+  discardNarration,
+  discardRenders,
+  discardVersions,
+  getPostRecord,
+  getPostRecords,
+  getStage,
+  getVersions,
+  isStageDone,
+  markStage,
+  runStage,
+  trackPost,
+} from "./src/ledger.js";
+import {
+  countWords,
+  frameSegment,
+  partLabel,
+  planSegments,
+  speakingRate,
+  voiceKey,
+} from "./src/segments.js";
+import { configureLogging, log, withLogContext } from "./src/log.js";
 
 dotenv.config();
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-PlayHT.init({
-  userId: process.env.PLAYHT_USER_ID,
-  apiKey: process.env.PLAYHT_API_KEY,
-});
-
-const subreddits = [
-  { name: "AmItheAsshole", sort: "top.json?t=day" },
-  { name: "relationship_advice", sort: "top.json?t=day" },
-  { name: "relationshipadvice", sort: "top.json?t=day" },
-];
-const backgroundVideoPath = "./videoplayback.mp4";
+const SHORT_TITLE_MAX_LENGTH = 20;
 const cacheFilePath = "./shortTitleCache.json";
 let shortTitleCache = fs.existsSync(cacheFilePath)
   ? JSON.parse(fs.readFileSync(cacheFilePath, "utf8"))
@@ -43,664 +112,2152 @@ const ensureDir = (filePath) => {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 };
 
-const shortenTitle = async (title) => {
-  const prompt = `Shorten the following title while retaining its meaning and ensure that it is no more than 20 characters long. Return only the shortened title without any additional commentary and it must be in english: "${title}"`;
-  console.log(`Shortening title: "${title}"`);
-  try {
-    const response = await openai.responses.create({
-      model: "gpt-4o-mini",
-      input: [{ role: "user", content: prompt }],
-      text: { format: { type: "text" } },
-      reasoning: {},
-      tools: [],
-      temperature: 1,
-      max_output_tokens: 2048,
-      top_p: 1,
-      store: true,
-    });
-    console.log(`Title shortened to: "${response.output_text}"`);
-    return response.output_text;
-  } catch (error) {
-    console.error("Error shortening title:", error.message);
-    return title;
-  }
+const shortenTitle = async (title, llm, language) => {
+  log.info(`Shortening title: "${title}"`);
+  const shortTitle = await runTask("llm", () =>
+    generateText(
+      llm,
+      "shorten-title",
+      { title, maxLength: SHORT_TITLE_MAX_LENGTH, language },
+      {
+        validate: (output) => {
+          const cleaned = output.replace(/^["'\s]+|["'\s]+$/g, "");
+          if (!cleaned || cleaned.length > SHORT_TITLE_MAX_LENGTH) {
+            throw new LlmOutputError(
+              "shorten-title",
+              `"${cleaned}" is not 1-${SHORT_TITLE_MAX_LENGTH} characters long`
+            );
+          }
+          return cleaned;
+        },
+      }
+    )
+  );
+  log.info(`Title shortened to: "${shortTitle}"`);
+  return shortTitle;
 };
 
-const getShortTitle = async (postTitle) => {
+const getShortTitle = async (postTitle, llm, language) => {
   if (shortTitleCache[postTitle]) return shortTitleCache[postTitle];
-  const shortTitle = await shortenTitle(postTitle);
+  const shortTitle = await shortenTitle(postTitle, llm, language);
   shortTitleCache[postTitle] = shortTitle;
   saveCache();
   return shortTitle;
 };
 
-const fetchRedditPosts = async (subreddit, sort) => {
-  const url = `https://www.reddit.com/r/${subreddit}/${sort}`;
-  console.log(`Fetching posts from URL: ${url}`);
-  try {
-    const response = await axios.get(url);
-    console.log(
-      `Fetched ${response.data.data.children.length} posts from r/${subreddit}`
-    );
-    return response.data.data.children.map((child) => child.data);
-  } catch (error) {
-    console.error(`Error fetching posts from r/${subreddit}:`, error.message);
-    return [];
-  }
+/**
+ * Fixes spelling and punctuation. The model is only allowed to touch the
+ * wording lightly, so an answer that drops too many of the original words
+ * (a summary, a refusal, a truncated reply) is rejected and retried.
+ */
+const correctText = async (text, llm, language) => {
+  log.info("Correcting text...");
+  const correctedText = await runTask("llm", () =>
+    generateText(
+      llm,
+      "correct-text",
+      { text, language },
+      {
+        validate: (output) => {
+          const retention = wordRetention(text, output);
+          if (retention < llm.minWordRetention) {
+            throw new LlmOutputError(
+              "correct-text",
+              `only ${Math.round(retention * 100)}% of the original words kept`
+            );
+          }
+          return output;
+        },
+      }
+    )
+  );
+  log.info("Text correction complete.");
+  return correctedText;
 };
 
-const correctText = async (text) => {
-  const prompt = `Correct the following text for spelling and grammar without changing any of the actual words, slang, abbreviations, or shorthand. Also add periods, punctuation, and new lines where needed to make it follow normal human speech patterns. Return only the corrected text without any commentary and ensure its in english:\n\n${text}`;
-  console.log("Correcting text...");
-  try {
-    const response = await openai.responses.create({
-      model: "gpt-4o-mini",
-      input: [
-        { role: "user", content: [{ type: "input_text", text: prompt }] },
-      ],
-      text: { format: { type: "text" } },
-      reasoning: {},
-      tools: [],
-      temperature: 1,
-      max_output_tokens: 2048,
-      top_p: 1,
-      store: true,
-    });
-    console.log("Text correction complete.");
-    return response.output_text;
-  } catch (error) {
-    console.error("Error in GPT text correction:", error.message);
-    return text;
-  }
+const splitParagraphs = (text) =>
+  text
+    .split(/\n+/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+
+/**
+ * Translates narration into the profile's language. Cards break at
+ * paragraphs and the first one is the title, so a translation that merges
+ * or splits paragraphs is rejected and retried.
+ */
+const translateText = async (text, profile) => {
+  const paragraphs = splitParagraphs(text).length;
+  log.info(`Translating text into ${profile.language.name}...`);
+  const translatedText = await runTask("llm", () =>
+    generateText(
+      profile.llm,
+      "translate",
+      { text, language: profile.language.name, paragraphs },
+      {
+        validate: (output) => {
+          const count = splitParagraphs(output).length;
+          if (count !== paragraphs) {
+            throw new LlmOutputError(
+              "translate",
+              `${count} paragraphs instead of ${paragraphs}`
+            );
+          }
+          return output;
+        },
+      }
+    )
+  );
+  log.info(`Translation into ${profile.language.name} complete.`);
+  return translatedText;
+};
+
+// The verdict segment is translated as the text it is narrated from, one
+// paragraph for the intro and one per comment.
+const translateVerdict = async (verdict, profile) => {
+  const [intro, ...bodies] = splitParagraphs(
+    await translateText(verdictText(verdict), profile)
+  );
+  return {
+    ...verdict,
+    intro,
+    comments: verdict.comments.map((comment, i) => ({
+      ...comment,
+      body: bodies[i],
+    })),
+  };
 };
 
 /**
  * Generates TTS audio for a given text segment.
  * The output file name is tagged with a part index.
+ * With `overwrite` a leftover file from a failed attempt is replaced.
  */
 const generateSegmentSpeech = async (
   segmentText,
   shortTitle,
   subredditFolder,
-  segmentIndex = 1
+  segmentIndex = 1,
+  voice,
+  { overwrite = false } = {}
 ) => {
   const audioFilePath = `./${subredditFolder}/${sanitizeTitle(
     shortTitle
   )}/audio/audio_${sanitizeTitle(shortTitle)}_part${segmentIndex}.mp3`;
   ensureDir(audioFilePath);
-  if (fs.existsSync(audioFilePath)) {
-    console.log(
+  if (overwrite && fs.existsSync(audioFilePath)) {
+    fs.unlinkSync(audioFilePath);
+  } else if (fs.existsSync(audioFilePath)) {
+    log.info(
       `Audio file already exists at ${audioFilePath}. Skipping speech generation.`
     );
     return audioFilePath;
   }
-  console.log(
-    `Generating speech for segment ${segmentIndex} of "${shortTitle}"`
+  log.info(
+    `Generating speech for segment ${segmentIndex} of "${shortTitle}" with ${voice.provider}`
   );
   try {
-    const stream = await PlayHT.stream(segmentText, {
-      voiceEngine: "Play3.0-mini",
-      voiceId:
-        "s3://voice-cloning-zero-shot/abc2d0e6-9433-4dcc-b416-0b035169f37e/original/manifest.json",
-    });
-    return new Promise((resolve, reject) => {
-      stream.on("data", (chunk) => fs.appendFileSync(audioFilePath, chunk));
-      stream.on("end", () => {
-        console.log(
-          `Audio generation complete for segment ${segmentIndex}: ${audioFilePath}`
-        );
-        resolve(audioFilePath);
-      });
-      stream.on("error", (err) => {
-        console.error("Error in streaming audio from PlayHT:", err);
-        reject(err);
-      });
-    });
+    await runTask("tts", () =>
+      synthesizeSpeech(segmentText, voice, audioFilePath)
+    );
+    log.info(
+      `Audio generation complete for segment ${segmentIndex}: ${audioFilePath}`
+    );
+    return audioFilePath;
   } catch (error) {
-    console.error("Error generating speech from PlayHT:", error.message);
+    log.error(`Error generating speech with ${voice.provider}`, { error });
     return null;
   }
 };
 
 /**
- * Generates a screenshot image.
- * If customContent is provided, it is used as the post's content.
- * The screenshot file name is made unique per segment if segmentIndex is provided.
- * The SVG icons remain intact.
+ * Generates the card images for one segment: a title card when the segment
+ * opens with the post title, followed by paragraph cards.
+ * Card file names are tagged with the part and card index; leftovers from an
+ * earlier attempt at the same segment are removed first. `community` is the
+ * subreddit's about data, which gives the cards its icon; `partLabel` names
+ * the part on its cards and `language` is the one they are written in.
  */
-const generateScreenshot = async (
+const generateCards = async (
   post,
   shortTitle,
   subredditFolder,
-  customContent = null,
-  segmentIndex = null
+  segmentText,
+  segmentIndex,
+  layout,
+  { verdict = null, community = null, partLabel = null, language } = {}
 ) => {
-  console.log(`Generating screenshot for post: "${post.title}"`);
-  const sub = post.subreddit_name_prefixed || "unknown";
-  const author = post.author || "unknown";
-  const title = post.title;
-  // Use customContent if provided, otherwise correct full selftext.
-  const content =
-    customContent || (await correctText(post.selftext)) || "[No text content]";
-  const htmlContent = `
-<html>
-  <head>
-    <style>
-      html, body { margin: 0; padding: 0; background: transparent; font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif; }
-      .container { max-width: 600px; margin: auto; background-color: #121212; border: 1px solid #080808; border-radius: 20px; box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1); padding: 20px; display: flex; flex-direction: column; gap: 10px; align-items: left; }
-      .sub { font-size: 30px; font-weight: bold; color: #C2C2C2; }
-      .author { font-size: 14px; color: #C2C2C2; }
-      .title { font-size: 20px; font-weight: bold; color: #F3F3F3; }
-      .content { font-size: 16px; line-height: 1.5; color: #A6A6A6; margin-bottom: 10px; }
-      .bottomInfo { display: flex; flex-direction: row; gap: 20px; }
-      .ups, .comments { font-size: 14px; display: flex; flex-direction: row; align-items: center; gap: 5px; }
-      .ups { color: #D93900; }
-      .comments { color: #f3f3f3; }
-    </style>
-  </head>
-  <body>
-    <div class="container">
-      <div class="sub">${sub}</div>
-      <div class="author">u/${author}</div>
-      <div class="title">${title}</div>
-      <div class="content">${content}</div>
-      <div class="bottomInfo">
-        <div class="ups">
-          <svg rpl="" fill="#D93900" height="16" icon-name="upvote-fill" viewBox="0 0 20 20" width="16" xmlns="http://www.w3.org/2000/svg">
-            <path d="M10 19c-.072 0-.145 0-.218-.006A4.1 4.1 0 0 1 6 14.816V11H2.862a1.751 1.751 0 0 1-1.234-2.993L9.41.28a.836.836 0 0 1 1.18 0l7.782 7.727A1.751 1.751 0 0 1 17.139 11H14v3.882a4.134 4.134 0 0 1-.854 2.592A3.99 3.99 0 0 1 10 19Z"></path>
-          </svg>
-          ${post.ups}
-        </div>
-        <div class="comments">
-          <svg rpl="" aria-hidden="true" class="icon-comment" fill="currentColor" height="16" icon-name="comment-outline" viewBox="0 0 20 20" width="16" xmlns="http://www.w3.org/2000/svg">
-            <path d="M10 19H1.871a.886.886 0 0 1-.798-.52.886.886 0 0 1 .158-.941L3.1 15.771A9 9 0 1 1 10 19Zm-6.549-1.5H10a7.5 7.5 0 1 0-5.323-2.219l.54.545L3.451 17.5Z"></path>
-          </svg>
-          ${post.num_comments}
-        </div>
-      </div>
-    </div>
-  </body>
-</html>`;
-  let screenshotFileName = `screenshot_${sanitizeTitle(shortTitle)}`;
-  if (segmentIndex !== null) {
-    screenshotFileName += `_part${segmentIndex}`;
-  }
-  screenshotFileName += `.png`;
-  const screenshotPath = `./${subredditFolder}/${sanitizeTitle(
+  const screenshotDir = `./${subredditFolder}/${sanitizeTitle(
     shortTitle
-  )}/screenshot/${screenshotFileName}`;
-  if (fs.existsSync(screenshotPath)) {
-    console.log(
-      `Screenshot already exists at ${screenshotPath}. Skipping screenshot generation.`
-    );
-    return screenshotPath;
-  }
-  ensureDir(screenshotPath);
-  const browser = await puppeteer.launch();
-  const page = await browser.newPage();
-  await page.setViewport({ width: 600, height: 400 });
-  await page.setContent(htmlContent, { waitUntil: "networkidle0" });
-  await page.screenshot({
-    path: screenshotPath,
-    fullPage: true,
-    omitBackground: true,
+  )}/screenshot`;
+  const prefix = `screenshot_${sanitizeTitle(
+    shortTitle
+  )}_part${segmentIndex}_card`;
+  const pathFor = (cardIndex) => `${screenshotDir}/${prefix}${cardIndex}.png`;
+  ensureDir(pathFor(1));
+  fs.readdirSync(screenshotDir)
+    .filter((file) => file.startsWith(prefix))
+    .forEach((file) => fs.unlinkSync(path.join(screenshotDir, file)));
+
+  const cards = verdict
+    ? planVerdictCards(verdict, { maxWords: layout.maxCardWords })
+    : planCards(segmentText, {
+        withTitle: segmentIndex === 1,
+        maxWords: layout.maxCardWords,
+      });
+  log.info(
+    `Generating ${cards.length} cards for segment ${segmentIndex} of "${post.title}"`
+  );
+  const rendered = await renderCards(post, cards, pathFor, {
+    layout,
+    partLabel,
+    community,
+    language,
   });
-  await browser.close();
-  console.log(`Screenshot generated at ${screenshotPath}`);
-  return screenshotPath;
+  log.info(`Generated ${rendered.length} cards in ${screenshotDir}`);
+  return rendered.map(({ type, wordStart, wordEnd, path: cardPath }) => ({
+    type,
+    wordStart,
+    wordEnd,
+    path: cardPath,
+  }));
 };
 
 const generateDescription = async (
   title,
   postText,
   subredditFolder,
-  shortTitle
+  shortTitle,
+  profile
 ) => {
-  console.log(`Generating YouTube video description for: "${title}"`);
-  const prompt = `Based on the following title and post text, generate a concise and engaging description for a YouTube video. Return only the description text without any commentary. \n\nTitle: "${title}"\n\nPost Text: "${postText}"`;
-  try {
-    const response = await openai.responses.create({
-      model: "gpt-4o-mini",
-      input: [{ role: "user", content: prompt }],
-      text: { format: { type: "text" } },
-      reasoning: {},
-      tools: [],
-      temperature: 1,
-      max_output_tokens: 200,
-      top_p: 1,
-      store: true,
-    });
-    const description =
-      response.output_text +
-      " #reddit #redditstories #askreddit #redditshorts #storytime #redditreads #redditdrama #redditconfessions #redditmemes #aita #amitheasshole #tifu #todayifuckedup #aita_reddit #tifu_reddit #redditfunny #funnyreddit #redditvideos #redditcompilation #storytelling #shortstory #shortstories #redditlife #relationshipsreddit #redditreactions #redditposts #redditrealstories #true_reddit_stories #creepyreddit #scaryreddit #relationshipadvice #crazyredditstories #redditthread #redditreadings #redditcommentary #youtubeShorts #shorts #shortsfeed #shortsvideo #viralshorts #foryou #fyp #redditseries #redditbased #redditcomedy #redditnight #redditrants #redditgold #reddituser #redditcrazy #weirdreddit #redditdramaqueen #entertainment #viralcontent #relatable #relatablereddit #redditvoiceover #texttospeech #redditaudio #dailyreddit #redditfun #popularreddit #interestingstories #bestofreddit #redditmix #redditreview #talesfromreddit #mysteryreddit #trendingstories #trendingreddit #redditdaily #reddittalk #redditreads #redditconfessions #redditgossip";
-    const descriptionPath = `./${subredditFolder}/${sanitizeTitle(
-      shortTitle
-    )}/description/description.txt`;
-    ensureDir(descriptionPath);
-    fs.writeFileSync(descriptionPath, description);
-    console.log(`Description generated and saved at ${descriptionPath}`);
-    return description;
-  } catch (error) {
-    console.error("Error generating description:", error.message);
-    return "";
-  }
+  log.info(`Generating YouTube video description for: "${title}"`);
+  const text = await runTask("llm", () =>
+    generateText(
+      profile.llm,
+      "description",
+      { title, postText, language: profile.language.name },
+      { maxOutputTokens: 200 }
+    )
+  );
+  const description = [text, ...profile.hashtags].join(" ");
+  const descriptionPath = `./${subredditFolder}/${sanitizeTitle(
+    shortTitle
+  )}/description/description.txt`;
+  ensureDir(descriptionPath);
+  fs.writeFileSync(descriptionPath, description);
+  log.info(`Description generated and saved at ${descriptionPath}`);
+  return description;
 };
 
-const getAudioDuration = (filePath) =>
-  new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(filePath, (err, metadata) => {
-      if (err) return reject(err);
-      resolve(metadata.format.duration);
-    });
-  });
-
+/**
+ * Renders one segment: the background clip (`path`, `start` offset and
+ * whether it must `loop`) cropped to 9:16, each card centered
+ * on top while its part of the narration plays (`cards` carry `path`,
+ * `start` and `end` in seconds) and, when given, an ASS caption track
+ * burned in last. A music track (`path`, `attribution`) is mixed under the
+ * narration using the channel's `musicSettings` and credited in the file's
+ * metadata. A `cover` frame (`path`, `duration`) covers the opening of the
+ * video, so platforms that preview the first frame show it. The file only
+ * appears at `outputPath` once ffmpeg finished.
+ */
 const createVideo = async (
-  backgroundPath,
+  background,
   audioPath,
-  screenshotPath,
-  outputPath
+  cards,
+  outputPath,
+  {
+    subtitlesPath = null,
+    music = null,
+    musicSettings = null,
+    cover = null,
+  } = {}
 ) => {
-  console.log(`Creating video at ${outputPath}`);
-  const audioDuration = await getAudioDuration(audioPath);
-  const bgStart = "00:00:05";
+  log.info(`Creating video at ${outputPath}`);
+  const audioDuration = await probeDuration(audioPath);
+  const audioInput = cards.length + 1;
+  const coverInput = audioInput + (music ? 2 : 1);
+  // The label of the finished picture, before the cover frame goes on top.
+  const picture = cover ? "main" : "v";
   ensureDir(outputPath);
-  return new Promise((resolve, reject) => {
-    ffmpeg()
-      .input(backgroundPath)
-      .inputOptions([`-ss ${bgStart}`])
-      .input(screenshotPath)
-      .input(audioPath)
-      .complexFilter([
-        {
-          filter: "scale",
-          options: { w: -2, h: 1920 },
-          inputs: "0:v",
-          outputs: "bgScaled",
-        },
-        {
-          filter: "crop",
-          options: { w: 1080, h: 1920, x: "(in_w-1080)/2", y: "0" },
-          inputs: "bgScaled",
-          outputs: "bg",
-        },
-        {
-          filter: "scale",
-          options: { w: 900, h: -1 },
-          inputs: "1:v",
-          outputs: "ssScaled",
-        },
-        {
-          filter: "colorchannelmixer",
-          options: { aa: 0.9 },
-          inputs: "ssScaled",
-          outputs: "ss",
-        },
-        {
-          filter: "overlay",
-          options: { x: "(W-w)/2", y: "(H-h)/2" },
-          inputs: ["bg", "ss"],
-          outputs: "v",
+  const cardFilters = cards.flatMap((card, i) => {
+    const input = i + 1;
+    const isLast = i === cards.length - 1;
+    return [
+      {
+        filter: "scale",
+        options: { w: VIDEO_CARD_WIDTH, h: -1 },
+        inputs: `${input}:v`,
+        outputs: `ssScaled${input}`,
+      },
+      {
+        filter: "colorchannelmixer",
+        options: { aa: 0.9 },
+        inputs: `ssScaled${input}`,
+        outputs: `ss${input}`,
+      },
+      {
+        filter: "overlay",
+        options: {
+          x: "(W-w)/2",
+          y: "(H-h)/2",
+          enable: `between(t,${card.start.toFixed(3)},${card.end.toFixed(3)})`,
         },
-      ])
-      .outputOptions([
-        "-map",
-        "[v]",
-        "-map",
-        "2:a",
-        "-t",
-        audioDuration.toString(),
-        "-c:v",
-        "libx264",
-        "-pix_fmt",
-        "yuv420p",
-        "-c:a",
-        "aac",
-      ])
-      .save(outputPath)
-      .on("end", () => {
-        console.log(`Video creation completed: ${outputPath}`);
-        resolve(outputPath);
+        inputs: [i === 0 ? "bg" : `withCard${i}`, `ss${input}`],
+        outputs: isLast
+          ? subtitlesPath
+            ? "cards"
+            : picture
+          : `withCard${input}`,
+      },
+    ];
+  });
+  return writeAtomically(
+    outputPath,
+    (tmpPath) =>
+      new Promise((resolve, reject) => {
+        const command = ffmpeg()
+          .input(background.path)
+          .inputOptions([
+            ...(background.loop ? ["-stream_loop -1"] : []),
+            `-ss ${background.start.toFixed(3)}`,
+          ]);
+        cards.forEach((card) => command.input(card.path));
+        command.input(audioPath);
+        if (music) {
+          // Loop short tracks; -t below cuts the mix at the narration's end.
+          command.input(music.path).inputOptions(["-stream_loop -1"]);
+          // Separate arguments keep fluent-ffmpeg from splitting the credit.
+          command.outputOptions(
+            "-metadata",
+            `comment=Music: ${music.attribution}`
+          );
+        }
+        if (cover) command.input(cover.path);
+        command
+          .complexFilter([
+            {
+              filter: "scale",
+              options: { w: -2, h: 1920 },
+              inputs: "0:v",
+              outputs: "bgScaled",
+            },
+            {
+              filter: "crop",
+              options: { w: 1080, h: 1920, x: "(in_w-1080)/2", y: "0" },
+              inputs: "bgScaled",
+              outputs: "bg",
+            },
+            ...cardFilters,
+            ...(subtitlesPath
+              ? [
+                  {
+                    filter: "ass",
+                    options: {
+                      filename: subtitlesPath
+                        .replace(/\\/g, "/")
+                        .replace(/:/g, "\\:"),
+                    },
+                    inputs: "cards",
+                    outputs: picture,
+                  },
+                ]
+              : []),
+            ...(cover
+              ? [
+                  {
+                    filter: "overlay",
+                    options: { enable: `lt(t,${cover.duration})` },
+                    inputs: [picture, `${coverInput}:v`],
+                    outputs: "v",
+                  },
+                ]
+              : []),
+            ...(music
+              ? musicFilters(
+                  audioInput,
+                  audioInput + 1,
+                  audioDuration,
+                  musicSettings
+                )
+              : []),
+          ])
+          .outputOptions([
+            "-map",
+            "[v]",
+            "-map",
+            music ? "[a]" : `${audioInput}:a`,
+            "-t",
+            audioDuration.toString(),
+            "-c:v",
+            "libx264",
+            "-pix_fmt",
+            "yuv420p",
+            "-c:a",
+            "aac",
+          ])
+          .save(tmpPath)
+          .on("end", () => {
+            stopOnCancel();
+            log.info(`Video creation completed: ${outputPath}`);
+            resolve(outputPath);
+          })
+          .on("error", (err) => {
+            stopOnCancel();
+            log.error("Error creating video", { error: err });
+            reject(err);
+          });
+        // A cancelled run stops the render; the partial file is then removed.
+        const stopOnCancel = onCancel(() => command.kill("SIGKILL"));
       })
-      .on("error", (err) => {
-        console.error("Error creating video:", err.message);
-        reject(err);
-      });
+  );
+};
+
+/**
+ * The description saved for a rendered post, found next to its ogVid
+ * folder.
+ */
+const readDescription = (videoPath) => {
+  const baseFolder = path.dirname(path.dirname(videoPath));
+  const descriptionFilePath = path.join(
+    baseFolder,
+    "description",
+    "description.txt"
+  );
+  if (fs.existsSync(descriptionFilePath)) {
+    return fs.readFileSync(descriptionFilePath, "utf8");
+  }
+  log.warn(
+    `Description file not found at ${descriptionFilePath}. Using an empty description.`
+  );
+  return "";
+};
+
+const buildVideoTitle = (shortTitle, segmentIndex, segmentCount, profile) =>
+  [
+    shortTitle,
+    segmentCount > 1
+      ? `- ${partLabel(profile.segments, segmentIndex, segmentCount)}`
+      : "",
+    profile.titleSuffix,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * The titles and descriptions of a post's translated versions, by language
+ * code, for uploading them as YouTube localizations of the original. They
+ * are read from the version folders, which are named like the original's
+ * (see languageProfile); versions not translated yet are left out. Null
+ * unless the profile publishes its languages that way.
+ */
+const readLocalizations = (videoPath, profile, segmentIndex, segmentCount) => {
+  if (profile.languages.upload !== "localizations") return null;
+  const folderName = path.basename(path.dirname(path.dirname(videoPath)));
+  const localizations = {};
+  for (const target of profile.languages.targets) {
+    const version = languageProfile(profile, target);
+    const base = path.join(version.folder, folderName);
+    const infoPath = path.join(base, "post.json");
+    const descriptionPath = path.join(base, "description", "description.txt");
+    if (!fs.existsSync(infoPath) || !fs.existsSync(descriptionPath)) continue;
+    const { shortTitle } = JSON.parse(fs.readFileSync(infoPath, "utf8"));
+    localizations[target.code] = {
+      title: buildVideoTitle(shortTitle, segmentIndex, segmentCount, version),
+      description: fs.readFileSync(descriptionPath, "utf8"),
+    };
+  }
+  return Object.keys(localizations).length ? localizations : null;
+};
+
+/**
+ * Publishes a rendered video to the profile's platforms (see publishVideo).
+ * `postId`, `segmentIndex` and `segmentCount` are left out for videos that
+ * are not tracked in the ledger.
+ */
+const publishSegment = async (
+  videoPath,
+  title,
+  profile,
+  { postId = null, segmentIndex = 1, segmentCount = 1 } = {}
+) => {
+  const partCount = getPostRecord(postId)?.segmentCount || segmentCount;
+  return publishVideo(profile, {
+    postId,
+    segmentIndex,
+    segmentCount: partCount,
+    videoPath,
+    title,
+    description: readDescription(videoPath),
+    localizations: readLocalizations(
+      videoPath,
+      profile,
+      segmentIndex,
+      partCount
+    ),
+    hashtags: profile.hashtags,
+    duration: await probeDuration(videoPath),
+    channel: profile.channel,
+    thumbnailPath:
+      profile.thumbnails.upload && fs.existsSync(thumbnailPath(videoPath))
+        ? thumbnailPath(videoPath)
+        : null,
+    // Videos rendered with a cover frame open on it.
+    coverMs: fs.existsSync(coverPath(videoPath)) ? 0 : null,
   });
 };
 
-const splitVideo = async (inputPath, segmentDuration = 60) =>
-  new Promise((resolve, reject) => {
-    console.log(
-      `Splitting video: ${inputPath} into segments of ${segmentDuration} seconds`
+// Waiting ends early when the run is cancelled.
+const sleepUntil = (date) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      stopOnCancel();
+      resolve();
+    }, Math.max(0, date.getTime() - Date.now()));
+    const stopOnCancel = onCancel(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+
+/**
+ * Uploads the rendered parts of one post in order, leaving out parts
+ * rejected in review and, for reviewed channels, stopping at the first part
+ * not approved yet. Running out of quota either waits for the next quota
+ * window (`wait`) or stops the queue by rethrowing, as do rejected
+ * credentials and a cancelled run; other failures only skip the part.
+ * With a `limit`, parts published everywhere already are passed over and
+ * no more than `limit` parts go out. Resolves to `uploaded`, how many
+ * tracked parts went out to at least one more platform, and the post's
+ * `outcome`: "planned" (dry run), "incomplete" without videos, "failed"
+ * when a part failed, "uploaded" when one went out, "held" when the next
+ * part waits for review, or "skipped" when nothing was left to publish.
+ */
+const uploadAllVideos = async (
+  vidsFolderPath,
+  postInfo,
+  profile,
+  { dryRun = false, wait = false, limit = null } = {}
+) => {
+  if (!fs.existsSync(vidsFolderPath)) {
+    log.warn(`Vids folder not found at ${vidsFolderPath}`);
+    return { uploaded: 0, outcome: dryRun ? "planned" : "incomplete" };
+  }
+  const { postId, shortTitle } = postInfo;
+  const partIndex = (file) =>
+    Number(
+      path
+        .parse(file)
+        .name.replace(/.*part/, "")
+        .replace(/_/g, "")
     );
-    ffmpeg(inputPath)
-      .outputOptions([
-        "-c",
-        "copy",
-        "-map",
-        "0",
-        "-segment_time",
-        segmentDuration.toString(),
-        "-f",
-        "segment",
-        "-reset_timestamps",
-        "1",
-      ])
-      .output("segment_%d.mp4")
-      .on("end", async () => {
-        let segments = fs
-          .readdirSync(".")
-          .filter(
-            (file) => file.startsWith("segment_") && file.endsWith(".mp4")
-          );
-        // Sort segments by numerical order
-        segments.sort((a, b) => {
-          const aNum = parseInt(a.match(/segment_(\d+)\.mp4/)[1]);
-          const bNum = parseInt(b.match(/segment_(\d+)\.mp4/)[1]);
-          return aNum - bNum;
-        });
-        console.log(`Video split into ${segments.length} segments.`);
+  const videoFiles = fs
+    .readdirSync(vidsFolderPath)
+    .filter((file) => file.endsWith(".mp4") && !isPartialFile(file))
+    .sort((a, b) => partIndex(a) - partIndex(b));
+  if (!postId) {
+    log.warn(
+      `No post.json in ${path.dirname(
+        vidsFolderPath
+      )}; uploads from this folder are not tracked in the ledger.`
+    );
+  } else if (!getPostRecord(postId) && !dryRun) {
+    trackPost({ id: postId, title: postInfo.title }, profile, {
+      shortTitle,
+      segmentCount: videoFiles.length,
+    });
+  }
+  let uploaded = 0;
+  // Untracked parts that went out, which are not counted in `uploaded`.
+  let untracked = 0;
+  let failed = 0;
+  let held = false;
+  for (const videoFile of videoFiles) {
+    if (limit && uploaded >= limit) break;
+    const videoPath = path.join(vidsFolderPath, videoFile);
+    const segmentIndex = partIndex(videoFile);
+    const videoTitle = buildVideoTitle(
+      shortTitle,
+      segmentIndex,
+      videoFiles.length,
+      profile
+    );
+    const pendingPublishers = () =>
+      enabledPublishers(profile).filter(
+        (name) =>
+          !postId || !isStageDone(postId, PUBLISHERS[name].stage, segmentIndex)
+      );
+    const pending = pendingPublishers();
+    if (limit && !pending.length) continue;
+    // Untracked videos predate the ledger and cannot be reviewed.
+    const decision = postId && reviewDecision(postId, segmentIndex);
+    if (pending.length && decision === "rejected") {
+      log.info(`Skipping ${videoPath}; it was rejected in review.`);
+      continue;
+    }
+    // Parts go out in order, so one still waiting for review holds back
+    // the rest of the post.
+    if (
+      pending.length &&
+      postId &&
+      profile.review.enabled &&
+      decision !== "approved"
+    ) {
+      log.info(
+        `${videoPath} is waiting for review; holding back the rest of "${shortTitle}".`
+      );
+      held = true;
+      break;
+    }
+    if (dryRun) {
+      log.info(
+        pending.length
+          ? `[dry-run] Would publish ${videoPath} as "${videoTitle}" to ${pending.join(
+              ", "
+            )}`
+          : `[dry-run] ${videoPath} was already published`
+      );
+      continue;
+    }
+    log.info(`Uploading video: ${videoPath} with title: ${videoTitle}`);
+    for (;;) {
+      try {
+        await runTask("upload", () =>
+          publishSegment(videoPath, videoTitle, profile, {
+            postId,
+            segmentIndex,
+            segmentCount: videoFiles.length,
+          })
+        );
+        break;
+      } catch (error) {
+        if (error instanceof CancelledError) throw error;
+        // Untracked videos would be published to the other platforms again.
+        if (error instanceof YoutubeQuotaError && wait && postId) {
+          log.info(`${error.message}. Waiting for the next quota window.`);
+          await sleepUntil(error.resetsAt);
+          continue;
+        }
+        if (stopsQueue(error)) throw error;
+        log.error(`Failed to upload ${videoPath}`, { error });
+        failed++;
+        break;
+      }
+    }
+    // A platform may have passed on the video (see publishVideo).
+    if (!postId) untracked++;
+    else if (pendingPublishers().length < pending.length) uploaded++;
+  }
+  let outcome = "skipped";
+  if (dryRun) outcome = "planned";
+  else if (failed) outcome = "failed";
+  else if (uploaded || untracked) outcome = "uploaded";
+  else if (held) outcome = "held";
+  return { uploaded, outcome };
+};
 
-        // Check if the last segment is less than 30 seconds and merge if needed.
-        if (segments.length > 1) {
-          const lastSegment = segments[segments.length - 1];
-          let lastDuration = 0;
-          try {
-            lastDuration = await getAudioDuration(lastSegment);
-          } catch (err) {
-            console.error(
-              "Error getting duration of last segment:",
-              err.message
-            );
-          }
-          if (lastDuration < 30) {
-            console.log(
-              `Last segment "${lastSegment}" is only ${lastDuration} seconds long. Merging it with the previous segment.`
+// Re-planning stops here, should the voice keep outrunning its estimate.
+const MAX_SEGMENT_PLANS = 3;
+
+const hasRenderedSegments = (postId) =>
+  Object.values(getPostRecord(postId).segments).some(
+    ({ stages }) => stages.rendered
+  );
+
+/**
+ * Plans the parts of a post (see planSegments) and narrates all of them,
+ * followed by the verdict segment when there is one. The plan is kept in
+ * the ledger, so segment indexes stay stable across runs. Should a narrated
+ * part still run over `segments.maxSeconds`, the post is planned again at
+ * the speaking rate just measured, as long as nothing was rendered from the
+ * old plan. Resolves to the segment texts, their audio stages and how many
+ * of them tell the story.
+ */
+const narrateSegments = async (version) => {
+  const { post, profile, text, shortTitle, folderTitle, verdict } = version;
+  const settings = profile.segments;
+  const voice = voiceKey(profile.voice);
+  // Parts planned before narration was measured used fixed word counts.
+  if (!getStage(post.id, "segmented") && getPostRecord(post.id).segmentCount) {
+    if (hasRenderedSegments(post.id)) {
+      throw new Error(
+        "it was split before parts were sized by narration; its rendered videos stay queued for the upload command"
+      );
+    }
+    discardNarration(post.id);
+  }
+  let rate = speakingRate(profile.voice, settings);
+  for (let attempt = 1; ; attempt++) {
+    const plan = await runStage(post.id, "segmented", async () => {
+      const parts = planSegments(text, settings, rate);
+      const count = parts.length + (verdict ? 1 : 0);
+      const texts = parts.map((part, i) =>
+        frameSegment(part, i + 1, count, settings)
+      );
+      if (verdict) texts.push(verdictText(verdict));
+      log.info(
+        `Post has ${countWords(text)} words; planned ${parts.length} part${
+          parts.length === 1 ? "" : "s"
+        } at ${Math.round(rate * 60)} words per minute.`
+      );
+      return { texts, storyParts: parts.length, wordsPerSecond: rate };
+    });
+    trackPost(post, profile, {
+      shortTitle,
+      folderTitle,
+      segmentCount: plan.texts.length,
+    });
+
+    // Parts are narrated side by side; the plan is only judged once every
+    // one of them has settled.
+    const results = await Promise.allSettled(
+      plan.texts.map((segmentText, i) => {
+        const segmentIndex = i + 1;
+        return runStage(
+          post.id,
+          "audio",
+          // Narration that failed (or was interrupted) last time may have
+          // left a broken file behind, so it is generated again.
+          async (previous) => {
+            const audioPath = await generateSegmentSpeech(
+              segmentText,
+              folderTitle,
+              profile.folder,
+              segmentIndex,
+              profile.voice,
+              { overwrite: Boolean(previous) }
             );
-            const prevSegment = segments[segments.length - 2];
-            const concatList = `file '${prevSegment}'\nfile '${lastSegment}'\n`;
-            fs.writeFileSync("concat_list.txt", concatList);
-            try {
-              await new Promise((resolveMerge, rejectMerge) => {
-                exec(
-                  "ffmpeg -f concat -safe 0 -i concat_list.txt -c copy merged_last.mp4",
-                  (err) => {
-                    if (err) return rejectMerge(err);
-                    resolveMerge();
-                  }
-                );
-              });
-              // Remove old segments and replace the previous segment with the merged file
-              fs.unlinkSync(prevSegment);
-              fs.unlinkSync(lastSegment);
-              fs.renameSync("merged_last.mp4", prevSegment);
-              fs.unlinkSync("concat_list.txt");
-              // Remove the last segment from the segments array
-              segments.pop();
-              console.log(
-                `Merged segments into "${prevSegment}". Total segments now: ${segments.length}`
-              );
-            } catch (mergeError) {
-              console.error("Error merging last segments:", mergeError.message);
-            }
-          }
-        }
-        resolve(segments);
-      })
-      .on("error", (err) => {
-        console.error("Error splitting video:", err.message);
-        reject(err);
+            if (!audioPath) throw new Error("Audio generation failed.");
+            return {
+              path: audioPath,
+              duration: await probeDuration(audioPath),
+              words: countWords(segmentText),
+              voice,
+            };
+          },
+          { segmentIndex }
+        );
       })
-      .run();
-  });
-
-const uploadToYouTube = async (videoPath, title) => {
-  console.log(`Uploading video to YouTube: ${videoPath}`);
-  try {
-    const vidsFolder = path.dirname(videoPath);
-    const baseFolder = path.dirname(vidsFolder);
-    const descriptionFilePath = path.join(
-      baseFolder,
-      "description",
-      "description.txt"
     );
-    let description = "";
-    if (fs.existsSync(descriptionFilePath)) {
-      description = fs.readFileSync(descriptionFilePath, "utf8");
-    } else {
-      console.warn(
-        `Description file not found at ${descriptionFilePath}. Using an empty description.`
+    const failure = results.find(({ status }) => status === "rejected");
+    if (failure) throw failure.reason;
+    const audio = results.map(({ value }) => value);
+
+    const story = audio.slice(0, plan.storyParts);
+    const longest = Math.max(...story.map((stage) => stage.duration || 0));
+    if (longest <= settings.maxSeconds) {
+      return { texts: plan.texts, audio, storyParts: plan.storyParts };
+    }
+    if (attempt >= MAX_SEGMENT_PLANS || hasRenderedSegments(post.id)) {
+      log.warn(
+        `A part of "${post.title}" runs ${Math.round(longest)}s, over the ${
+          settings.maxSeconds
+        }s limit.`
       );
+      return { texts: plan.texts, audio, storyParts: plan.storyParts };
     }
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.YOUTUBE_CLIENT_ID,
-      process.env.YOUTUBE_CLIENT_SECRET,
-      process.env.YOUTUBE_REDIRECT_URI || "http://localhost"
+    const words = story.reduce((sum, stage) => sum + stage.words, 0);
+    const seconds = story.reduce((sum, stage) => sum + stage.duration, 0);
+    rate = Math.min(rate, words / seconds) * 0.95;
+    log.info(
+      `A part of "${post.title}" runs ${Math.round(
+        longest
+      )}s; planning it again at ${Math.round(rate * 60)} words per minute.`
     );
-    oauth2Client.setCredentials({
-      refresh_token: process.env.YOUTUBE_REFRESH_TOKEN,
-    });
-    const youtube = google.youtube({ version: "v3", auth: oauth2Client });
-    const response = await youtube.videos.insert({
-      part: "snippet,status",
-      requestBody: {
-        snippet: { title, description, categoryId: "22" },
-        status: { privacyStatus: "public" },
+    discardNarration(post.id);
+  }
+};
+
+/**
+ * Whether every segment of a post (or of one of its translated versions)
+ * reached `stage`.
+ */
+const isFinished = (postId, stage) => {
+  const record = getPostRecord(postId);
+  return (
+    record?.segmentCount > 0 &&
+    Array.from({ length: record.segmentCount }, (_, i) => i + 1).every(
+      (segmentIndex) => isStageDone(postId, stage, segmentIndex)
+    )
+  );
+};
+
+/**
+ * Records which Reddit post a rendered folder belongs to, so the `upload`
+ * command can find videos by post id and reuse the short title. Translated
+ * versions also record the post they were translated from.
+ */
+const savePostInfo = (version) => {
+  const { post, profile, shortTitle, folderTitle, sourceId } = version;
+  const infoPath = `./${profile.folder}/${sanitizeTitle(
+    folderTitle
+  )}/post.json`;
+  ensureDir(infoPath);
+  fs.writeFileSync(
+    infoPath,
+    JSON.stringify(
+      {
+        id: post.id,
+        title: post.title,
+        shortTitle,
+        ...(sourceId && { sourceId, language: profile.language.code }),
       },
-      media: { body: fs.createReadStream(videoPath) },
-    });
-    console.log(
-      `Successfully uploaded video. YouTube video ID: ${response.data.id}`
+      null,
+      2
+    )
+  );
+};
+
+/**
+ * Translates a post into one of the channel's languages (see
+ * languageProfile) and writes the version's title and description, so they
+ * are in place before the original's first part is uploaded (see
+ * readLocalizations). The version is tracked in the ledger under its own id
+ * and its folders are named like the original's, as translated short
+ * titles may not be usable in file names. Resolves to the version, ready
+ * for produceVersion.
+ */
+const translateVersion = async (original, target) => {
+  const profile = languageProfile(original.profile, target);
+  const sourceId = original.post.id;
+  const id = localizedId(sourceId, target.code);
+  trackPost({ ...original.post, id }, profile, {
+    language: target.code,
+    sourceId,
+  });
+  const translation = await runStage(id, "translated", async () => {
+    const text = await translateText(original.text, profile);
+    const title = splitParagraphs(text)[0];
+    return {
+      text,
+      title,
+      shortTitle: await shortenTitle(title, profile.llm, target.name),
+      verdict: original.verdict
+        ? await translateVerdict(original.verdict, profile)
+        : null,
+    };
+  });
+  const version = {
+    post: { ...original.post, id, title: translation.title },
+    profile,
+    text: translation.text,
+    shortTitle: translation.shortTitle,
+    folderTitle: original.folderTitle,
+    verdict: translation.verdict,
+    sourceId,
+  };
+  savePostInfo(version);
+  await runStage(id, "described", async () => {
+    await generateDescription(
+      original.post.title,
+      original.post.selftext || "",
+      profile.folder,
+      version.folderTitle,
+      profile
     );
-    return response.data;
-  } catch (error) {
-    console.error("Error uploading video to YouTube:", error.message);
-    throw error;
-  }
+    return {};
+  });
+  return version;
 };
 
-const uploadAllVideos = async (vidsFolderPath, subredditFolder, title) => {
-  if (!fs.existsSync(vidsFolderPath)) {
-    console.warn(`Vids folder not found at ${vidsFolderPath}`);
-    return;
+/**
+ * Narrates, renders and (unless `upload` is false) uploads one version of
+ * a post: the original, or a translation of it. A `version` carries the
+ * `post`, the `profile` it is produced with, the narration `text`, the
+ * `shortTitle` its videos are titled with, the `folderTitle` its files are
+ * named after and the `verdict`, if any. Segments are worked on side by
+ * side through the worker pools (see src/pipeline.js). Resolves to
+ * "failed", "incomplete" when some segment is missing, "deferred" when the
+ * YouTube quota ran out before every segment was uploaded (they stay
+ * queued for the upload command), or "rendered" / "uploaded".
+ */
+const produceVersion = async (version, { upload = true } = {}) => {
+  const { post, profile, shortTitle, folderTitle, verdict } = version;
+  const subredditFolder = profile.folder;
+  const postTitle = post.title;
+
+  let plan;
+  try {
+    plan = await narrateSegments(version);
+  } catch (error) {
+    log.error(`Skipping post "${postTitle}"`, { error });
+    return "failed";
   }
-  const videoFiles = fs
-    .readdirSync(vidsFolderPath)
-    .filter((file) => file.endsWith(".mp4"));
-  for (const videoFile of videoFiles) {
-    const videoPath = path.join(vidsFolderPath, videoFile);
-    const videoTitle = `r/${subredditFolder} - ${title} - Part ${path
-      .parse(videoFile)
-      .name.replace(/.*part/, "")
-      .replace(/_/g, "")}`;
-    console.log(`Uploading video: ${videoPath} with title: ${videoTitle}`);
+  const { texts: segments, audio: narration } = plan;
+  const verdictIndex =
+    segments.length > plan.storyParts ? segments.length : null;
+
+  const videoPathFor = (segmentIndex) =>
+    `./${subredditFolder}/${sanitizeTitle(
+      folderTitle
+    )}/ogVid/video_${sanitizeTitle(folderTitle)}_part${segmentIndex}.mp4`;
+  const labelFor = (segmentIndex) =>
+    segments.length > 1
+      ? partLabel(profile.segments, segmentIndex, segments.length)
+      : null;
+
+  /**
+   * Builds the captions, cards and video of one segment. Resolves to
+   * whether the segment was rendered.
+   */
+  const renderSegment = async (segmentText, i) => {
+    const segmentIndex = i + 1;
+    const outputVideoPath = videoPathFor(segmentIndex);
+    // Videos rendered before the ledger existed were uploaded right away.
+    const legacy =
+      !getStage(post.id, "rendered", segmentIndex) &&
+      fs.existsSync(outputVideoPath);
     try {
-      await uploadToYouTube(videoPath, videoTitle);
+      const { path: audioPath } = narration[i];
+
+      // Align the narration with its text. The word timings drive both the
+      // burned-in captions and when each card is shown.
+      const captionsBase = `./${subredditFolder}/${sanitizeTitle(
+        folderTitle
+      )}/captions/captions_${sanitizeTitle(folderTitle)}_part${segmentIndex}`;
+      const captions = await runStage(
+        post.id,
+        "captions",
+        async () => {
+          ensureDir(captionsBase);
+          ensureDir(outputVideoPath);
+          const duration = await probeDuration(audioPath);
+          const { assPath, timingsPath } = await runTask("llm", () =>
+            writeCaptions(
+              audioPath,
+              segmentText,
+              duration,
+              {
+                assPath: `${captionsBase}.ass`,
+                srtPath: outputVideoPath.replace(/\.mp4$/, ".srt"),
+                timingsPath: `${captionsBase}.json`,
+              },
+              { ...profile.captions, language: profile.language.code }
+            )
+          );
+          return { path: assPath, timingsPath };
+        },
+        { segmentIndex }
+      );
+
+      // Generate the title and paragraph cards for the segment.
+      const screenshots = await runStage(
+        post.id,
+        "screenshot",
+        async () => ({
+          cards: await generateCards(
+            post,
+            folderTitle,
+            subredditFolder,
+            segmentText,
+            segmentIndex,
+            profile.layout,
+            {
+              verdict: segmentIndex === verdictIndex ? verdict : null,
+              community: profile.layout.showIcon
+                ? await getSubreddit(
+                    profile.source,
+                    post.subreddit || profile.name
+                  )
+                : null,
+              partLabel: labelFor(segmentIndex),
+              language: profile.language.code,
+            }
+          ),
+        }),
+        { segmentIndex }
+      );
+
+      // Generate a video for this segment.
+      await runStage(
+        post.id,
+        "rendered",
+        async () => {
+          if (legacy) {
+            log.info(
+              `Video segment already exists at ${outputVideoPath}. Skipping creation.`
+            );
+            return { path: outputVideoPath, legacy: true };
+          }
+          if (fs.existsSync(outputVideoPath)) fs.unlinkSync(outputVideoPath);
+          ensureDir(outputVideoPath);
+          const timings =
+            captions.timingsPath && fs.existsSync(captions.timingsPath)
+              ? JSON.parse(fs.readFileSync(captions.timingsPath, "utf8"))
+              : null;
+          // Screenshots taken before cards existed are a single image.
+          const cards = screenshots.cards || [
+            { path: screenshots.path, wordStart: 0, wordEnd: 1 },
+          ];
+          const duration = await probeDuration(audioPath);
+          const background = await pickBackground(
+            profile.backgrounds,
+            duration
+          );
+          const music = pickTrack(profile.music);
+          const { thumbnails } = profile;
+          // Thumbnails and the render both keep the CPU busy.
+          const images = await runTask("render", async () => {
+            const generated = thumbnails.enabled
+              ? await generateThumbnails(
+                  background,
+                  {
+                    title: shortTitle,
+                    subreddit: profile.name,
+                    part: segmentIndex,
+                    partCount: segments.length,
+                    label: labelFor(segmentIndex),
+                  },
+                  outputVideoPath,
+                  thumbnails
+                )
+              : null;
+            await createVideo(
+              background,
+              audioPath,
+              timeCards(cards, timings, duration),
+              outputVideoPath,
+              {
+                subtitlesPath: profile.captions.enabled ? captions.path : null,
+                music,
+                musicSettings: profile.music,
+                cover: generated?.coverPath
+                  ? {
+                      path: generated.coverPath,
+                      duration: thumbnails.coverDuration,
+                    }
+                  : null,
+              }
+            );
+            return generated;
+          });
+          return {
+            path: outputVideoPath,
+            background: { clip: background.path, start: background.start },
+            music,
+            thumbnailPath: images?.thumbnailPath || null,
+          };
+        },
+        { segmentIndex }
+      );
+      return true;
     } catch (error) {
-      console.error(`Failed to upload ${videoPath}:`, error.message);
+      log.error(`Skipping segment ${segmentIndex} of "${postTitle}"`, {
+        error,
+      });
+      return false;
     }
+  };
+
+  // Segments are built side by side, but go out in order as soon as the
+  // previous part is up, so a series is published from its first part on.
+  const renders = segments.map(renderSegment);
+  let deferred = false;
+  try {
+    for (const [i, rendered] of renders.entries()) {
+      const segmentIndex = i + 1;
+      if (!(await rendered) || !upload) continue;
+      if (getStage(post.id, "rendered", segmentIndex).legacy) {
+        log.info(
+          `Skipping upload of video segment ${segmentIndex}; it was rendered and uploaded before the ledger existed.`
+        );
+        markStage(post.id, "uploaded", "done", { segmentIndex, legacy: true });
+        continue;
+      }
+      try {
+        await runTask("upload", () =>
+          publishSegment(
+            videoPathFor(segmentIndex),
+            buildVideoTitle(shortTitle, segmentIndex, segments.length, profile),
+            profile,
+            { postId: post.id, segmentIndex, segmentCount: segments.length }
+          )
+        );
+      } catch (error) {
+        if (error instanceof YoutubeAuthError) throw error;
+        if (error instanceof CancelledError) break;
+        if (error instanceof YoutubeQuotaError) {
+          // The rendered segments stay queued for the upload command.
+          log.info(
+            `${error.message}. Leaving the remaining segments of "${postTitle}" for the upload command.`
+          );
+          upload = false;
+          deferred = true;
+          continue;
+        }
+        log.error(`Failed to upload video segment ${segmentIndex}`, { error });
+      }
+    }
+  } finally {
+    // Renders still running finish before the post counts as handled.
+    await Promise.all(renders);
+  }
+  if (!isFinished(post.id, upload ? "uploaded" : "rendered")) {
+    return "incomplete";
+  }
+  if (deferred) return "deferred";
+  return upload ? "uploaded" : "rendered";
+};
+
+// Posts this process is producing, by the id of the original. The review
+// dashboard runs in the daemon's process, under the same run lock, so this
+// is what keeps its re-renders and the daemon off the same post.
+const postsInProduction = new Set();
+
+const isInProduction = (postId) =>
+  postsInProduction.has(getPostRecord(postId)?.sourceId || postId);
+
+/**
+ * Produces a post (see producePost) unless this process is producing it
+ * already, in which case it resolves to "busy" at once.
+ */
+const produceExclusively = async (post, profile, options) => {
+  if (postsInProduction.has(post.id)) return "busy";
+  postsInProduction.add(post.id);
+  try {
+    return await producePost(post, profile, options);
+  } finally {
+    postsInProduction.delete(post.id);
   }
 };
 
 /**
- * Splits text into segments of at least minWords words.
- * This helps ensure that longer posts are divided into multiple segments.
+ * Process a single Reddit post: unless it was done before or the filters
+ * skip it, it is produced (see producePost), unless a re-render after an
+ * edit is producing it already. Channels that review their videos only
+ * render them; the upload queue takes them once approved. Resolves to what
+ * became of the original: "skipped" when it was done before or is being
+ * re-rendered, "filtered", "planned" (dry run), "failed", "incomplete",
+ * "deferred", "rendered" or "uploaded".
  */
-const splitTextIntoSegments = (text, minWords = 75) => {
-  const words = text.split(/\s+/);
-  const segments = [];
-  let currentSegment = [];
-
-  words.forEach((word) => {
-    currentSegment.push(word);
-    if (currentSegment.length >= minWords) {
-      // Optionally split on sentence boundaries if the word ends with punctuation.
-      if (/[.!?]$/.test(word)) {
-        segments.push(currentSegment.join(" "));
-        currentSegment = [];
+const processPost = (post, profile, { upload = true, dryRun = false } = {}) =>
+  withLogContext({ postId: post.id }, async () => {
+    const postTitle = post.title;
+    const { targets } = profile.languages;
+    upload &&= !profile.review.enabled;
+    const uploadTranslations =
+      upload && profile.languages.upload === "separate";
+
+    if (
+      isFinished(post.id, upload ? "uploaded" : "rendered") &&
+      targets.every((target) =>
+        isFinished(
+          localizedId(post.id, target.code),
+          uploadTranslations ? "uploaded" : "rendered"
+        )
+      )
+    ) {
+      log.info(
+        `Skipping post "${postTitle}" because it was already ${
+          upload ? "uploaded" : "rendered"
+        }.`
+      );
+      return "skipped";
+    }
+
+    // Already-finished posts are checked first so the classifier is not
+    // asked about them again. Only the classifier takes an LLM slot.
+    let skip = checkRules(post, profile.filters);
+    if (!skip && profile.filters.classify) {
+      try {
+        const reason = await runTask("llm", () =>
+          classifyPost(post, profile.llm)
+        );
+        if (reason) skip = { rule: "classify", reason };
+      } catch (error) {
+        skip = {
+          rule: "classify",
+          reason: `classifier failed: ${error.message}`,
+        };
       }
     }
-  });
-  // Add any remaining words. If too short, merge with previous segment.
-  if (currentSegment.length) {
-    if (segments.length && currentSegment.length < minWords) {
-      segments[segments.length - 1] += " " + currentSegment.join(" ");
-    } else {
-      segments.push(currentSegment.join(" "));
+    if (skip) {
+      log.info(`Skipping post "${postTitle}" [${skip.rule}]: ${skip.reason}.`, {
+        filter: skip.rule,
+      });
+      return "filtered";
     }
-  }
-  return segments;
-};
+
+    if (dryRun) {
+      log.info(
+        `[dry-run] Would process post ${post.id}: "${postTitle}"${
+          targets.length
+            ? ` (also in ${targets.map(({ name }) => name).join(", ")})`
+            : ""
+        }`
+      );
+      return "planned";
+    }
+    const outcome = await produceExclusively(post, profile, { upload });
+    if (outcome !== "busy") return outcome;
+    log.info(
+      `Skipping post "${postTitle}"; it is being re-rendered after an edit.`
+    );
+    return "skipped";
+  });
 
 /**
- * Process a single Reddit post:
+ * Produces a post that got past the filters:
  * - Correct the text,
- * - Split it into segments if the post exceeds 300 words,
- * - Generate assets (audio, screenshot) for each segment,
- * - Create a video for each segment,
- * - And upload the resulting videos.
+ * - Add a verdict segment from the top comments when enabled,
+ * - Translate it into each of the channel's languages,
+ * - Then produce the original and every translation (see produceVersion):
+ *   split it into parts that fit the narration limit and narrate them,
+ *   generate captions and cards, create a video for each segment and
+ *   upload the videos unless `upload` is false.
+ * Every step is a stage in the ledger, so producing a post again only
+ * redoes what is missing (e.g. after an edit in the dashboard).
+ * Translations are only uploaded as videos of their own when the channel
+ * publishes its languages "separate"ly; what became of each is counted
+ * under "translations" for the summary. Resolves to what became of the
+ * original: "failed", "incomplete", "deferred", "rendered" or "uploaded".
  */
-const processPost = async (post, subredditFolder) => {
+const producePost = async (post, profile, { upload = true } = {}) => {
   const postTitle = post.title;
   const postContent = post.selftext || "";
+  const { targets } = profile.languages;
+  const uploadTranslations = upload && profile.languages.upload === "separate";
 
-  // Skip posts with the word "update" in the title or post text
-  if (
-    postTitle.toLowerCase().includes("update") ||
-    postContent.toLowerCase().includes("update") ||
-    postTitle.toLowerCase().includes("meta") ||
-    postContent.toLowerCase().includes("meta") ||
-    post.media_metadata ||
-    post.crosspost_parent_list
-  ) {
-    console.log(
-      `Skipping post "${postTitle}" due to presence of "update", "meta" or media or crosspost.`
-    );
-    return;
-  }
-  // Skip posts with less than 100 words in the post text
-  if (postContent.split(" ").length < 50) {
-    console.log(
-      `Skipping post "${postTitle}" due to word count less than 100.`
-    );
-    return;
+  log.info(`Processing post: "${postTitle}"`);
+  trackPost(post, profile);
+  if (!isStageDone(post.id, "fetched")) markStage(post.id, "fetched", "done");
+  const combinedText = `${postTitle}\n\n${postContent}`;
+  let correctedText;
+  let shortTitle;
+  let folderTitle;
+  try {
+    ({ correctedText } = await runStage(post.id, "corrected", async () => ({
+      correctedText: await correctText(
+        combinedText,
+        profile.llm,
+        profile.language.name
+      ),
+    })));
+    // Files stay named after the first short title, so editing it in the
+    // dashboard does not move them.
+    ({ shortTitle, folderTitle } = await runStage(
+      post.id,
+      "titled",
+      async () => {
+        const title = await getShortTitle(
+          postTitle,
+          profile.llm,
+          profile.language.name
+        );
+        return { shortTitle: title, folderTitle: title };
+      }
+    ));
+  } catch (error) {
+    log.error(`Skipping post "${postTitle}"`, { error });
+    return "failed";
   }
+  const original = {
+    post,
+    profile,
+    text: correctedText,
+    shortTitle,
+    folderTitle,
+    verdict: null,
+  };
+  savePostInfo(original);
 
-  console.log(`Processing post: "${postTitle}"`);
-  const combinedText = `${postTitle}\n\n${postContent}`;
-  const correctedText = await correctText(combinedText);
-  const shortTitle = await getShortTitle(postTitle);
-
-  // Determine if we need to split the text into segments.
-  const totalWords = correctedText.split(/\s+/).length;
-  let skipUpload = false;
-  let segments = [];
-  if (totalWords > 400) {
-    segments = splitTextIntoSegments(correctedText, 150);
-    console.log(
-      `Post has ${totalWords} words; split into ${segments.length} segments.`
-    );
-  } else {
-    segments = [correctedText];
+  // The community's verdict is narrated as one more segment at the end.
+  if (profile.verdict.enabled) {
+    try {
+      ({ verdict: original.verdict } = await runStage(
+        post.id,
+        "verdict",
+        async () => ({
+          verdict: await fetchVerdict(post, profile.source, profile.verdict),
+        })
+      ));
+    } catch (error) {
+      log.warn(`No verdict segment for "${postTitle}"`, { error });
+    }
   }
 
   // Generate a description for the full post.
-  await generateDescription(
-    postTitle,
-    postContent,
-    subredditFolder,
-    shortTitle
-  );
+  try {
+    await runStage(post.id, "described", async () => {
+      await generateDescription(
+        postTitle,
+        postContent,
+        profile.folder,
+        folderTitle,
+        profile
+      );
+      return {};
+    });
+  } catch (error) {
+    log.error(`Skipping post "${postTitle}"`, { error });
+    return "failed";
+  }
 
-  // Process each segment separately.
-  for (let i = 0; i < segments.length; i++) {
-    const segmentText = segments[i];
-    const segmentIndex = i + 1;
+  // Translations are ready before anything is uploaded, so the original's
+  // parts can go up with their localized titles.
+  const translations = await Promise.all(
+    targets.map((target) =>
+      translateVersion(original, target).catch((error) => {
+        log.error(`No ${target.name} version of "${postTitle}"`, { error });
+        return null;
+      })
+    )
+  );
+  const results = await Promise.allSettled([
+    produceVersion(original, { upload }),
+    ...translations.map((version) =>
+      version
+        ? withLogContext({ postId: version.post.id }, () =>
+            produceVersion(version, { upload: uploadTranslations })
+          )
+        : "failed"
+    ),
+  ]);
+  for (const result of results.slice(1)) {
+    let outcome = result.status === "fulfilled" ? result.value : "failed";
+    if (isCancelled() && ["failed", "incomplete"].includes(outcome)) {
+      outcome = "cancelled";
+    }
+    recordOutcome("translations", outcome);
+  }
+  const failure = results.find(({ status }) => status === "rejected");
+  if (failure) throw failure.reason;
+  return results[0].value;
+};
 
-    // Generate TTS audio for the segment.
-    const audioPath = await generateSegmentSpeech(
-      segmentText,
-      shortTitle,
-      subredditFolder,
-      segmentIndex
+/**
+ * Narrows the configured profiles down to the channels and subreddits given
+ * on the command line.
+ */
+const selectProfiles = (profiles, options) => {
+  const filters = [
+    ["channel", (profile) => profile.channel],
+    ["subreddit", (profile) => profile.name],
+  ];
+  let selected = profiles;
+  for (const [option, key] of filters) {
+    const wanted = (options[option] || []).map((name) => name.toLowerCase());
+    if (!wanted.length) continue;
+    const unknown = wanted.filter(
+      (name) => !selected.some((profile) => key(profile).toLowerCase() === name)
     );
-    if (!audioPath) {
-      console.error("Skipping segment due to audio generation failure.");
-      continue;
+    if (unknown.length) {
+      throw new Error(`Unknown ${option}(s): ${unknown.join(", ")}`);
     }
-    // Generate a screenshot for the segment (using the segment's text).
-    const screenshotPath = await generateScreenshot(
-      post,
-      shortTitle,
-      subredditFolder,
-      segmentText,
-      segmentIndex
+    selected = selected.filter((profile) =>
+      wanted.includes(key(profile).toLowerCase())
     );
+  }
+  return selected;
+};
 
-    // Generate a video for this segment.
-    const outputVideoPath = `./${subredditFolder}/${sanitizeTitle(
-      shortTitle
-    )}/ogVid/video_${sanitizeTitle(shortTitle)}_part${segmentIndex}.mp4`;
-    if (!fs.existsSync(outputVideoPath)) {
-      ensureDir(outputVideoPath);
-      try {
-        await createVideo(
-          backgroundVideoPath,
-          audioPath,
-          screenshotPath,
-          outputVideoPath
+const profileForPost = (profiles, post) => {
+  const profile = profiles.find(
+    ({ name }) => name.toLowerCase() === (post.subreddit || "").toLowerCase()
+  );
+  if (!profile) {
+    throw new Error(
+      `Post ${post.id} is from r/${post.subreddit}, which is not configured for the selected channels`
+    );
+  }
+  return profile;
+};
+
+/**
+ * Fetched posts are cached under ./<subreddit>/_posts/<id>.json so later
+ * `render` runs can work from the same listing without hitting Reddit again.
+ */
+const fetchedPostPath = (subredditFolder, postId) =>
+  `./${subredditFolder}/_posts/${postId}.json`;
+
+const saveFetchedPost = (post, subredditFolder) => {
+  const postPath = fetchedPostPath(subredditFolder, post.id);
+  ensureDir(postPath);
+  fs.writeFileSync(postPath, JSON.stringify(post, null, 2));
+};
+
+const loadFetchedPosts = (subredditFolder) => {
+  const dir = `./${subredditFolder}/_posts`;
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")))
+    .sort((a, b) => (b.ups || 0) - (a.ups || 0));
+};
+
+const findRenderedFolders = (subredditFolder) => {
+  if (!fs.existsSync(subredditFolder)) return [];
+  return fs
+    .readdirSync(subredditFolder, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && !entry.name.startsWith("_"))
+    .map((entry) => {
+      const folder = path.join(subredditFolder, entry.name);
+      const infoPath = path.join(folder, "post.json");
+      const info = fs.existsSync(infoPath)
+        ? JSON.parse(fs.readFileSync(infoPath, "utf8"))
+        : {};
+      return {
+        folder,
+        postId: info.id || null,
+        sourceId: info.sourceId || info.id || null,
+        title: info.title || null,
+        shortTitle: info.shortTitle || entry.name,
+      };
+    })
+    .filter(({ folder }) => fs.existsSync(path.join(folder, "ogVid")));
+};
+
+/**
+ * Collects the posts a command should work on. With --post-id the posts are
+ * looked up in the fetch cache first and in the first profile's post source
+ * otherwise; without it the subreddit listings are used (from the cache
+ * when `fromCache` is set). A listing that cannot be fetched is reported and
+ * marks the run as failed, but the other subreddits are still processed.
+ * Posts fetched from a source are counted per subreddit for the report.
+ */
+const collectPosts = async (profiles, options, { fromCache = false } = {}) => {
+  if (options["post-id"]?.length) {
+    const posts = [];
+    for (const postId of options["post-id"]) {
+      const cached = profiles.find(({ folder }) =>
+        fs.existsSync(fetchedPostPath(folder, postId))
+      );
+      const post = cached
+        ? JSON.parse(
+            fs.readFileSync(fetchedPostPath(cached.folder, postId), "utf8")
+          )
+        : await getPost(profiles[0].source, postId).catch((error) => {
+            log.error(`Error fetching post ${postId}`, { error });
+            process.exitCode = 1;
+            return null;
+          });
+      if (!post) continue;
+      const profile = cached || profileForPost(profiles, post);
+      if (!cached) recordOutcome("fetched", `r/${profile.name}`);
+      posts.push({ post, profile });
+    }
+    return posts;
+  }
+  const posts = [];
+  for (const profile of profiles) {
+    const limit = options.limit || profile.limit;
+    let subredditPosts;
+    if (fromCache) {
+      subredditPosts = loadFetchedPosts(profile.folder);
+      if (!subredditPosts.length) {
+        log.warn(
+          `No fetched posts for r/${profile.name}. Run the fetch command first.`
         );
-      } catch (error) {
-        console.error("Error creating video segment:", error.message);
-        continue;
       }
     } else {
-      console.log(
-        `Video segment already exists at ${outputVideoPath}. Skipping creation.`
+      log.info(`Processing subreddit: r/${profile.name}`);
+      try {
+        subredditPosts = await listPosts(profile.source, {
+          subreddit: profile.name,
+          sort: profile.sort,
+          time: profile.time,
+          limit,
+        });
+      } catch (error) {
+        log.error(`Error fetching r/${profile.name}`, { error });
+        process.exitCode = 1;
+        subredditPosts = [];
+      }
+    }
+    if (subredditPosts.length > limit) {
+      log.info(
+        `Reached maximum of ${limit} posts for r/${profile.name}. Skipping remaining posts.`
       );
-      skipUpload = true;
     }
+    for (const post of subredditPosts.slice(0, limit)) {
+      if (!fromCache) recordOutcome("fetched", `r/${profile.name}`);
+      posts.push({ post, profile });
+    }
+  }
+  return posts;
+};
 
-    // Optionally, upload each segment immediately.
-    try {
-      if (!skipUpload) {
-        await uploadToYouTube(
-          outputVideoPath,
-          `${shortTitle} ${
-            segments.length > 1 ? `- Part ${segmentIndex}` : ""
-          } #relationshipadvice #shorts #trending #viral`
+/**
+ * Works on every item at once and leaves it to the worker pools how much of
+ * that actually runs in parallel. `work` resolves to the item's outcome,
+ * which is counted under `group` for the summary ("deferred" when the
+ * YouTube quota ran out). An error that stops the queue (see stopsQueue)
+ * cancels the rest of the run and is rethrown once everything settled.
+ */
+const runAll = async (group, items, work) => {
+  let stop = null;
+  await Promise.all(
+    items.map(async (item) => {
+      let outcome;
+      try {
+        outcome = await work(item);
+      } catch (error) {
+        if (stopsQueue(error)) {
+          stop ||= error;
+          cancelPipeline();
+        } else if (!(error instanceof CancelledError)) {
+          log.error(error.message);
+          process.exitCode = 1;
+        }
+        // What ran out of quota goes out in a later quota window.
+        outcome = error instanceof YoutubeQuotaError ? "deferred" : "failed";
+      }
+      // Work cut short by a cancelled run did not fail on its own.
+      if (isCancelled() && ["failed", "incomplete"].includes(outcome)) {
+        outcome = "cancelled";
+      }
+      recordOutcome(group, outcome);
+    })
+  );
+  if (stop) throw stop;
+};
+
+/**
+ * The profile a tracked post (or translated version) is produced with, or
+ * null when its channel or subreddit is not among `profiles`.
+ */
+const profileForRecord = (profiles, record) => {
+  const profile = profiles.find(
+    ({ channel, name }) =>
+      channel === record.channel && name === record.subreddit
+  );
+  if (!profile || !record.sourceId) return profile || null;
+  const target = profile.languages.targets.find(
+    ({ code }) => code === record.language
+  );
+  return target ? languageProfile(profile, target) : null;
+};
+
+const loadPost = async (profile, postId) =>
+  fs.existsSync(fetchedPostPath(profile.folder, postId))
+    ? JSON.parse(
+        fs.readFileSync(fetchedPostPath(profile.folder, postId), "utf8")
+      )
+    : getPost(profile.source, postId);
+
+// Posts tracked before folder titles were recorded are named after their
+// short title.
+const postFolder = (record) =>
+  `./${record.folder}/${sanitizeTitle(
+    record.folderTitle || record.shortTitle
+  )}`;
+
+const segmentIndexes = (record) =>
+  Array.from({ length: record.segmentCount || 0 }, (_, i) => i + 1);
+
+// The enabled platforms a segment was published to.
+const publishedTo = (postId, profile, segmentIndex) =>
+  enabledPublishers(profile).filter((name) =>
+    isStageDone(postId, PUBLISHERS[name].stage, segmentIndex)
+  );
+
+/**
+ * What the review dashboard works with (see src/dashboard.js). Its queue
+ * holds the tracked posts of `profiles` with segments that are neither
+ * published nor rejected; translated versions are listed when the channel
+ * uploads them as videos of their own. Saving an edit re-runs only the
+ * stages it affects, through producePost in the background: a new text
+ * is narrated, captioned, carded and rendered again (the new text of an
+ * original is also translated again for each of its versions), and a new
+ * short title only re-renders videos that carry a thumbnail with it.
+ * Re-rendered segments have to be reviewed again. Posts with a published
+ * segment, or a translation with one, can no longer be edited, as their
+ * parts might be planned differently.
+ */
+const createReviewer = (profiles) => {
+  // Background re-renders by the id of the post they were started for.
+  const rerenders = new Map();
+
+  const findEntry = (postId) => {
+    const record = getPostRecord(postId);
+    const profile = record && profileForRecord(profiles, record);
+    return profile && record.segmentCount ? { record, profile } : null;
+  };
+  const requireEntry = (postId) => {
+    const entry = findEntry(postId);
+    if (!entry)
+      throw new NotFoundError(`There is no post ${postId} to review.`);
+    return entry;
+  };
+  const descriptionPath = (record) =>
+    `${postFolder(record)}/description/description.txt`;
+  const descriptionOf = (record) =>
+    fs.existsSync(descriptionPath(record))
+      ? fs.readFileSync(descriptionPath(record), "utf8")
+      : "";
+  const textOf = (record) =>
+    record.sourceId
+      ? getStage(record.id, "translated")?.text
+      : getStage(record.id, "corrected")?.correctedText;
+  const isBusy = (record) => isInProduction(record.id);
+  const isPublished = (record, profile) =>
+    segmentIndexes(record).some(
+      (segmentIndex) => publishedTo(record.id, profile, segmentIndex).length
+    );
+  const isEditable = ({ record, profile }) =>
+    !isPublished(record, profile) &&
+    getVersions(record.id).every((version) => {
+      const versionProfile = profileForRecord(profiles, version);
+      return !versionProfile || !isPublished(version, versionProfile);
+    });
+
+  const segmentView = ({ record, profile }, segmentIndex) => {
+    const { stages = {} } = record.segments[String(segmentIndex)] || {};
+    const rendered =
+      stages.rendered?.status === "done" ? stages.rendered : null;
+    const published = publishedTo(record.id, profile, segmentIndex);
+    const error =
+      Object.values(stages).find(({ status }) => status === "failed")?.error ||
+      null;
+    let state;
+    if (
+      published.length &&
+      published.length === enabledPublishers(profile).length
+    ) {
+      state = "uploaded";
+    } else if (rendered) {
+      state = reviewDecision(record.id, segmentIndex) || "pending";
+    } else if (isBusy(record)) {
+      state = "rendering";
+    } else {
+      state = error ? "failed" : "missing";
+    }
+    return {
+      index: segmentIndex,
+      state,
+      error,
+      text: getStage(record.id, "segmented")?.texts?.[segmentIndex - 1] || null,
+      videoPath: rendered?.path || null,
+      // Lets the browser tell a re-rendered video from the one it cached.
+      version: rendered ? Date.parse(rendered.updatedAt) : 0,
+      canReview: ["pending", "approved", "rejected"].includes(state),
+    };
+  };
+
+  const postView = (entry) => {
+    const { record, profile } = entry;
+    return {
+      id: record.id,
+      title: record.title,
+      shortTitle: record.shortTitle,
+      channel: profile.channel,
+      subreddit: profile.name,
+      language: profile.language.name,
+      description: descriptionOf(record),
+      text: textOf(record) || "",
+      maxTitleLength: SHORT_TITLE_MAX_LENGTH,
+      busy: isBusy(record),
+      editable: isEditable(entry),
+      segments: segmentIndexes(record).map((segmentIndex) =>
+        segmentView(entry, segmentIndex)
+      ),
+    };
+  };
+
+  // The original is produced again, and with it every version of the post;
+  // whatever the ledger has done already is skipped. The post is claimed
+  // right away, so the daemon leaves it alone from the edit on.
+  const rerender = (record) => {
+    const sourceId = record.sourceId || record.id;
+    const original = getPostRecord(sourceId);
+    postsInProduction.add(sourceId);
+    const job = (async () => {
+      const profile = profileForRecord(profiles, original);
+      const post = await loadPost(profile, sourceId);
+      return withLogContext({ postId: sourceId }, () =>
+        producePost(post, profile, { upload: false })
+      );
+    })()
+      .catch((error) => {
+        log.error(`Re-rendering "${original.title}" failed`, { error });
+        return "failed";
+      })
+      .then((outcome) => recordOutcome("re-renders", outcome))
+      .finally(() => {
+        postsInProduction.delete(sourceId);
+        rerenders.delete(sourceId);
+      });
+    rerenders.set(sourceId, job);
+  };
+
+  return {
+    listPosts: () =>
+      getPostRecords()
+        .map((record) => findEntry(record.id))
+        .filter(
+          (entry) =>
+            entry &&
+            (!entry.record.sourceId ||
+              entry.profile.languages.upload === "separate")
+        )
+        .map(postView)
+        .filter(({ segments }) =>
+          segments.some(
+            ({ state }) => !["uploaded", "rejected"].includes(state)
+          )
+        ),
+    getPost: (postId) => {
+      const entry = findEntry(postId);
+      return entry && postView(entry);
+    },
+    savePost: (postId, edits) => {
+      const entry = requireEntry(postId);
+      const { record, profile } = entry;
+      if (isBusy(record)) {
+        throw new Error("The post is being produced; wait for it to finish.");
+      }
+      if (!isEditable(entry)) {
+        throw new Error("Part of the post is published already.");
+      }
+      const shortTitle = (edits.shortTitle || "").trim();
+      if (!shortTitle || shortTitle.length > SHORT_TITLE_MAX_LENGTH) {
+        throw new Error(
+          `The short title must be 1-${SHORT_TITLE_MAX_LENGTH} characters long.`
         );
-      } else {
-        console.log(
-          `Skipping upload of video segment ${segmentIndex} due to skipUpload flag.`
+      }
+      // Browsers send the lines of a text field with \r\n.
+      const text = (edits.text || "").replace(/\r\n/g, "\n").trim();
+      if (!text) throw new Error("The text cannot be empty.");
+      const description = (edits.description || "").replace(/\r\n/g, "\n");
+      let changed = false;
+
+      if (description !== descriptionOf(record)) {
+        ensureDir(descriptionPath(record));
+        fs.writeFileSync(descriptionPath(record), description);
+        markStage(record.id, "described", "done");
+      }
+      if (shortTitle !== record.shortTitle) {
+        const folderTitle = record.folderTitle || record.shortTitle;
+        markStage(
+          record.id,
+          record.sourceId ? "translated" : "titled",
+          "done",
+          record.sourceId ? { shortTitle } : { shortTitle, folderTitle }
         );
-        skipUpload = false;
+        trackPost({ id: record.id, title: record.title }, profile, {
+          shortTitle,
+        });
+        savePostInfo({
+          post: { id: record.id, title: record.title },
+          profile,
+          shortTitle,
+          folderTitle,
+          sourceId: record.sourceId,
+        });
+        if (profile.thumbnails.enabled) {
+          discardRenders(record.id);
+          changed = true;
+        }
       }
-    } catch (error) {
-      console.error(
-        `Failed to upload video segment ${segmentIndex}:`,
-        error.message
+      if (text !== textOf(record)) {
+        if (record.sourceId) {
+          markStage(record.id, "translated", "done", {
+            text,
+            title: splitParagraphs(text)[0],
+          });
+        } else {
+          markStage(record.id, "corrected", "done", { correctedText: text });
+          // The translations were made from the old text.
+          discardVersions(record.id);
+        }
+        discardRenders(record.id);
+        discardNarration(record.id);
+        changed = true;
+      }
+      if (changed) {
+        log.info(`Re-rendering "${record.title}" after an edit.`);
+        rerender(record);
+      }
+    },
+    reviewSegment: (postId, segmentIndex, decision) => {
+      const entry = requireEntry(postId);
+      if (!segmentView(entry, segmentIndex).canReview) {
+        throw new Error(`Part ${segmentIndex} has no video to review.`);
+      }
+      reviewSegment(postId, segmentIndex, decision);
+      log.info(
+        `Part ${segmentIndex} of "${entry.record.title}" was ${decision}.`
       );
-    }
+    },
+    // Resolves once the re-renders in flight are done.
+    settled: () => Promise.allSettled([...rerenders.values()]),
+  };
+};
+
+/**
+ * Starts the review dashboard for `profiles`. Cancelling the run closes
+ * it; `closed` resolves once it is closed and the re-renders in flight
+ * finished.
+ */
+const serveDashboard = async (profiles, settings) => {
+  const reviewer = createReviewer(profiles);
+  const server = await startDashboard(settings.dashboard, reviewer);
+  const { host, port } = settings.dashboard;
+  log.info(`Review dashboard running at http://${host}:${port}/`);
+  const closed = new Promise((resolve) =>
+    onCancel(() => {
+      server.close(resolve);
+      server.closeIdleConnections();
+    })
+  ).then(() => reviewer.settled());
+  return { closed };
+};
+
+/**
+ * The rendered posts waiting in the folders of `profiles`, optionally only
+ * `postIds` and at most `limit` per folder. Translated versions have videos
+ * of their own to upload only when the channel publishes its languages
+ * separately.
+ */
+const uploadQueue = (profiles, { postIds = [], limit = null } = {}) => {
+  const versions = profiles.flatMap((profile) => [
+    profile,
+    ...(profile.languages.upload === "separate"
+      ? profile.languages.targets.map((target) =>
+          languageProfile(profile, target)
+        )
+      : []),
+  ]);
+  return versions.flatMap((profile) => {
+    const folders = findRenderedFolders(profile.folder).filter(
+      ({ sourceId }) => !postIds.length || postIds.includes(sourceId)
+    );
+    return folders
+      .slice(0, limit || folders.length)
+      .map((postInfo) => ({ postInfo, profile }));
+  });
+};
+
+/**
+ * Publishes up to `count` parts of the channel's queued posts, the ones
+ * tracked longest first. Untracked folders are left to the upload command:
+ * nothing would record them as published, so they would go out again at
+ * every upload time.
+ */
+const uploadNextParts = async (channelProfiles, count) => {
+  const queue = uploadQueue(channelProfiles)
+    .filter(({ postInfo }) => postInfo.postId)
+    .map((item) => ({
+      ...item,
+      trackedAt: getPostRecord(item.postInfo.postId)?.createdAt || "",
+    }))
+    .sort((a, b) => a.trackedAt.localeCompare(b.trackedAt));
+  let uploaded = 0;
+  for (const { postInfo, profile } of queue) {
+    if (uploaded >= count) break;
+    // Its videos may be replaced while they would be uploading.
+    if (isInProduction(postInfo.postId)) continue;
+    const result = await withLogContext({ postId: postInfo.postId }, () =>
+      uploadAllVideos(path.join(postInfo.folder, "ogVid"), postInfo, profile, {
+        limit: count - uploaded,
+      })
+    );
+    uploaded += result.uploaded;
   }
+  return uploaded;
 };
 
-const processSubreddits = async () => {
-  for (const { name: subredditFolder, sort } of subreddits) {
-    console.log(`Processing subreddit: r/${subredditFolder}`);
-    const posts = await fetchRedditPosts(subredditFolder, sort);
-    let postsProcessed = 0; // Flag system: counter for posts processed
-    for (const post of posts) {
-      if (postsProcessed >= 10) {
-        console.log(
-          `Reached maximum of 10 posts for r/${subredditFolder}. Skipping remaining posts.`
+/**
+ * The jobs of the daemon command (see src/daemon.js). Each subreddit is
+ * fetched and its posts rendered on its cron schedule; nothing is uploaded
+ * right away. Instead each channel uploads at its upload times, once per
+ * time and only as much as the share of its daily limit released by then
+ * allows (see uploadAllowance), so a day's videos are spread out and the
+ * limit holds however many posts were rendered. Channels that schedule
+ * their YouTube releases also make a series' playlist public once its
+ * first part is (see releasePlaylists).
+ */
+const daemonJobs = (profiles) => {
+  const renderJobs = profiles.map((profile) => {
+    const cron = parseCron(profile.cron);
+    const { timezone } = profile.daemon;
+    return {
+      name: `r/${profile.name} (${profile.channel})`,
+      isDue: (since, now) => cronDue(cron, since, now, timezone),
+      nextAt: (now) => nextCronTime(cron, now, timezone),
+      run: async () => {
+        const posts = await collectPosts([profile], {});
+        await runAll("posts", posts, ({ post }) =>
+          processPost(post, profile, { upload: false })
+        );
+        return `${posts.length} posts`;
+      },
+    };
+  });
+  const channels = [...new Set(profiles.map(({ channel }) => channel))];
+  const uploadJobs = channels.map((channel) => {
+    const channelProfiles = profiles.filter(
+      (profile) => profile.channel === channel
+    );
+    const { daemon } = channelProfiles[0];
+    const remaining = (now) =>
+      uploadAllowance(daemon, now) -
+      uploadsToday(channel, daemon.timezone, now);
+    let attemptedAt = null;
+    return {
+      name: `${channel} uploads`,
+      // An upload time is not retried when nothing could be uploaded at it.
+      isDue: (since, now) => {
+        const slot = lastUploadTime(daemon, now);
+        return (
+          slot !== null &&
+          (attemptedAt === null || slot > attemptedAt) &&
+          remaining(now) > 0
         );
-        break; // Stop processing further posts for this subreddit
+      },
+      nextAt: (now) => nextUploadTime(daemon, now),
+      status: (now) => ({
+        uploadsToday: uploadsToday(channel, daemon.timezone, now),
+        dailyUploads: daemon.dailyUploads,
+      }),
+      run: async () => {
+        attemptedAt = Date.now();
+        const count = remaining(attemptedAt);
+        const uploaded = await uploadNextParts(channelProfiles, count);
+        return `uploaded ${uploaded} of ${count} parts`;
+      },
+    };
+  });
+  const releaseJobs = channels
+    .map((channel) => profiles.find((profile) => profile.channel === channel))
+    .filter(({ youtube }) => youtube.enabled && youtube.schedule.enabled)
+    .map(({ channel, youtube }) => {
+      // A failed release is tried again an hour later, not every minute.
+      let retryAt = 0;
+      return {
+        name: `${channel} playlists`,
+        isDue: (since, now) => {
+          const release = nextPlaylistRelease(channel);
+          return release !== null && release <= now && now >= retryAt;
+        },
+        nextAt: () => nextPlaylistRelease(channel),
+        run: async () => {
+          try {
+            const released = await releasePlaylists(youtube, channel);
+            return `released ${released} playlists`;
+          } catch (error) {
+            retryAt = Date.now() + 60 * 60 * 1000;
+            throw error;
+          }
+        },
+      };
+    });
+  return [...renderJobs, ...uploadJobs, ...releaseJobs];
+};
+
+const commands = {
+  fetch: async (profiles, options) => {
+    preflight(profiles, { fetch: true });
+    const posts = await collectPosts(profiles, options);
+    for (const { post, profile } of posts) {
+      if (options["dry-run"]) {
+        log.info(`[dry-run] Fetched post ${post.id}: "${post.title}"`);
+        continue;
       }
-      await processPost(post, subredditFolder);
-      postsProcessed++; // Increment the counter after processing each post
+      saveFetchedPost(post, profile.folder);
+      trackPost(post, profile);
+      if (!isStageDone(post.id, "fetched")) {
+        markStage(post.id, "fetched", "done");
+      }
+      log.info(
+        `Saved post ${post.id} to ${fetchedPostPath(profile.folder, post.id)}`
+      );
+    }
+  },
+  render: async (profiles, options) => {
+    preflight(profiles, { render: !options["dry-run"] });
+    const posts = await collectPosts(profiles, options, { fromCache: true });
+    await runAll("posts", posts, ({ post, profile }) =>
+      processPost(post, profile, {
+        upload: false,
+        dryRun: options["dry-run"],
+      })
+    );
+  },
+  upload: async (profiles, options) => {
+    preflight(profiles, { upload: !options["dry-run"] });
+    const queue = uploadQueue(profiles, {
+      postIds: options["post-id"] || [],
+      limit: options.limit,
+    });
+    try {
+      await runAll("posts", queue, async ({ postInfo, profile }) => {
+        const { outcome } = await withLogContext(
+          { postId: postInfo.postId },
+          () =>
+            uploadAllVideos(
+              path.join(postInfo.folder, "ogVid"),
+              postInfo,
+              profile,
+              {
+                dryRun: options["dry-run"],
+                wait: options.wait,
+              }
+            )
+        );
+        return outcome;
+      });
+    } catch (error) {
+      if (!(error instanceof YoutubeQuotaError)) throw error;
+      // Everything not uploaded yet stays queued in the ledger.
+      log.info(
+        `${error.message}. The remaining videos stay queued; run the upload command again after the reset, or use --wait.`
+      );
+    }
+  },
+  review: async (profiles, options, settings) => {
+    preflight(profiles, { render: true });
+    const dashboard = await serveDashboard(profiles, settings);
+    await dashboard.closed;
+  },
+  daemon: async (profiles, options, settings) => {
+    if (options["dry-run"]) {
+      throw new Error(
+        "The daemon has no dry run; try the run command with --dry-run instead."
+      );
     }
+    preflight(profiles, { fetch: true, render: true, upload: true });
+    // Reviewed channels are reviewed in this process, as the run lock
+    // keeps the review command out while the daemon runs.
+    const dashboard = profiles.some(({ review }) => review.enabled)
+      ? await serveDashboard(profiles, settings)
+      : null;
+    log.info(
+      `Daemon started for ${profiles
+        .map(({ name, cron }) => `r/${name} (${cron})`)
+        .join(", ")}`
+    );
+    await runDaemon(daemonJobs(profiles));
+    await dashboard?.closed;
+  },
+  run: async (profiles, options) => {
+    preflight(profiles, {
+      fetch: true,
+      render: !options["dry-run"],
+      upload: !options["dry-run"],
+    });
+    const posts = await collectPosts(profiles, options);
+    await runAll("posts", posts, ({ post, profile }) =>
+      processPost(post, profile, {
+        dryRun: options["dry-run"],
+      })
+    );
+  },
+};
+
+const usage = `Usage: node index.js [command] [options]
+
+Commands:
+  run       Fetch posts, render videos and upload them (default)
+  fetch     Fetch posts and cache them under ./<subreddit>/_posts
+  render    Render videos for fetched posts without uploading
+  upload    Upload already rendered videos from ./<subreddit>/*/ogVid
+  review    Serve a local dashboard to watch, edit and approve rendered
+            videos before they are uploaded
+  daemon    Keep running: fetch and render every subreddit on its cron
+            schedule and upload at each channel's upload times, up to its
+            daily limit; health goes to ./daemon-health.json
+
+Runs other than dry runs hold ./run.lock, so a run started while another
+one is still going stops at once.
+
+Options:
+  --config <path>     Channel config (JSON or YAML, default: ./config.json,
+                      falling back to ./config.default.json)
+  --channel <name>    Only process this channel (repeatable)
+  --subreddit <name>  Only process this subreddit (repeatable)
+  --post-id <id>      Only process this Reddit post (repeatable)
+  --limit <n>         Maximum posts per subreddit (default: channel limit)
+  --dry-run           Log what would be done without rendering or uploading
+  --upload-only       Same as the upload command
+  --wait              When the YouTube quota runs out, wait for the next
+                      quota window instead of stopping (upload command)
+  -h, --help          Show this help
+`;
+
+const parseCli = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      config: { type: "string" },
+      channel: { type: "string", multiple: true },
+      subreddit: { type: "string", multiple: true },
+      "post-id": { type: "string", multiple: true },
+      limit: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      "upload-only": { type: "boolean", default: false },
+      wait: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  const command = values["upload-only"] ? "upload" : positionals[0] || "run";
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command}".\n\n${usage}`);
+  }
+  const limit = values.limit === undefined ? null : Number(values.limit);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error(
+      `--limit must be a positive integer, got "${values.limit}"`
+    );
   }
+  return { command, options: { ...values, limit } };
 };
 
-processSubreddits();
+const main = async () => {
+  const { command, options } = parseCli(process.argv.slice(2));
+  if (options.help) {
+    console.log(usage);
+    return;
+  }
+  const { profiles, settings } = loadConfig(options.config);
+  configureLogging(settings.logging);
+  configureReport({
+    command,
+    costs: settings.costs,
+    reportsDir: settings.logging.reportsDir,
+  });
+  configureBrowser(settings.browser);
+  configurePipeline(settings.concurrency);
+  if (!options["dry-run"]) acquireLock(command);
+  await commands[command](selectProfiles(profiles, options), options, settings);
+};
+
+// The first Ctrl+C or kill cancels the run: queued tasks never start,
+// renders are stopped and their partial files removed, and whatever else is
+// in flight settles so the ledger knows where to pick up. A second one exits
+// at once. Either way the shared browser is closed, so no Chromium
+// processes outlive the run.
+for (const [signal, code] of [
+  ["SIGINT", 130],
+  ["SIGTERM", 143],
+]) {
+  process.on(signal, () => {
+    process.exitCode = code;
+    if (!isCancelled()) {
+      log.info(
+        `Received ${signal}, finishing the tasks in flight. Send it again to stop at once.`
+      );
+      cancelPipeline();
+      return;
+    }
+    log.info(`Received ${signal}, shutting down.`);
+    removePartialFiles();
+    closeBrowser().finally(() => process.exit(code));
+  });
+}
+
+main()
+  .catch((error) => {
+    log.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    const report = runReport();
+    printSummary(report);
+    saveReport(report);
+    // Cron jobs are alerted by the exit code.
+    if (report.failures && !process.exitCode) process.exitCode = 1;
+    releaseLock();
+    return closeBrowser();
+  });
@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+import { log } from "./log.js";
+import { probeDuration } from "./media.js";
+
+const PROBE_CACHE_PATH = "./backgroundLibrary.json";
+const HISTORY_PATH = "./backgroundHistory.json";
+const HISTORY_LIMIT = 500;
+const VIDEO_EXTENSIONS = [".mp4", ".mov", ".mkv", ".webm"];
+// Gameplay recordings usually open on menus or a fade-in.
+const SKIP_INTRO_SECONDS = 5;
+
+const readJson = (filePath, fallback) =>
+  fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, "utf8"))
+    : fallback;
+
+const writeJson = (filePath, data) => {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+};
+
+const walk = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return walk(entryPath);
+    return VIDEO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+      ? [entryPath]
+      : [];
+  });
+
+/**
+ * Lists the clips a profile may use. A library is a folder of videos whose
+ * first-level subfolders are categories (e.g. backgrounds/minecraft/...);
+ * a plain list of files is used as-is.
+ */
+export const listClips = (backgrounds) => {
+  if (Array.isArray(backgrounds)) return backgrounds;
+  if (!fs.existsSync(backgrounds.library)) return [];
+  const clips = walk(backgrounds.library);
+  if (!backgrounds.categories?.length) return clips;
+  return clips.filter((clip) => {
+    const [category] = path.relative(backgrounds.library, clip).split(path.sep);
+    return backgrounds.categories.includes(category);
+  });
+};
+
+/**
+ * Returns each clip's duration. Results are cached on disk by path, size
+ * and modification time, so every file is only probed once.
+ */
+const getDurations = async (clips) => {
+  const cache = readJson(PROBE_CACHE_PATH, {});
+  let changed = false;
+  const durations = {};
+  for (const clip of clips) {
+    const { size, mtimeMs } = fs.statSync(clip);
+    const cached = cache[clip];
+    if (cached?.size !== size || cached?.mtimeMs !== mtimeMs) {
+      log.info(`Probing background clip ${clip}`);
+      cache[clip] = { size, mtimeMs, duration: await probeDuration(clip) };
+      changed = true;
+    }
+    durations[clip] = cache[clip].duration;
+  }
+  if (changed) writeJson(PROBE_CACHE_PATH, cache);
+  return durations;
+};
+
+const overlaps = (a, b, length) => Math.abs(a - b) < length;
+
+/**
+ * Picks a clip and a start offset with room for `length` seconds of
+ * footage. Picks that overlap one of the last `recentWindow` uses of the
+ * same clip are rejected, so consecutive shorts do not open on
+ * the same frames. The choice is recorded in the usage history.
+ */
+export const pickBackground = async (backgrounds, length) => {
+  const clips = listClips(backgrounds);
+  if (!clips.length) throw new Error("No background clips available");
+  const durations = await getDurations(clips);
+  const usable = clips
+    .map((clip) => ({
+      clip,
+      // Range of valid start offsets.
+      from: Math.min(SKIP_INTRO_SECONDS, Math.max(0, durations[clip] - length)),
+      to: Math.max(0, durations[clip] - length),
+    }))
+    .filter(({ clip }) => durations[clip] >= length);
+
+  const history = readJson(HISTORY_PATH, []);
+  const recentWindow = backgrounds.recentWindow ?? 20;
+  const recent = history.slice(-recentWindow);
+  let choice = null;
+  if (usable.length) {
+    const totalRange = usable.reduce((sum, c) => sum + (c.to - c.from), 0);
+    for (let attempt = 0; attempt < 25 && !choice; attempt++) {
+      // Longer clips offer more distinct offsets, so they are picked more.
+      let roll = Math.random() * totalRange;
+      const candidate =
+        usable.find((c) => (roll -= c.to - c.from) <= 0) ||
+        usable[usable.length - 1];
+      const start =
+        candidate.from + Math.random() * (candidate.to - candidate.from);
+      const isRepeat = recent.some(
+        (use) =>
+          use.clip === candidate.clip && overlaps(use.start, start, length)
+      );
+      if (!isRepeat || attempt === 24) {
+        choice = { path: candidate.clip, start, loop: false };
+      }
+    }
+  } else {
+    // Nothing is long enough: loop the longest clip from its start.
+    const longest = clips.reduce((a, b) =>
+      durations[a] >= durations[b] ? a : b
+    );
+    log.warn(
+      `No background clip is ${length.toFixed(1)}s long; looping ${longest}.`
+    );
+    choice = { path: longest, start: 0, loop: true };
+  }
+
+  history.push({
+    clip: choice.path,
+    start: choice.start,
+    length,
+    usedAt: new Date().toISOString(),
+  });
+  writeJson(HISTORY_PATH, history.slice(-HISTORY_LIMIT));
+  return choice;
+};
@@ -0,0 +1,85 @@
+import puppeteer from "puppeteer";
+
+/**
+ * One Chromium instance shared by the whole run. Pages are pooled and handed
+ * out through withPage(), which also caps how many are busy at once.
+ */
+let settings = { concurrency: 4, executablePath: undefined };
+let browserPromise = null;
+let browserInstance = null;
+const idlePages = [];
+const waiting = [];
+let busy = 0;
+
+export const configureBrowser = (options) => {
+  settings = { ...settings, ...options };
+};
+
+const getBrowser = () => {
+  browserPromise ||= puppeteer
+    .launch({ executablePath: settings.executablePath })
+    .then((browser) => {
+      browserInstance = browser;
+      browser.on("disconnected", () => {
+        browserPromise = null;
+        browserInstance = null;
+        idlePages.length = 0;
+      });
+      return browser;
+    })
+    .catch((error) => {
+      browserPromise = null;
+      throw error;
+    });
+  return browserPromise;
+};
+
+const acquireSlot = () => {
+  if (busy < settings.concurrency) {
+    busy++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waiting.push(resolve));
+};
+
+// A released slot goes straight to the next waiter, so `busy` only drops
+// when nobody is queued.
+const releaseSlot = () => {
+  const next = waiting.shift();
+  if (next) next();
+  else busy--;
+};
+
+/**
+ * Runs `fn` with a pooled page. Pages go back to the pool after success; a
+ * page whose task threw is closed since its state is unknown.
+ */
+export const withPage = async (fn) => {
+  await acquireSlot();
+  let page = null;
+  try {
+    page = idlePages.pop() || (await (await getBrowser()).newPage());
+    const result = await fn(page);
+    idlePages.push(page);
+    return result;
+  } catch (error) {
+    if (page && !page.isClosed()) await page.close().catch(() => {});
+    throw error;
+  } finally {
+    releaseSlot();
+  }
+};
+
+export const closeBrowser = async () => {
+  if (!browserPromise) return;
+  const browser = await browserPromise.catch(() => null);
+  browserPromise = null;
+  idlePages.length = 0;
+  await browser?.close();
+};
+
+// Last resort when the process dies without closeBrowser() running (an
+// uncaught exception or process.exit()): never leave Chromium orphaned.
+process.on("exit", () => {
+  browserInstance?.process()?.kill("SIGKILL");
+});
@@ -0,0 +1,255 @@
+import fs from "fs";
+import OpenAI from "openai";
+import { log } from "./log.js";
+import { recordUsage } from "./pipeline.js";
+
+export const CAPTION_TIMINGS = ["whisper", "estimate"];
+export const CAPTION_POSITIONS = { top: 8, center: 5, bottom: 2 };
+
+// Clients by API key, as channels may bill transcription to different
+// accounts.
+const clients = new Map();
+
+const clientFor = (apiKey) => {
+  if (!clients.has(apiKey)) {
+    clients.set(apiKey, new OpenAI({ apiKey, maxRetries: 2 }));
+  }
+  return clients.get(apiKey);
+};
+
+const normalize = (word) =>
+  word
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^\p{L}\p{N}]/gu, "");
+
+const scriptWords = (text) => text.split(/\s+/).filter(Boolean);
+
+/**
+ * Spreads the audio duration over the script, weighting each word by its
+ * length and adding a pause after punctuation. Needs no network, but drifts
+ * when the voice speeds up or slows down.
+ */
+const estimateTimings = (text, duration) => {
+  const words = scriptWords(text);
+  const weights = words.map((word) => {
+    let weight = word.length + 2;
+    if (/[.!?]["')\]]*$/.test(word)) weight += 6;
+    else if (/[,;:]["')\]]*$/.test(word)) weight += 3;
+    return weight;
+  });
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let cursor = 0;
+  return words.map((word, i) => {
+    const start = cursor;
+    cursor += (weights[i] / total) * duration;
+    return { word, start, end: cursor };
+  });
+};
+
+/**
+ * Transcribes the narration with word timestamps and maps them back onto the
+ * script, so captions keep the script's spelling and punctuation. Script
+ * words the transcription missed get times interpolated from their
+ * neighbours. `settings.language`, when set, tells Whisper which language
+ * it hears instead of leaving it to guess.
+ */
+const whisperTimings = async (audioPath, text, duration, settings) => {
+  const client = clientFor(settings.apiKey);
+  const transcription = await client.audio.transcriptions.create({
+    file: fs.createReadStream(audioPath),
+    model: "whisper-1",
+    response_format: "verbose_json",
+    timestamp_granularities: ["word"],
+    // Whisper takes the ISO 639-1 code, without a region.
+    ...(settings.language && {
+      language: settings.language.split("-")[0].toLowerCase(),
+    }),
+  });
+  const heard = (transcription.words || []).map((w) => ({
+    ...w,
+    key: normalize(w.word),
+  }));
+  // Whisper is billed by the second of audio, whatever it heard.
+  recordUsage("openai", {
+    transcriptionSeconds: transcription.duration || duration,
+  });
+  if (!heard.length) throw new Error("transcription returned no words");
+
+  const words = scriptWords(text).map((word) => ({
+    word,
+    key: normalize(word),
+  }));
+  let next = 0;
+  for (const entry of words) {
+    // Look a few words ahead so one misheard word does not derail the rest.
+    const match = heard
+      .slice(next, next + 6)
+      .findIndex(({ key }) => key && key === entry.key);
+    if (match !== -1) {
+      const { start, end } = heard[next + match];
+      Object.assign(entry, { start, end });
+      next += match + 1;
+    }
+  }
+  words.forEach((entry, i) => {
+    if (entry.start !== undefined) return;
+    const before = words
+      .slice(0, i)
+      .reverse()
+      .find((w) => w.end !== undefined);
+    const after = words.slice(i + 1).find((w) => w.start !== undefined);
+    const from = before?.end ?? 0;
+    const to = after?.start ?? duration;
+    const gap = words.slice(i, after ? words.indexOf(after) : words.length);
+    const step = (to - from) / gap.length;
+    gap.forEach((w, j) => {
+      w.start = from + step * j;
+      w.end = from + step * (j + 1);
+    });
+  });
+  return words.map(({ word, start, end }) => ({ word, start, end }));
+};
+
+/**
+ * Returns `{ word, start, end }` for every word of the script, in seconds.
+ * Whisper alignment falls back to an estimate when the request fails.
+ */
+export const getWordTimings = async (audioPath, text, duration, settings) => {
+  if (settings.timing === "whisper") {
+    try {
+      return await whisperTimings(audioPath, text, duration, settings);
+    } catch (error) {
+      log.warn(
+        `Caption alignment failed (${error.message}). Estimating word timings instead.`
+      );
+    }
+  }
+  return estimateTimings(text, duration);
+};
+
+/**
+ * Groups words into short captions, never running a caption across the end
+ * of a sentence. Short pauses between captions are bridged so the text does
+ * not flicker off between them.
+ */
+export const groupCaptions = (timings, wordsPerCaption) => {
+  const captions = [];
+  let current = [];
+  for (const timing of timings) {
+    current.push(timing);
+    if (
+      current.length >= wordsPerCaption ||
+      /[.!?]["')\]]*$/.test(timing.word)
+    ) {
+      captions.push(current);
+      current = [];
+    }
+  }
+  if (current.length) captions.push(current);
+  return captions.map((words, i) => {
+    const end = words[words.length - 1].end;
+    const nextStart = captions[i + 1]?.[0].start;
+    return {
+      words,
+      start: words[0].start,
+      end: nextStart !== undefined && nextStart - end < 1 ? nextStart : end,
+    };
+  });
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+const srtTime = (seconds) => {
+  const ms = Math.round(seconds * 1000);
+  return `${pad(Math.floor(ms / 3600000))}:${pad(
+    Math.floor(ms / 60000) % 60
+  )}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+};
+
+const assTime = (seconds) => {
+  const cs = Math.round(seconds * 100);
+  return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(
+    Math.floor(cs / 100) % 60
+  )}.${pad(cs % 100)}`;
+};
+
+// "#RRGGBB" -> ASS "&H00BBGGRR"
+const assColor = (hex) => {
+  const [, r, g, b] = hex.match(/^#(..)(..)(..)$/);
+  return `&H00${b}${g}${r}`.toUpperCase();
+};
+
+const assText = (word) => word.replace(/[{}]/g, "").replace(/\\/g, "/");
+
+export const buildSrt = (captions) =>
+  captions
+    .map(
+      ({ words, start, end }, i) =>
+        `${i + 1}\n${srtTime(start)} --> ${srtTime(end)}\n${words
+          .map(({ word }) => word)
+          .join(" ")}\n`
+    )
+    .join("\n");
+
+/**
+ * Builds an ASS script for a 1080x1920 frame. Each caption is one karaoke
+ * line: words switch from the base colour to the highlight colour as they
+ * are spoken (\k durations are in centiseconds).
+ */
+export const buildAss = (captions, style) => {
+  const header = `[Script Info]
+ScriptType: v4.00+
+PlayResX: 1080
+PlayResY: 1920
+WrapStyle: 0
+ScaledBorderAndShadow: yes
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Caption,${style.font},${style.fontSize},${assColor(
+    style.highlightColor
+  )},${assColor(style.color)},${assColor(
+    style.outlineColor
+  )},&H80000000,-1,0,0,0,100,100,0,0,1,6,2,${
+    CAPTION_POSITIONS[style.position]
+  },80,80,${style.marginV},1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+`;
+  const events = captions.map(({ words, start, end }) => {
+    // A word stays current until the next one starts, so pauses are
+    // included in its \k duration and the highlight never runs ahead.
+    const text = words
+      .map(({ word, start: wordStart }, i) => {
+        const until = words[i + 1]?.start ?? end;
+        const duration = Math.max(1, Math.round((until - wordStart) * 100));
+        return `{\\k${duration}}${assText(word)}`;
+      })
+      .join(" ");
+    return `Dialogue: 0,${assTime(start)},${assTime(
+      end
+    )},Caption,,0,0,0,,${text}`;
+  });
+  return `${header}${events.join("\n")}\n`;
+};
+
+/**
+ * Aligns the narration with its script and writes the burned-in ASS script,
+ * the matching SRT and the raw word timings (used to time the cards).
+ */
+export const writeCaptions = async (
+  audioPath,
+  text,
+  duration,
+  { assPath, srtPath, timingsPath },
+  settings
+) => {
+  const timings = await getWordTimings(audioPath, text, duration, settings);
+  const captions = groupCaptions(timings, settings.wordsPerCaption);
+  fs.writeFileSync(assPath, buildAss(captions, settings));
+  fs.writeFileSync(srtPath, buildSrt(captions));
+  fs.writeFileSync(timingsPath, JSON.stringify(timings));
+  return { assPath, srtPath, timingsPath };
+};
@@ -0,0 +1,389 @@
+import fs from "fs";
+import path from "path";
+import { withPage } from "./browser.js";
+import { markdownToHtml } from "./markdown.js";
+import { splitSentences, splitWords } from "./text.js";
+import { loadTemplate, renderTemplate } from "./templates.js";
+
+const CARD_WIDTH = 600;
+// createVideo scales cards from CARD_WIDTH to this many pixels wide.
+export const VIDEO_CARD_WIDTH = 900;
+
+/**
+ * Breaks a paragraph into chunks of at most `maxWords` words, cutting at
+ * sentence boundaries. A single sentence longer than the limit stays whole
+ * here and is split later if it does not fit on a card.
+ */
+const chunkParagraph = (paragraph, maxWords) => {
+  const chunks = [];
+  let current = [];
+  for (const sentence of splitSentences(paragraph).filter(Boolean)) {
+    const words = splitWords(sentence);
+    if (current.length && current.length + words.length > maxWords) {
+      chunks.push(current);
+      current = [];
+    }
+    current.push(...words);
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Plans the cards for one narrated segment. The first paragraph of the
+ * first segment is the post title and becomes a title card; the rest is cut
+ * into paragraph cards, packing short paragraphs together up to
+ * `maxWords`. `wordStart`/`wordEnd` index into the segment's words (split
+ * on whitespace, as the caption timings are) so each card can be shown
+ * while its words are spoken.
+ */
+export const planCards = (segmentText, { withTitle, maxWords }) => {
+  const paragraphs = segmentText
+    .split(/\n+/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+  const cards = [];
+  let wordIndex = 0;
+  const addCard = (type, chunks) => {
+    const wordCount = chunks.reduce((sum, words) => sum + words.length, 0);
+    cards.push({
+      type,
+      text: chunks.map((words) => words.join(" ")).join("\n"),
+      wordStart: wordIndex,
+      wordEnd: wordIndex + wordCount,
+    });
+    wordIndex += wordCount;
+  };
+  let pending = [];
+  const pendingWords = () =>
+    pending.reduce((sum, words) => sum + words.length, 0);
+  paragraphs.forEach((paragraph, i) => {
+    if (withTitle && i === 0) {
+      addCard("title", [splitWords(paragraph)]);
+      return;
+    }
+    for (const words of chunkParagraph(paragraph, maxWords)) {
+      if (pending.length && pendingWords() + words.length > maxWords) {
+        addCard("body", pending);
+        pending = [];
+      }
+      pending.push(words);
+    }
+  });
+  if (pending.length) addCard("body", pending);
+  return cards;
+};
+
+/**
+ * Plans the cards of the verdict segment, whose text is built by
+ * verdictText: one verdict card for the intro, then each comment cut into
+ * comment cards that carry the commenter and score for their header.
+ */
+export const planVerdictCards = (verdict, { maxWords }) => {
+  const cards = [];
+  let wordIndex = 0;
+  const addCard = (card, words) => {
+    cards.push({
+      ...card,
+      text: words.join(" "),
+      wordStart: wordIndex,
+      wordEnd: wordIndex + words.length,
+    });
+    wordIndex += words.length;
+  };
+  addCard(
+    { type: "verdict", judgement: verdict.tally?.verdict || null },
+    splitWords(verdict.intro)
+  );
+  for (const { author, score, body } of verdict.comments) {
+    for (const words of chunkParagraph(body, maxWords)) {
+      addCard({ type: "comment", author, score }, words);
+    }
+  }
+  return cards;
+};
+
+/**
+ * Splits a card that rendered too tall into two, preferring a sentence
+ * boundary near the middle. Returns null when the card is a single word.
+ */
+const splitCard = (card) => {
+  const words = splitWords(card.text);
+  if (words.length < 2) return null;
+  const middle = Math.floor(words.length / 2);
+  const boundaries = words
+    .map((word, i) => (/[.!?]["')\]]*$/.test(word) ? i + 1 : null))
+    .filter((i) => i && i < words.length);
+  const cut = boundaries.length
+    ? boundaries.reduce((best, i) =>
+        Math.abs(i - middle) < Math.abs(best - middle) ? i : best
+      )
+    : middle;
+  return [
+    {
+      ...card,
+      text: words.slice(0, cut).join(" "),
+      wordEnd: card.wordStart + cut,
+    },
+    {
+      ...card,
+      type: card.type === "title" ? "body" : card.type,
+      text: words.slice(cut).join(" "),
+      wordStart: card.wordStart + cut,
+    },
+  ];
+};
+
+const JUDGEMENT_COLORS = {
+  NTA: "#46D160",
+  YTA: "#FF4500",
+  ESH: "#FFB000",
+  NAH: "#0079D3",
+};
+const DEFAULT_ICON_COLOR = "#FF4500";
+// More badges than this crowd the title card.
+const MAX_AWARDS = 6;
+
+const isColor = (value) => /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(value || "");
+
+const formatCount = (count) => {
+  if (!Number.isFinite(count)) return "0";
+  if (count < 1000) return String(count);
+  const value = count / (count < 1e6 ? 1e3 : 1e6);
+  return `${
+    value < 10 ? value.toFixed(1).replace(/\.0$/, "") : Math.round(value)
+  }${count < 1e6 ? "k" : "M"}`;
+};
+
+const AGE_UNITS = [
+  ["year", 365 * 24 * 3600],
+  ["month", 30 * 24 * 3600],
+  ["day", 24 * 3600],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1],
+];
+
+/**
+ * How long ago the post was made, in the card's `language`: short
+ * ("5h ago") for the new Reddit look and long ("5 hours ago") for the old
+ * one.
+ */
+const postAge = (createdUtc, language, now = Date.now()) => {
+  if (!createdUtc) return { age: null, ageLong: null };
+  const seconds = Math.max(0, now / 1000 - createdUtc);
+  const [unit, size] =
+    AGE_UNITS.find(([, size]) => seconds >= size) || AGE_UNITS.at(-1);
+  const count = -Math.floor(seconds / size);
+  return {
+    age: new Intl.RelativeTimeFormat(language, { style: "narrow" }).format(
+      count,
+      unit
+    ),
+    ageLong: new Intl.RelativeTimeFormat(language, {
+      numeric: "auto",
+    }).format(count, unit),
+  };
+};
+
+// The smallest rendition of an award icon that is still sharp on a card.
+const awardIcon = (award) =>
+  [...(award.resized_icons || [])]
+    .sort((a, b) => a.width - b.width)
+    .find((icon) => icon.width >= 32)?.url ||
+  award.icon_url ||
+  null;
+
+const awardBadges = (post) =>
+  (post.all_awardings || [])
+    .filter((award) => award.count > 0)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_AWARDS)
+    .map((award) => ({
+      name: award.name,
+      icon: awardIcon(award),
+      count: award.count > 1 ? award.count : null,
+    }));
+
+/**
+ * What the card templates get to fill in. Text from the post is escaped by
+ * the templates; only `content` is markup, rendered here from markdown.
+ */
+const cardView = (post, card, { partLabel, community, layout, language }) => {
+  const subreddit = post.subreddit_name_prefixed || "unknown";
+  const communityColor = [community?.primary_color, community?.key_color].find(
+    isColor
+  );
+  const view = {
+    type: card.type,
+    subreddit,
+    author: post.author || "unknown",
+    partLabel,
+    icon: layout.showIcon
+      ? community?.community_icon || community?.icon_img || null
+      : null,
+    initial: subreddit.replace(/^r\//, "").charAt(0).toUpperCase(),
+    iconColor: communityColor || DEFAULT_ICON_COLOR,
+    ...(layout.showAge ? postAge(post.created_utc, language) : {}),
+  };
+  if (card.type === "title") {
+    return {
+      ...view,
+      title: card.text,
+      ups: formatCount(post.ups),
+      comments: formatCount(post.num_comments),
+      awards: layout.showAwards ? awardBadges(post) : [],
+    };
+  }
+  if (card.type === "verdict") {
+    return {
+      ...view,
+      text: card.text,
+      judgementColor: JUDGEMENT_COLORS[card.judgement] || "#F3F3F3",
+    };
+  }
+  return {
+    ...view,
+    commenter: card.author,
+    score: formatCount(card.score),
+    content: markdownToHtml(card.text),
+  };
+};
+
+/**
+ * Themes live in `<templatesDir>/themes/<theme>/` as a theme.css and,
+ * optionally, their own versions of the card templates.
+ */
+const themeFile = (layout, file) => {
+  const themed = path.join(layout.templatesDir, "themes", layout.theme, file);
+  return fs.existsSync(themed) ? themed : path.join(layout.templatesDir, file);
+};
+
+export const listThemes = (templatesDir) => {
+  const dir = path.join(templatesDir, "themes");
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+};
+
+/**
+ * The page for one card, from the `<type>.html` template of the layout's
+ * theme inside page.html, styled by base.css and the theme's theme.css.
+ * A title card shows the post header, the title, its awards and
+ * vote/comment counts; a paragraph card shows a compact header and one
+ * chunk of text. Verdict segments use a verdict banner and comment cards
+ * headed by the commenter and score.
+ */
+const cardHtml = (post, card, options) => {
+  const { layout } = options;
+  const view = cardView(post, card, options);
+  return renderTemplate(loadTemplate(themeFile(layout, "page.html")), {
+    language: options.language,
+    type: card.type,
+    cardWidth: CARD_WIDTH,
+    styles: [
+      loadTemplate(path.join(layout.templatesDir, "base.css")),
+      loadTemplate(
+        path.join(layout.templatesDir, "themes", layout.theme, "theme.css")
+      ),
+    ].join("\n"),
+    body: renderTemplate(
+      loadTemplate(themeFile(layout, `${card.type}.html`)),
+      view
+    ),
+  });
+};
+
+/**
+ * Screenshots one card on a pooled page. Returns null instead when the card
+ * is taller than `maxPageHeight` and can still be split.
+ */
+const screenshotCard = (post, card, { maxPageHeight, ...options }) =>
+  withPage(async (page) => {
+    await page.setViewport({ width: CARD_WIDTH, height: 400 });
+    // Cards are static; nothing from a post should ever get to run.
+    await page.setJavaScriptEnabled(false);
+    await page.setContent(cardHtml(post, card, options), {
+      waitUntil: "networkidle0",
+    });
+    const height = await page.$eval(
+      ".container",
+      (el) => el.getBoundingClientRect().height
+    );
+    if (height > maxPageHeight && splitCard(card)) return null;
+    const image = await page.screenshot({
+      fullPage: true,
+      omitBackground: true,
+    });
+    return { ...card, image };
+  });
+
+const renderFitting = async (post, card, options) => {
+  const rendered = await screenshotCard(post, card, options);
+  if (rendered) return [rendered];
+  const halves = await Promise.all(
+    splitCard(card).map((half) => renderFitting(post, half, options))
+  );
+  return halves.flat();
+};
+
+/**
+ * Screenshots every card of a segment concurrently (bounded by the browser
+ * pool), in the look of `layout` (see cardHtml). `community` is the
+ * subreddit's about data, for its icon and colour; `language` is the one
+ * the cards are written in. Cards taller than `layout.maxCardHeight` video
+ * pixels are split and rendered again until they fit, so the result can
+ * hold more cards than were planned.
+ * `pathFor(i)` names the i-th image.
+ */
+export const renderCards = async (
+  post,
+  cards,
+  pathFor,
+  { layout, partLabel = null, community = null, language = "en" }
+) => {
+  const maxPageHeight = Math.floor(
+    (layout.maxCardHeight * CARD_WIDTH) / VIDEO_CARD_WIDTH
+  );
+  const rendered = (
+    await Promise.all(
+      cards.map((card) =>
+        renderFitting(post, card, {
+          maxPageHeight,
+          layout,
+          partLabel,
+          community,
+          language,
+        })
+      )
+    )
+  ).flat();
+  return rendered.map(({ image, ...card }, i) => {
+    const cardPath = pathFor(i + 1);
+    fs.writeFileSync(cardPath, image);
+    return { ...card, path: cardPath };
+  });
+};
+
+/**
+ * Converts card word ranges into on-screen times using the narration's word
+ * timings. Cards follow each other without gaps: each one stays up until the
+ * next card's first word is spoken, and the last one until the audio ends.
+ * Without timings the duration is shared out by word count.
+ */
+export const timeCards = (cards, timings, duration) => {
+  const totalWords = cards[cards.length - 1]?.wordEnd || 1;
+  const startOf = (card, i) => {
+    if (i === 0) return 0;
+    if (timings?.[card.wordStart]) return timings[card.wordStart].start;
+    return (card.wordStart / totalWords) * duration;
+  };
+  const starts = cards.map(startOf);
+  return cards.map((card, i) => ({
+    ...card,
+    start: starts[i],
+    end: starts[i + 1] ?? duration,
+  }));
+};
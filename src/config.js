@@ -0,0 +1,1462 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { TTS_PROVIDERS } from "./tts/index.js";
+import { DEFAULT_PROMPTS_DIR, LLM_PROVIDERS } from "./llm/index.js";
+import { CAPTION_POSITIONS, CAPTION_TIMINGS } from "./captions.js";
+import { listClips } from "./backgrounds.js";
+import { listTracks } from "./music.js";
+import { THUMBNAIL_STYLES } from "./thumbnails.js";
+import { listThemes } from "./cards.js";
+import { SOURCES } from "./sources/index.js";
+import { UPLOAD_MODES, isLanguageCode, languageName } from "./languages.js";
+import { PUBLISHERS, enabledPublishers } from "./publishers/index.js";
+import { LOG_FORMATS, log } from "./log.js";
+import { parseCron } from "./cron.js";
+
+export const DEFAULT_CONFIG_PATH = "./config.json";
+export const FALLBACK_CONFIG_PATH = "./config.default.json";
+
+const SORTS = ["hot", "new", "top", "rising", "controversial"];
+const TIMES = ["hour", "day", "week", "month", "year", "all"];
+
+// Settings a subreddit entry may override from its channel.
+const PROFILE_KEYS = [
+  "voice",
+  "backgrounds",
+  "limit",
+  "thresholds",
+  "titleSuffix",
+  "hashtags",
+  "captions",
+  "layout",
+  "music",
+  "filters",
+  "source",
+  "verdict",
+  "thumbnails",
+  "segments",
+  "cron",
+];
+
+const ROOT_KEYS = [
+  "channels",
+  "llm",
+  "browser",
+  "concurrency",
+  "dashboard",
+  "logging",
+  "costs",
+];
+const CHANNEL_KEYS = [
+  "name",
+  "outputDir",
+  "subreddits",
+  "youtube",
+  "tiktok",
+  "instagram",
+  "llm",
+  "languages",
+  "review",
+  "daemon",
+];
+const SUBREDDIT_KEYS = ["name", "sort", "time"];
+
+const DEFAULT_THRESHOLDS = { minWords: 50 };
+// Replaced by the narration-based limits in `segments`.
+const LEGACY_THRESHOLDS = ["splitAbove", "segmentWords"];
+// `maxDuration` (seconds) keeps longer videos off a platform; null allows
+// whatever the platform itself does.
+const DEFAULT_YOUTUBE = {
+  enabled: true,
+  clientId: "${YOUTUBE_CLIENT_ID}",
+  clientSecret: "${YOUTUBE_CLIENT_SECRET}",
+  refreshToken: "${YOUTUBE_REFRESH_TOKEN}",
+  redirectUri: "http://localhost",
+  privacyStatus: "public",
+  categoryId: "22",
+  defaultLanguage: "en",
+  tags: [],
+  madeForKids: false,
+  // Narration is synthetic, so YouTube's altered-content disclosure is on.
+  containsSyntheticMedia: true,
+  schedule: null,
+  // Units per day of the Google project behind clientId (insert costs 1600).
+  dailyQuota: 10000,
+  maxRetries: 5,
+  retryDelayMs: 2000,
+  // Override the resumable upload and OAuth token endpoints, e.g. for a
+  // local mock.
+  uploadURL: "",
+  tokenURL: "",
+  maxDuration: null,
+};
+const PRIVACY_STATUSES = ["public", "unlisted", "private"];
+
+// Posting through the Content Posting API needs an app with the
+// video.publish scope. Until TikTok has audited the app it may only post
+// privately (SELF_ONLY).
+const DEFAULT_TIKTOK = {
+  enabled: false,
+  clientKey: "${TIKTOK_CLIENT_KEY}",
+  clientSecret: "${TIKTOK_CLIENT_SECRET}",
+  refreshToken: "${TIKTOK_REFRESH_TOKEN}",
+  privacyLevel: "SELF_ONLY",
+  disableComment: false,
+  disableDuet: false,
+  disableStitch: false,
+  containsSyntheticMedia: true,
+  maxDuration: null,
+  // Overrides https://open.tiktokapis.com, e.g. for a local mock.
+  baseURL: "",
+  maxRetries: 3,
+  retryDelayMs: 2000,
+  pollIntervalMs: 5000,
+  pollTimeoutMs: 600000,
+};
+const TIKTOK_PRIVACY_LEVELS = [
+  "PUBLIC_TO_EVERYONE",
+  "MUTUAL_FOLLOW_FRIENDS",
+  "FOLLOWER_OF_CREATOR",
+  "SELF_ONLY",
+];
+
+// Reels go out through the Instagram Graph API of a professional account,
+// with a long-lived access token.
+const DEFAULT_INSTAGRAM = {
+  enabled: false,
+  userId: "${INSTAGRAM_USER_ID}",
+  accessToken: "${INSTAGRAM_ACCESS_TOKEN}",
+  apiVersion: "v21.0",
+  shareToFeed: true,
+  maxDuration: null,
+  // Override the Graph API and video upload hosts, e.g. for a local mock.
+  baseURL: "",
+  uploadURL: "",
+  maxRetries: 3,
+  retryDelayMs: 2000,
+  pollIntervalMs: 5000,
+  pollTimeoutMs: 600000,
+};
+
+// Scheduled videos go out one per slot; times are "HH:MM" in `timezone`.
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  times: ["09:00", "15:00", "21:00"],
+  timezone: "UTC",
+  minLeadMinutes: 60,
+  maxDaysAhead: 30,
+};
+
+const DEFAULT_LLM = {
+  provider: "openai",
+  model: "gpt-4o-mini",
+  apiKey: "${OPENAI_API_KEY}",
+  baseURL: "",
+  temperature: 1,
+  maxRetries: 3,
+  retryDelayMs: 1000,
+  promptsDir: DEFAULT_PROMPTS_DIR,
+  minWordRetention: 0.85,
+};
+
+const DEFAULT_BROWSER = { concurrency: 4, executablePath: "" };
+// Tasks per worker pool that may run at once (see src/pipeline.js). Renders
+// keep ffmpeg busy on every core already, so one at a time is the default.
+const DEFAULT_CONCURRENCY = { llm: 4, tts: 2, render: 1, upload: 2 };
+// Every run ends with a report, saved as <reportsDir>/<run id>.json unless
+// `reportsDir` is empty (see src/pipeline.js).
+const DEFAULT_LOGGING = { format: "auto", reportsDir: "./reports" };
+// US dollars per million units of what a run uses, to estimate its spend:
+// OpenAI tokens (gpt-4o-mini prices), speech characters (tts-1's price,
+// which gpt-4o-mini-tts comes close to) and Whisper seconds; tokens of
+// OpenAI-compatible servers, which are mostly local and free; and PlayHT
+// characters, which are billed by plan, so their price is left to the
+// config.
+const DEFAULT_COSTS = {
+  openai: {
+    inputTokens: 0.15,
+    outputTokens: 0.6,
+    speechCharacters: 15,
+    transcriptionSeconds: 100,
+  },
+  "openai-compatible": { inputTokens: 0, outputTokens: 0 },
+  playht: { characters: 0 },
+};
+// The review dashboard has no login, so it only listens on this machine
+// unless `host` says otherwise.
+const DEFAULT_DASHBOARD = {
+  host: "127.0.0.1",
+  port: 3000,
+  templatesDir: "./templates/dashboard",
+};
+// Cards are drawn from the templates in `templatesDir` in one of its themes
+// (see src/cards.js).
+const DEFAULT_LAYOUT = {
+  maxCardWords: 60,
+  maxCardHeight: 900,
+  templatesDir: "./templates/cards",
+  theme: "dark",
+  showIcon: true,
+  showAge: true,
+  showAwards: true,
+};
+const DEFAULT_CAPTIONS = {
+  enabled: true,
+  timing: "whisper",
+  apiKey: "${OPENAI_API_KEY}",
+  wordsPerCaption: 3,
+  font: "Arial",
+  fontSize: 96,
+  color: "#FFFFFF",
+  highlightColor: "#FFD400",
+  outlineColor: "#000000",
+  position: "bottom",
+  marginV: 320,
+};
+
+// Music is off unless a channel turns it on. -14 LUFS matches the level
+// YouTube normalizes playback to.
+const DEFAULT_MUSIC = {
+  enabled: false,
+  library: "./music",
+  volume: 0.3,
+  duckRatio: 8,
+  fadeIn: 1,
+  fadeOut: 2,
+  loudness: -14,
+};
+
+// Reddit asks clients to identify themselves as
+// <platform>:<app id>:<version> (by /u/<username>).
+const DEFAULT_SOURCE = {
+  type: "reddit",
+  userAgent: "nodejs:youtube-faceless:1.0.0",
+  clientId: "${REDDIT_CLIENT_ID}",
+  clientSecret: "${REDDIT_CLIENT_SECRET}",
+  username: "${REDDIT_USERNAME}",
+  password: "${REDDIT_PASSWORD}",
+  baseURL: "",
+  dir: "",
+  maxRetries: 3,
+  retryDelayMs: 2000,
+  timeoutMs: 30000,
+};
+
+// The cover frame is shown for `coverDuration` seconds at the start of the
+// video, where the platforms pick their preview frame.
+const DEFAULT_THUMBNAILS = {
+  enabled: false,
+  style: "bold",
+  font: "Arial",
+  accentColor: "#FFD400",
+  cover: true,
+  coverDuration: 0.5,
+  upload: true,
+};
+
+// Stories that run longer than `maxSeconds` of narration are told in parts.
+// `margin` of that is kept spare for pacing. Until enough narration has been
+// measured, its length is estimated at `wordsPerMinute`. `recap` opens every
+// part after the first and `outro` closes every part before the last;
+// {part} and {next} stand for the part numbers, and an empty line is left out.
+// `partLabel` names a part in video titles, on cards and on thumbnails
+// ({count} is the number of parts).
+const DEFAULT_SEGMENTS = {
+  maxSeconds: 60,
+  margin: 0.1,
+  wordsPerMinute: 160,
+  recap: "Part {part}.",
+  outro: "Follow for part {next}.",
+  partLabel: "Part {part}",
+};
+
+// Each post is also produced in every `targets` language (a code such as
+// "es", or an object that gives the language its own `name`, `voice`,
+// `titleSuffix`, `hashtags` and `segments` wording). `primary` is the
+// language of the original version. Translations are uploaded as videos of
+// their own ("separate") or as YouTube localizations of the original's
+// title and description ("localizations").
+const DEFAULT_LANGUAGES = {
+  primary: "en",
+  targets: [],
+  upload: "separate",
+};
+// Reviewed channels only render their videos; each one is uploaded once it
+// is approved in the dashboard (see the review command).
+const DEFAULT_REVIEW = { enabled: false };
+// In daemon mode each subreddit is fetched and rendered on its `cron`
+// schedule, read on the channel's `timezone` clock. Uploads go out at
+// `uploadTimes` instead, sharing `dailyUploads` between them.
+const DEFAULT_CRON = "0 6 * * *";
+const DEFAULT_DAEMON = {
+  timezone: "UTC",
+  dailyUploads: 3,
+  uploadTimes: ["09:00", "15:00", "21:00"],
+};
+
+const LANGUAGE_TARGET_KEYS = [
+  "code",
+  "name",
+  "voice",
+  "titleSuffix",
+  "hashtags",
+  "segments",
+];
+
+const DEFAULT_VERDICT = {
+  enabled: false,
+  comments: 2,
+  maxWords: 80,
+  minScore: 1,
+  tally: true,
+};
+
+// thresholds.minWords predates the filters and still sets their default.
+const DEFAULT_FILTERS = {
+  excludeKeywords: ["update", "meta"],
+  requireKeywords: [],
+  minWords: DEFAULT_THRESHOLDS.minWords,
+  maxWords: null,
+  minUpvotes: 0,
+  minComments: 0,
+  minAgeHours: null,
+  maxAgeHours: null,
+  skipNsfw: true,
+  skipSpoilers: true,
+  skipStickied: true,
+  skipRemoved: true,
+  skipMedia: true,
+  classify: false,
+};
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Replaces ${VAR} references in every string of the config with the matching
+ * environment variable, so secrets can stay in .env.
+ */
+const interpolateEnv = (value) => {
+  if (typeof value === "string") {
+    return value.replace(
+      /\$\{([A-Z0-9_]+)\}/gi,
+      (_, name) => process.env[name] ?? ""
+    );
+  }
+  if (Array.isArray(value)) return value.map(interpolateEnv);
+  if (isObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, interpolateEnv(v)])
+    );
+  }
+  return value;
+};
+
+const checkKeys = (errors, where, value, allowed) => {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) errors.push(`${where}.${key}: unknown setting`);
+  }
+};
+
+const checkString = (errors, where, value, { optional = false } = {}) => {
+  if (value === undefined && optional) return;
+  if (typeof value !== "string" || !value.trim()) {
+    errors.push(`${where}: must be a non-empty string`);
+  }
+};
+
+const checkPositiveInt = (errors, where, value) => {
+  if (value === undefined) return;
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push(`${where}: must be a positive integer`);
+  }
+};
+
+const checkStringList = (errors, where, value) => {
+  if (value === undefined) return;
+  if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) {
+    errors.push(`${where}: must be a list of strings`);
+  }
+};
+
+const VOICE_KEYS = [
+  "provider",
+  "id",
+  "engine",
+  "model",
+  "speed",
+  "binary",
+  "instructions",
+  "apiKey",
+];
+
+const checkVoice = (errors, where, voice) => {
+  checkKeys(errors, where, voice, VOICE_KEYS);
+  const provider = voice.provider || "playht";
+  if (!TTS_PROVIDERS[provider]) {
+    errors.push(
+      `${where}.provider: must be one of ${Object.keys(TTS_PROVIDERS).join(
+        ", "
+      )}`
+    );
+    return;
+  }
+  for (const key of VOICE_KEYS.filter((key) => key !== "speed")) {
+    checkString(errors, `${where}.${key}`, voice[key], {
+      optional: !TTS_PROVIDERS[provider].required.includes(key),
+    });
+  }
+  if (voice.speed === undefined) return;
+  const range = TTS_PROVIDERS[provider].speed;
+  if (!range) {
+    errors.push(`${where}.speed: ${provider} has no speed setting`);
+  } else if (
+    typeof voice.speed !== "number" ||
+    voice.speed < range.min ||
+    voice.speed > range.max
+  ) {
+    errors.push(
+      `${where}.speed: must be a number from ${range.min} to ${range.max} for ${provider}`
+    );
+  }
+};
+
+const BACKGROUND_KEYS = ["library", "categories", "recentWindow"];
+
+/**
+ * Backgrounds are either a list of video files or a library folder whose
+ * subfolders are categories to choose from.
+ */
+const checkBackgrounds = (errors, where, backgrounds) => {
+  if (backgrounds === undefined) return;
+  if (Array.isArray(backgrounds)) {
+    checkStringList(errors, where, backgrounds);
+    if (!backgrounds.length) {
+      errors.push(`${where}: must list at least one video`);
+    }
+    return;
+  }
+  if (!isObject(backgrounds)) {
+    errors.push(`${where}: must be a list of videos or a library object`);
+    return;
+  }
+  checkKeys(errors, where, backgrounds, BACKGROUND_KEYS);
+  checkString(errors, `${where}.library`, backgrounds.library);
+  checkStringList(errors, `${where}.categories`, backgrounds.categories);
+  checkPositiveInt(errors, `${where}.recentWindow`, backgrounds.recentWindow);
+};
+
+const checkLlm = (errors, where, llm) => {
+  if (llm === undefined) return;
+  if (!isObject(llm)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, llm, Object.keys(DEFAULT_LLM));
+  if (llm.provider !== undefined && !LLM_PROVIDERS[llm.provider]) {
+    errors.push(
+      `${where}.provider: must be one of ${Object.keys(LLM_PROVIDERS).join(
+        ", "
+      )}`
+    );
+  }
+  for (const key of ["model", "apiKey", "baseURL", "promptsDir"]) {
+    if (llm[key] !== undefined && typeof llm[key] !== "string") {
+      errors.push(`${where}.${key}: must be a string`);
+    }
+  }
+  if (
+    llm.temperature !== undefined &&
+    (typeof llm.temperature !== "number" ||
+      llm.temperature < 0 ||
+      llm.temperature > 2)
+  ) {
+    errors.push(`${where}.temperature: must be a number between 0 and 2`);
+  }
+  for (const key of ["maxRetries", "retryDelayMs"]) {
+    if (
+      llm[key] !== undefined &&
+      (!Number.isInteger(llm[key]) || llm[key] < 0)
+    ) {
+      errors.push(`${where}.${key}: must be a non-negative integer`);
+    }
+  }
+  if (
+    llm.minWordRetention !== undefined &&
+    (typeof llm.minWordRetention !== "number" ||
+      llm.minWordRetention < 0 ||
+      llm.minWordRetention > 1)
+  ) {
+    errors.push(`${where}.minWordRetention: must be a number between 0 and 1`);
+  }
+  if (llm.promptsDir && !fs.existsSync(llm.promptsDir)) {
+    errors.push(`${where}.promptsDir: directory not found: ${llm.promptsDir}`);
+  }
+};
+
+const checkCaptions = (errors, where, captions) => {
+  if (captions === undefined) return;
+  if (!isObject(captions)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, captions, Object.keys(DEFAULT_CAPTIONS));
+  if (captions.enabled !== undefined && typeof captions.enabled !== "boolean") {
+    errors.push(`${where}.enabled: must be true or false`);
+  }
+  if (
+    captions.timing !== undefined &&
+    !CAPTION_TIMINGS.includes(captions.timing)
+  ) {
+    errors.push(
+      `${where}.timing: must be one of ${CAPTION_TIMINGS.join(", ")}`
+    );
+  }
+  if (
+    captions.position !== undefined &&
+    !(captions.position in CAPTION_POSITIONS)
+  ) {
+    errors.push(
+      `${where}.position: must be one of ${Object.keys(CAPTION_POSITIONS).join(
+        ", "
+      )}`
+    );
+  }
+  for (const key of ["wordsPerCaption", "fontSize", "marginV"]) {
+    checkPositiveInt(errors, `${where}.${key}`, captions[key]);
+  }
+  for (const key of ["apiKey", "font"]) {
+    if (captions[key] !== undefined && typeof captions[key] !== "string") {
+      errors.push(`${where}.${key}: must be a string`);
+    }
+  }
+  for (const key of ["color", "highlightColor", "outlineColor"]) {
+    if (captions[key] !== undefined && !/^#[0-9a-f]{6}$/i.test(captions[key])) {
+      errors.push(`${where}.${key}: must be a #RRGGBB colour`);
+    }
+  }
+};
+
+const checkNumber = (errors, where, value, min, max) => {
+  if (value === undefined) return;
+  if (typeof value !== "number" || value < min || value > max) {
+    errors.push(`${where}: must be a number between ${min} and ${max}`);
+  }
+};
+
+const checkThumbnails = (errors, where, thumbnails) => {
+  if (thumbnails === undefined) return;
+  if (!isObject(thumbnails)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, thumbnails, Object.keys(DEFAULT_THUMBNAILS));
+  for (const key of ["enabled", "cover", "upload"]) {
+    if (thumbnails[key] !== undefined && typeof thumbnails[key] !== "boolean") {
+      errors.push(`${where}.${key}: must be true or false`);
+    }
+  }
+  if (
+    thumbnails.style !== undefined &&
+    !Object.keys(THUMBNAIL_STYLES).includes(thumbnails.style)
+  ) {
+    errors.push(
+      `${where}.style: must be one of ${Object.keys(THUMBNAIL_STYLES).join(
+        ", "
+      )}`
+    );
+  }
+  checkString(errors, `${where}.font`, thumbnails.font, { optional: true });
+  if (
+    thumbnails.accentColor !== undefined &&
+    !/^#[0-9a-f]{6}$/i.test(thumbnails.accentColor)
+  ) {
+    errors.push(`${where}.accentColor: must be a #RRGGBB colour`);
+  }
+  checkNumber(
+    errors,
+    `${where}.coverDuration`,
+    thumbnails.coverDuration,
+    0.1,
+    3
+  );
+};
+
+const checkSegments = (errors, where, segments) => {
+  if (segments === undefined) return;
+  if (!isObject(segments)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, segments, Object.keys(DEFAULT_SEGMENTS));
+  checkPositiveInt(errors, `${where}.maxSeconds`, segments.maxSeconds);
+  checkPositiveInt(errors, `${where}.wordsPerMinute`, segments.wordsPerMinute);
+  checkNumber(errors, `${where}.margin`, segments.margin, 0, 0.5);
+  for (const key of ["recap", "outro", "partLabel"]) {
+    if (segments[key] !== undefined && typeof segments[key] !== "string") {
+      errors.push(`${where}.${key}: must be a string`);
+    }
+  }
+};
+
+const checkMusic = (errors, where, music) => {
+  if (music === undefined) return;
+  if (!isObject(music)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, music, Object.keys(DEFAULT_MUSIC));
+  if (music.enabled !== undefined && typeof music.enabled !== "boolean") {
+    errors.push(`${where}.enabled: must be true or false`);
+  }
+  checkString(errors, `${where}.library`, music.library, { optional: true });
+  checkNumber(errors, `${where}.volume`, music.volume, 0, 1);
+  checkNumber(errors, `${where}.duckRatio`, music.duckRatio, 1, 20);
+  checkNumber(errors, `${where}.fadeIn`, music.fadeIn, 0, 30);
+  checkNumber(errors, `${where}.fadeOut`, music.fadeOut, 0, 30);
+  checkNumber(errors, `${where}.loudness`, music.loudness, -70, -5);
+};
+
+const checkFilters = (errors, where, filters) => {
+  if (filters === undefined) return;
+  if (!isObject(filters)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, filters, Object.keys(DEFAULT_FILTERS));
+  for (const key of ["excludeKeywords", "requireKeywords"]) {
+    checkStringList(errors, `${where}.${key}`, filters[key]);
+  }
+  for (const key of [
+    "minWords",
+    "maxWords",
+    "minUpvotes",
+    "minComments",
+    "minAgeHours",
+    "maxAgeHours",
+  ]) {
+    const value = filters[key];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== "number" || value < 0) {
+      errors.push(`${where}.${key}: must be a non-negative number`);
+    }
+  }
+  for (const key of [
+    "skipNsfw",
+    "skipSpoilers",
+    "skipStickied",
+    "skipRemoved",
+    "skipMedia",
+    "classify",
+  ]) {
+    if (filters[key] !== undefined && typeof filters[key] !== "boolean") {
+      errors.push(`${where}.${key}: must be true or false`);
+    }
+  }
+};
+
+const checkSource = (errors, where, source) => {
+  if (source === undefined) return;
+  if (!isObject(source)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, source, Object.keys(DEFAULT_SOURCE));
+  if (source.type !== undefined && !SOURCES[source.type]) {
+    errors.push(
+      `${where}.type: must be one of ${Object.keys(SOURCES).join(", ")}`
+    );
+  }
+  for (const key of [
+    "userAgent",
+    "clientId",
+    "clientSecret",
+    "username",
+    "password",
+    "baseURL",
+    "dir",
+  ]) {
+    if (source[key] !== undefined && typeof source[key] !== "string") {
+      errors.push(`${where}.${key}: must be a string`);
+    }
+  }
+  for (const key of ["maxRetries", "retryDelayMs", "timeoutMs"]) {
+    if (
+      source[key] !== undefined &&
+      (!Number.isInteger(source[key]) || source[key] < 0)
+    ) {
+      errors.push(`${where}.${key}: must be a non-negative integer`);
+    }
+  }
+};
+
+const checkVerdict = (errors, where, verdict) => {
+  if (verdict === undefined) return;
+  if (!isObject(verdict)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, verdict, Object.keys(DEFAULT_VERDICT));
+  for (const key of ["enabled", "tally"]) {
+    if (verdict[key] !== undefined && typeof verdict[key] !== "boolean") {
+      errors.push(`${where}.${key}: must be true or false`);
+    }
+  }
+  for (const key of ["comments", "maxWords"]) {
+    checkPositiveInt(errors, `${where}.${key}`, verdict[key]);
+  }
+  if (verdict.minScore !== undefined && !Number.isInteger(verdict.minScore)) {
+    errors.push(`${where}.minScore: must be an integer`);
+  }
+};
+
+const checkLanguageTarget = (errors, where, target) => {
+  if (typeof target === "string") {
+    if (!isLanguageCode(target)) {
+      errors.push(`${where}: "${target}" is not a language code`);
+    }
+    return;
+  }
+  if (!isObject(target)) {
+    errors.push(`${where}: must be a language code or an object`);
+    return;
+  }
+  checkKeys(errors, where, target, LANGUAGE_TARGET_KEYS);
+  if (!isLanguageCode(target.code)) {
+    errors.push(`${where}.code: must be a language code such as "es"`);
+  }
+  checkString(errors, `${where}.name`, target.name, { optional: true });
+  if (target.voice !== undefined) {
+    if (!isObject(target.voice)) {
+      errors.push(`${where}.voice: must be an object`);
+    } else {
+      checkVoice(errors, `${where}.voice`, target.voice);
+    }
+  }
+  if (
+    target.titleSuffix !== undefined &&
+    typeof target.titleSuffix !== "string"
+  ) {
+    errors.push(`${where}.titleSuffix: must be a string`);
+  }
+  checkStringList(errors, `${where}.hashtags`, target.hashtags);
+  checkSegments(errors, `${where}.segments`, target.segments);
+};
+
+const checkLanguages = (errors, where, languages) => {
+  if (languages === undefined) return;
+  if (!isObject(languages)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, languages, Object.keys(DEFAULT_LANGUAGES));
+  if (languages.primary !== undefined && !isLanguageCode(languages.primary)) {
+    errors.push(`${where}.primary: must be a language code such as "en"`);
+  }
+  if (
+    languages.upload !== undefined &&
+    !UPLOAD_MODES.includes(languages.upload)
+  ) {
+    errors.push(`${where}.upload: must be one of ${UPLOAD_MODES.join(", ")}`);
+  }
+  if (languages.targets === undefined) return;
+  if (!Array.isArray(languages.targets)) {
+    errors.push(`${where}.targets: must be a list of languages`);
+    return;
+  }
+  languages.targets.forEach((target, i) =>
+    checkLanguageTarget(errors, `${where}.targets[${i}]`, target)
+  );
+  const primary = (
+    languages.primary || DEFAULT_LANGUAGES.primary
+  ).toLowerCase();
+  const codes = languages.targets.map((target) =>
+    String(typeof target === "string" ? target : target?.code).toLowerCase()
+  );
+  codes
+    .filter((code, i) => codes.indexOf(code) !== i)
+    .forEach((code) =>
+      errors.push(`${where}.targets: duplicate language "${code}"`)
+    );
+  if (codes.includes(primary)) {
+    errors.push(`${where}.targets: "${primary}" is the primary language`);
+  }
+};
+
+const checkReview = (errors, where, review) => {
+  if (review === undefined) return;
+  if (!isObject(review)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, review, Object.keys(DEFAULT_REVIEW));
+  if (review.enabled !== undefined && typeof review.enabled !== "boolean") {
+    errors.push(`${where}.enabled: must be true or false`);
+  }
+};
+
+const checkDaemon = (errors, where, daemon) => {
+  if (daemon === undefined) return;
+  if (!isObject(daemon)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, daemon, Object.keys(DEFAULT_DAEMON));
+  if (daemon.timezone !== undefined && !isTimeZone(daemon.timezone)) {
+    errors.push(`${where}.timezone: unknown time zone "${daemon.timezone}"`);
+  }
+  checkPositiveInt(errors, `${where}.dailyUploads`, daemon.dailyUploads);
+  if (daemon.uploadTimes !== undefined && !isTimeList(daemon.uploadTimes)) {
+    errors.push(`${where}.uploadTimes: must list "HH:MM" times`);
+  }
+};
+
+const checkDashboard = (errors, where, dashboard) => {
+  if (dashboard === undefined) return;
+  if (!isObject(dashboard)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, dashboard, Object.keys(DEFAULT_DASHBOARD));
+  for (const key of ["host", "templatesDir"]) {
+    checkString(errors, `${where}.${key}`, dashboard[key], { optional: true });
+  }
+  if (
+    dashboard.port !== undefined &&
+    (!Number.isInteger(dashboard.port) ||
+      dashboard.port < 1 ||
+      dashboard.port > 65535)
+  ) {
+    errors.push(`${where}.port: must be a port number (1-65535)`);
+  }
+};
+
+const checkLogging = (errors, where, logging) => {
+  if (logging === undefined) return;
+  if (!isObject(logging)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, logging, Object.keys(DEFAULT_LOGGING));
+  if (logging.format !== undefined && !LOG_FORMATS.includes(logging.format)) {
+    errors.push(`${where}.format: must be one of ${LOG_FORMATS.join(", ")}`);
+  }
+  if (
+    logging.reportsDir !== undefined &&
+    typeof logging.reportsDir !== "string"
+  ) {
+    errors.push(`${where}.reportsDir: must be a string`);
+  }
+};
+
+const checkCosts = (errors, where, costs) => {
+  if (costs === undefined) return;
+  if (!isObject(costs)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, costs, Object.keys(DEFAULT_COSTS));
+  for (const [service, prices] of Object.entries(costs)) {
+    if (!DEFAULT_COSTS[service]) continue;
+    if (!isObject(prices)) {
+      errors.push(`${where}.${service}: must be an object`);
+      continue;
+    }
+    checkKeys(
+      errors,
+      `${where}.${service}`,
+      prices,
+      Object.keys(DEFAULT_COSTS[service])
+    );
+    for (const [unit, price] of Object.entries(prices)) {
+      if (typeof price !== "number" || price < 0) {
+        errors.push(
+          `${where}.${service}.${unit}: must be a non-negative number`
+        );
+      }
+    }
+  }
+};
+
+const checkProfileSettings = (errors, where, settings) => {
+  if (settings.voice !== undefined) {
+    if (!isObject(settings.voice)) {
+      errors.push(`${where}.voice: must be an object`);
+    } else {
+      checkVoice(errors, `${where}.voice`, settings.voice);
+    }
+  }
+  checkBackgrounds(errors, `${where}.backgrounds`, settings.backgrounds);
+  checkPositiveInt(errors, `${where}.limit`, settings.limit);
+  if (settings.cron !== undefined) {
+    try {
+      parseCron(settings.cron);
+    } catch (error) {
+      errors.push(`${where}.cron: ${error.message}`);
+    }
+  }
+  if (settings.thresholds !== undefined) {
+    if (!isObject(settings.thresholds)) {
+      errors.push(`${where}.thresholds: must be an object`);
+    } else {
+      for (const [key, value] of Object.entries(settings.thresholds)) {
+        if (LEGACY_THRESHOLDS.includes(key)) {
+          errors.push(
+            `${where}.thresholds.${key}: parts are now sized by narration length, set ${where}.segments.maxSeconds instead`
+          );
+        } else if (!(key in DEFAULT_THRESHOLDS)) {
+          errors.push(`${where}.thresholds.${key}: unknown threshold`);
+        } else {
+          checkPositiveInt(errors, `${where}.thresholds.${key}`, value);
+        }
+      }
+    }
+  }
+  if (
+    settings.titleSuffix !== undefined &&
+    typeof settings.titleSuffix !== "string"
+  ) {
+    errors.push(`${where}.titleSuffix: must be a string`);
+  }
+  checkStringList(errors, `${where}.hashtags`, settings.hashtags);
+  checkCaptions(errors, `${where}.captions`, settings.captions);
+  checkMusic(errors, `${where}.music`, settings.music);
+  checkFilters(errors, `${where}.filters`, settings.filters);
+  checkSource(errors, `${where}.source`, settings.source);
+  checkVerdict(errors, `${where}.verdict`, settings.verdict);
+  checkThumbnails(errors, `${where}.thumbnails`, settings.thumbnails);
+  checkSegments(errors, `${where}.segments`, settings.segments);
+  if (settings.layout !== undefined) {
+    if (!isObject(settings.layout)) {
+      errors.push(`${where}.layout: must be an object`);
+    } else {
+      checkKeys(
+        errors,
+        `${where}.layout`,
+        settings.layout,
+        Object.keys(DEFAULT_LAYOUT)
+      );
+      for (const key of ["maxCardWords", "maxCardHeight"]) {
+        checkPositiveInt(
+          errors,
+          `${where}.layout.${key}`,
+          settings.layout[key]
+        );
+      }
+      for (const key of ["templatesDir", "theme"]) {
+        checkString(errors, `${where}.layout.${key}`, settings.layout[key], {
+          optional: true,
+        });
+      }
+      for (const key of ["showIcon", "showAge", "showAwards"]) {
+        if (
+          settings.layout[key] !== undefined &&
+          typeof settings.layout[key] !== "boolean"
+        ) {
+          errors.push(`${where}.layout.${key}: must be true or false`);
+        }
+      }
+    }
+  }
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isTimeList = (times) =>
+  Array.isArray(times) &&
+  times.length > 0 &&
+  times.every((time) => /^([01]\d|2[0-3]):[0-5]\d$/.test(String(time)));
+
+const checkSchedule = (errors, where, schedule) => {
+  if (schedule === undefined || schedule === null) return;
+  if (!isObject(schedule)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, schedule, Object.keys(DEFAULT_SCHEDULE));
+  if (schedule.enabled !== undefined && typeof schedule.enabled !== "boolean") {
+    errors.push(`${where}.enabled: must be true or false`);
+  }
+  if (schedule.times !== undefined && !isTimeList(schedule.times)) {
+    errors.push(`${where}.times: must list "HH:MM" times`);
+  }
+  if (schedule.timezone !== undefined && !isTimeZone(schedule.timezone)) {
+    errors.push(`${where}.timezone: unknown time zone "${schedule.timezone}"`);
+  }
+  checkPositiveInt(errors, `${where}.minLeadMinutes`, schedule.minLeadMinutes);
+  checkPositiveInt(errors, `${where}.maxDaysAhead`, schedule.maxDaysAhead);
+};
+
+const checkMaxDuration = (errors, where, value) => {
+  if (value === undefined || value === null) return;
+  if (typeof value !== "number" || value <= 0) {
+    errors.push(`${where}: must be a positive number of seconds or null`);
+  }
+};
+
+/**
+ * Checks the settings of a platform other than YouTube against its
+ * defaults: every setting must have the type of its default value.
+ */
+const checkPublisher = (errors, where, settings, defaults) => {
+  if (settings === undefined) return;
+  if (!isObject(settings)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, settings, Object.keys(defaults));
+  for (const [key, value] of Object.entries(settings)) {
+    const fallback = defaults[key];
+    if (fallback === undefined) continue;
+    if (key === "maxDuration") {
+      checkMaxDuration(errors, `${where}.${key}`, value);
+    } else if (typeof fallback === "boolean" && typeof value !== "boolean") {
+      errors.push(`${where}.${key}: must be true or false`);
+    } else if (typeof fallback === "string" && typeof value !== "string") {
+      errors.push(`${where}.${key}: must be a string`);
+    } else if (
+      typeof fallback === "number" &&
+      (!Number.isInteger(value) || value < 0)
+    ) {
+      errors.push(`${where}.${key}: must be a non-negative integer`);
+    }
+  }
+};
+
+const checkTiktok = (errors, where, tiktok) => {
+  checkPublisher(errors, where, tiktok, DEFAULT_TIKTOK);
+  if (
+    isObject(tiktok) &&
+    tiktok.privacyLevel !== undefined &&
+    !TIKTOK_PRIVACY_LEVELS.includes(tiktok.privacyLevel)
+  ) {
+    errors.push(
+      `${where}.privacyLevel: must be one of ${TIKTOK_PRIVACY_LEVELS.join(
+        ", "
+      )}`
+    );
+  }
+};
+
+const checkYoutube = (errors, where, youtube) => {
+  if (youtube === undefined) return;
+  if (!isObject(youtube)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, youtube, Object.keys(DEFAULT_YOUTUBE));
+  if (youtube.enabled !== undefined && typeof youtube.enabled !== "boolean") {
+    errors.push(`${where}.enabled: must be true or false`);
+  }
+  checkMaxDuration(errors, `${where}.maxDuration`, youtube.maxDuration);
+  if (
+    youtube.privacyStatus !== undefined &&
+    !PRIVACY_STATUSES.includes(youtube.privacyStatus)
+  ) {
+    errors.push(
+      `${where}.privacyStatus: must be one of ${PRIVACY_STATUSES.join(", ")}`
+    );
+  }
+  for (const key of ["categoryId", "defaultLanguage"]) {
+    checkString(errors, `${where}.${key}`, youtube[key], { optional: true });
+  }
+  checkStringList(errors, `${where}.tags`, youtube.tags);
+  for (const key of ["madeForKids", "containsSyntheticMedia"]) {
+    if (youtube[key] !== undefined && typeof youtube[key] !== "boolean") {
+      errors.push(`${where}.${key}: must be true or false`);
+    }
+  }
+  checkSchedule(errors, `${where}.schedule`, youtube.schedule);
+  for (const key of ["dailyQuota", "maxRetries", "retryDelayMs"]) {
+    if (
+      youtube[key] !== undefined &&
+      (!Number.isInteger(youtube[key]) || youtube[key] < 0)
+    ) {
+      errors.push(`${where}.${key}: must be a non-negative integer`);
+    }
+  }
+  for (const key of ["uploadURL", "tokenURL"]) {
+    if (youtube[key] !== undefined && typeof youtube[key] !== "string") {
+      errors.push(`${where}.${key}: must be a string`);
+    }
+  }
+};
+
+const checkSubreddit = (errors, where, subreddit) => {
+  if (typeof subreddit === "string") return;
+  if (!isObject(subreddit)) {
+    errors.push(`${where}: must be a subreddit name or an object`);
+    return;
+  }
+  checkKeys(errors, where, subreddit, [...SUBREDDIT_KEYS, ...PROFILE_KEYS]);
+  checkString(errors, `${where}.name`, subreddit.name);
+  if (subreddit.sort !== undefined && !SORTS.includes(subreddit.sort)) {
+    errors.push(`${where}.sort: must be one of ${SORTS.join(", ")}`);
+  }
+  if (subreddit.time !== undefined && !TIMES.includes(subreddit.time)) {
+    errors.push(`${where}.time: must be one of ${TIMES.join(", ")}`);
+  }
+  checkProfileSettings(errors, where, subreddit);
+};
+
+const checkChannel = (errors, where, channel) => {
+  if (!isObject(channel)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  checkKeys(errors, where, channel, [...CHANNEL_KEYS, ...PROFILE_KEYS]);
+  checkString(errors, `${where}.name`, channel.name);
+  checkString(errors, `${where}.outputDir`, channel.outputDir, {
+    optional: true,
+  });
+  if (!Array.isArray(channel.subreddits) || !channel.subreddits.length) {
+    errors.push(`${where}.subreddits: must list at least one subreddit`);
+  } else {
+    channel.subreddits.forEach((subreddit, i) =>
+      checkSubreddit(errors, `${where}.subreddits[${i}]`, subreddit)
+    );
+  }
+  checkProfileSettings(errors, where, channel);
+  checkLlm(errors, `${where}.llm`, channel.llm);
+  checkLanguages(errors, `${where}.languages`, channel.languages);
+  checkReview(errors, `${where}.review`, channel.review);
+  checkDaemon(errors, `${where}.daemon`, channel.daemon);
+  if (
+    channel.languages?.upload === "localizations" &&
+    channel.youtube?.enabled === false
+  ) {
+    errors.push(
+      `${where}.languages.upload: localizations are only published to YouTube, which is disabled`
+    );
+  }
+  checkYoutube(errors, `${where}.youtube`, channel.youtube);
+  checkTiktok(errors, `${where}.tiktok`, channel.tiktok);
+  checkPublisher(
+    errors,
+    `${where}.instagram`,
+    channel.instagram,
+    DEFAULT_INSTAGRAM
+  );
+};
+
+/**
+ * Returns a list of human readable problems with the raw config. An empty
+ * list means the config can be resolved into channel profiles.
+ */
+export const validateConfig = (config) => {
+  const errors = [];
+  if (!isObject(config)) return ["config: must be an object"];
+  checkKeys(errors, "config", config, ROOT_KEYS);
+  checkLlm(errors, "llm", config.llm);
+  checkDashboard(errors, "dashboard", config.dashboard);
+  checkLogging(errors, "logging", config.logging);
+  checkCosts(errors, "costs", config.costs);
+  if (config.concurrency !== undefined) {
+    if (!isObject(config.concurrency)) {
+      errors.push("concurrency: must be an object");
+    } else {
+      checkKeys(
+        errors,
+        "concurrency",
+        config.concurrency,
+        Object.keys(DEFAULT_CONCURRENCY)
+      );
+      for (const [key, value] of Object.entries(config.concurrency)) {
+        checkPositiveInt(errors, `concurrency.${key}`, value);
+      }
+    }
+  }
+  if (config.browser !== undefined) {
+    if (!isObject(config.browser)) {
+      errors.push("browser: must be an object");
+    } else {
+      checkKeys(
+        errors,
+        "browser",
+        config.browser,
+        Object.keys(DEFAULT_BROWSER)
+      );
+      checkPositiveInt(
+        errors,
+        "browser.concurrency",
+        config.browser.concurrency
+      );
+      checkString(
+        errors,
+        "browser.executablePath",
+        config.browser.executablePath,
+        {
+          optional: true,
+        }
+      );
+    }
+  }
+  if (!Array.isArray(config.channels) || !config.channels.length) {
+    return [...errors, "channels: must list at least one channel"];
+  }
+  config.channels.forEach((channel, i) =>
+    checkChannel(errors, `channels[${i}]`, channel)
+  );
+  const names = config.channels.map((channel) => channel?.name);
+  names
+    .filter((name, i) => name && names.indexOf(name) !== i)
+    .forEach((name) => errors.push(`channels: duplicate channel "${name}"`));
+  return errors;
+};
+
+// OpenAI voices take their key from the environment unless they name one.
+const resolveVoice = (voice) => {
+  const resolved = { provider: "playht", ...voice };
+  return resolved.provider === "openai"
+    ? interpolateEnv({ apiKey: "${OPENAI_API_KEY}", ...resolved })
+    : resolved;
+};
+
+const normalizeHashtag = (tag) => (tag.startsWith("#") ? tag : `#${tag}`);
+
+// Settings a language leaves out fall back to the profile's when its
+// version is produced (see languageProfile).
+const resolveLanguageTarget = (entry) => {
+  const target = typeof entry === "string" ? { code: entry } : entry;
+  return {
+    code: target.code,
+    name: target.name || languageName(target.code),
+    voice: target.voice && resolveVoice(target.voice),
+    titleSuffix: target.titleSuffix,
+    hashtags: target.hashtags?.map(normalizeHashtag),
+    segments: target.segments,
+  };
+};
+
+/**
+ * Flattens a channel into one profile per subreddit. Subreddit entries
+ * inherit every channel setting they do not override.
+ */
+const resolveChannel = (channel, llm) => {
+  const outputDir = channel.outputDir || ".";
+  const languages = { ...DEFAULT_LANGUAGES, ...channel.languages };
+  return channel.subreddits.map((entry) => {
+    const subreddit = typeof entry === "string" ? { name: entry } : entry;
+    const settings = Object.fromEntries(
+      PROFILE_KEYS.map((key) => [key, subreddit[key] ?? channel[key]])
+    );
+    const thresholds = { ...DEFAULT_THRESHOLDS, ...settings.thresholds };
+    return {
+      channel: channel.name,
+      name: subreddit.name,
+      sort: subreddit.sort || "top",
+      time: subreddit.time || "day",
+      folder: path.join(outputDir, subreddit.name),
+      voice: settings.voice && resolveVoice(settings.voice),
+      backgrounds: settings.backgrounds || ["./videoplayback.mp4"],
+      limit: settings.limit || 10,
+      thresholds,
+      filters: {
+        ...DEFAULT_FILTERS,
+        minWords: thresholds.minWords,
+        ...settings.filters,
+      },
+      titleSuffix: settings.titleSuffix ?? "",
+      hashtags: (settings.hashtags || []).map(normalizeHashtag),
+      captions: interpolateEnv({ ...DEFAULT_CAPTIONS, ...settings.captions }),
+      layout: { ...DEFAULT_LAYOUT, ...settings.layout },
+      music: { ...DEFAULT_MUSIC, ...settings.music },
+      verdict: { ...DEFAULT_VERDICT, ...settings.verdict },
+      thumbnails: { ...DEFAULT_THUMBNAILS, ...settings.thumbnails },
+      segments: { ...DEFAULT_SEGMENTS, ...settings.segments },
+      source: interpolateEnv({ ...DEFAULT_SOURCE, ...settings.source }),
+      language: {
+        code: languages.primary,
+        name: languageName(languages.primary),
+      },
+      languages: {
+        targets: languages.targets.map(resolveLanguageTarget),
+        upload: languages.upload,
+      },
+      review: { ...DEFAULT_REVIEW, ...channel.review },
+      cron: settings.cron || DEFAULT_CRON,
+      daemon: { ...DEFAULT_DAEMON, ...channel.daemon },
+      youtube: interpolateEnv({
+        ...DEFAULT_YOUTUBE,
+        defaultLanguage: languages.primary,
+        ...channel.youtube,
+        schedule: { ...DEFAULT_SCHEDULE, ...channel.youtube?.schedule },
+      }),
+      tiktok: interpolateEnv({ ...DEFAULT_TIKTOK, ...channel.tiktok }),
+      instagram: interpolateEnv({ ...DEFAULT_INSTAGRAM, ...channel.instagram }),
+      llm: interpolateEnv({ ...DEFAULT_LLM, ...llm, ...channel.llm }),
+    };
+  });
+};
+
+const parseConfigFile = (configPath) => {
+  const raw = fs.readFileSync(configPath, "utf8");
+  try {
+    return /\.ya?ml$/i.test(configPath) ? YAML.parse(raw) : JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Could not parse config ${configPath}: ${error.message}`);
+  }
+};
+
+/**
+ * Loads and validates the channel config. Without an explicit path
+ * ./config.json is used, falling back to the bundled config.default.json.
+ * Returns the flattened subreddit profiles of every channel plus the
+ * run-wide settings.
+ */
+export const loadConfig = (configPath = null) => {
+  let resolvedPath = configPath;
+  if (!resolvedPath) {
+    resolvedPath = fs.existsSync(DEFAULT_CONFIG_PATH)
+      ? DEFAULT_CONFIG_PATH
+      : FALLBACK_CONFIG_PATH;
+  }
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Config file not found: ${resolvedPath}`);
+  }
+  const config = parseConfigFile(resolvedPath);
+  const errors = validateConfig(config);
+  if (errors.length) {
+    throw new Error(
+      `Invalid config ${resolvedPath}:\n  - ${errors.join("\n  - ")}`
+    );
+  }
+  log.info(`Loaded channel config from ${resolvedPath}`);
+  const browser = { ...DEFAULT_BROWSER, ...config.browser };
+  return {
+    profiles: config.channels.flatMap((channel) =>
+      resolveChannel(channel, config.llm)
+    ),
+    settings: {
+      browser: {
+        ...browser,
+        executablePath: browser.executablePath || undefined,
+      },
+      concurrency: { ...DEFAULT_CONCURRENCY, ...config.concurrency },
+      dashboard: { ...DEFAULT_DASHBOARD, ...config.dashboard },
+      logging: { ...DEFAULT_LOGGING, ...config.logging },
+      costs: Object.fromEntries(
+        Object.entries(DEFAULT_COSTS).map(([service, prices]) => [
+          service,
+          { ...prices, ...config.costs?.[service] },
+        ])
+      ),
+    },
+  };
+};
+
+/**
+ * Checks the parts of the selected profiles that are only needed by some
+ * commands (post source settings for fetching, background videos for
+ * rendering, credentials of the enabled platforms for uploading).
+ */
+export const preflight = (
+  profiles,
+  { fetch = false, render = false, upload = false } = {}
+) => {
+  const errors = [];
+  for (const profile of profiles) {
+    const where = `${profile.channel} r/${profile.name}`;
+    if (fetch) {
+      for (const key of SOURCES[profile.source.type].required) {
+        if (!profile.source[key]) {
+          errors.push(
+            `${where}: source.${key} is required for ${profile.source.type}`
+          );
+        }
+      }
+    }
+    if (render) {
+      if (!profile.voice) errors.push(`${where}: no voice configured`);
+      const voices = [
+        profile.voice,
+        ...profile.languages.targets.map((target) => target.voice),
+      ];
+      if (
+        voices.some((voice) => voice?.provider === "openai" && !voice.apiKey)
+      ) {
+        errors.push(`${where}: voice.apiKey is empty for OpenAI speech`);
+      }
+      const { captions } = profile;
+      if (
+        captions.enabled &&
+        captions.timing === "whisper" &&
+        !captions.apiKey
+      ) {
+        errors.push(
+          `${where}: captions.apiKey is empty; Whisper timing needs an OpenAI key (or set captions.timing to "estimate")`
+        );
+      }
+      if (profile.llm.provider === "openai" && !profile.llm.apiKey) {
+        errors.push(`channel "${profile.channel}": llm.apiKey is empty`);
+      }
+      if (
+        profile.llm.provider === "openai-compatible" &&
+        !profile.llm.baseURL
+      ) {
+        errors.push(
+          `channel "${profile.channel}": llm.baseURL is required for openai-compatible`
+        );
+      }
+      const { backgrounds } = profile;
+      if (Array.isArray(backgrounds)) {
+        for (const background of backgrounds) {
+          if (!fs.existsSync(background)) {
+            errors.push(`${where}: background video not found: ${background}`);
+          }
+        }
+      } else if (!fs.existsSync(backgrounds.library)) {
+        errors.push(
+          `${where}: background library not found: ${backgrounds.library}`
+        );
+      } else if (!listClips(backgrounds).length) {
+        errors.push(
+          `${where}: no background videos in ${backgrounds.library}${
+            backgrounds.categories?.length
+              ? ` for ${backgrounds.categories.join(", ")}`
+              : ""
+          }`
+        );
+      }
+      if (profile.music.enabled && !listTracks(profile.music.library).length) {
+        errors.push(`${where}: no music tracks in ${profile.music.library}`);
+      }
+      const { templatesDir, theme } = profile.layout;
+      const themes = listThemes(templatesDir);
+      if (!themes.includes(theme)) {
+        errors.push(
+          `${where}: card theme "${theme}" not found in ${templatesDir}/themes${
+            themes.length ? ` (available: ${themes.join(", ")})` : ""
+          }`
+        );
+      }
+    }
+    if (upload) {
+      const platforms = enabledPublishers(profile);
+      if (!platforms.length) {
+        errors.push(`channel "${profile.channel}": no platform is enabled`);
+      }
+      for (const name of platforms) {
+        for (const key of PUBLISHERS[name].required) {
+          if (!profile[name][key]) {
+            errors.push(
+              `channel "${profile.channel}": ${name}.${key} is empty`
+            );
+          }
+        }
+      }
+    }
+  }
+  const unique = [...new Set(errors)];
+  if (unique.length) {
+    throw new Error(`Config check failed:\n  - ${unique.join("\n  - ")}`);
+  }
+};
@@ -0,0 +1,115 @@
+import { DAY_MS, localTime, zonedTime } from "./schedule.js";
+
+const MINUTE_MS = 60 * 1000;
+// Yearly schedules are the longest that reliably come round again; a leap
+// day schedule is given up on in the years between.
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  // 0 and 7 are both Sunday.
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`invalid ${name} "${part}"`);
+    const [, any, from, to, step] = match;
+    const start = any ? min : Number(from);
+    // "5/15" runs from 5 to the end of the range, as in cron.
+    const end = any || (step && to === undefined) ? max : Number(to ?? from);
+    const every = step === undefined ? 1 : Number(step);
+    if (every < 1) throw new Error(`${name} "${part}" has a step of 0`);
+    if (start < min || end > max || start > end) {
+      throw new Error(`${name} "${part}" is outside ${min}-${max}`);
+    }
+    for (let value = start; value <= end; value += every) values.add(value);
+  }
+  return values;
+};
+
+/**
+ * Parses a five-field cron expression ("minute hour day month weekday")
+ * with `*`, lists, ranges and steps, e.g. "0 8,20 * * 1-5". Throws on
+ * anything else.
+ */
+export const parseCron = (expression) => {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(
+      `"${expression}" is not a cron expression (minute hour day month weekday)`
+    );
+  }
+  const [minute, hour, day, month, weekday] = fields.map((field, i) =>
+    parseField(field, FIELDS[i])
+  );
+  if (weekday.has(7)) weekday.add(0);
+  return {
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+  };
+};
+
+// As in cron, a day matches either day field when both are restricted.
+const matchesDay = (cron, { month, day, weekday }) =>
+  cron.month.has(month) &&
+  (cron.anyDay || cron.anyWeekday
+    ? cron.day.has(day) && cron.weekday.has(weekday)
+    : cron.day.has(day) || cron.weekday.has(weekday));
+
+/**
+ * The start of the first minute after the one that contains `now` that the
+ * schedule fires in, on the wall clock of `timeZone`, or null when that is
+ * more than a year away. Days that do not match are passed over whole, so
+ * only their listed hours and minutes are ever looked at.
+ */
+export const nextCronTime = (cron, now, timeZone) => {
+  const after = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+  const hours = [...cron.hour].sort((a, b) => a - b);
+  const minutes = [...cron.minute].sort((a, b) => a - b);
+  // Noon stays inside its day whatever daylight saving does to the hours
+  // around it, so stepping a day from there never skips one.
+  const noon = zonedTime(now, "12:00", timeZone);
+  const start = localTime(after, timeZone);
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const day = noon + offset * DAY_MS;
+    if (!matchesDay(cron, localTime(day, timeZone))) continue;
+    // Today's earlier hours and minutes are gone already, except that the
+    // hour before may have been skipped by the clocks going forward and so
+    // fall in this one.
+    const today = offset === 0;
+    for (const hour of hours) {
+      if (today && hour < start.hour - 1) continue;
+      for (const minute of minutes) {
+        if (today && hour === start.hour && minute < start.minute) continue;
+        const time = zonedTime(
+          day,
+          `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`,
+          timeZone
+        );
+        if (time > after) return time;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether the schedule fired in any minute after the one that contains
+ * `since`, up to and including the one that contains `now`, so a late tick
+ * does not skip a run.
+ */
+export const cronDue = (cron, since, now, timeZone) => {
+  const next = nextCronTime(cron, since, timeZone);
+  return next !== null && next <= now;
+};
@@ -0,0 +1,137 @@
+import fs from "fs";
+import { log, runId } from "./log.js";
+import {
+  CancelledError,
+  isCancelled,
+  onCancel,
+  recordOutcome,
+  runReport,
+} from "./pipeline.js";
+
+export const HEALTH_PATH = "./daemon-health.json";
+
+// Jobs are checked just after every full minute, when cron schedules fire.
+const TICK_MS = 60 * 1000;
+
+const isoTime = (timestamp) =>
+  timestamp === null ? null : new Date(timestamp).toISOString();
+
+// Written like the ledger, so a monitor never reads half a file.
+const writeHealth = (health) => {
+  health.updatedAt = new Date().toISOString();
+  const tmpPath = `${HEALTH_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(health, null, 2));
+  fs.renameSync(tmpPath, HEALTH_PATH);
+};
+
+/**
+ * Runs `jobs` whenever they are due until the run is cancelled, then waits
+ * for the ones in flight. A job is `{ name, isDue(since, now), nextAt(now),
+ * run() }` with an optional `status(now)` for the health file: `isDue`
+ * tells whether it came due after `since`, and `run` resolves to its
+ * outcome. A job still running is not started again, and a failed one is
+ * logged and tried again when it is next due. Each run of a job is counted
+ * under "jobs" in the report, as "done" or "failed".
+ *
+ * The state of every job is written to HEALTH_PATH after each check, along
+ * with the post counts of the run so far; an `updatedAt` older than a few
+ * minutes means the daemon is stuck or gone.
+ */
+export const runDaemon = async (jobs) => {
+  const startedAt = Date.now();
+  const health = {
+    pid: process.pid,
+    runId,
+    status: "running",
+    startedAt: isoTime(startedAt),
+    updatedAt: null,
+    posts: null,
+    jobs: {},
+  };
+  const running = new Map();
+  // How each job's last run went, by job name.
+  const lastRuns = {};
+
+  const update = () => {
+    const now = Date.now();
+    for (const job of jobs) {
+      health.jobs[job.name] = {
+        ...lastRuns[job.name],
+        running: running.has(job.name),
+        nextRunAt: isoTime(job.nextAt(now)),
+        ...job.status?.(now),
+      };
+    }
+    health.posts = runReport().posts;
+    writeHealth(health);
+  };
+
+  const start = (job) => {
+    const state = (lastRuns[job.name] ||= {});
+    state.lastStartedAt = isoTime(Date.now());
+    log.info(`Starting ${job.name}`);
+    const task = Promise.resolve()
+      .then(() => job.run())
+      .then(
+        (outcome) => {
+          log.info(`Finished ${job.name}: ${outcome}`);
+          recordOutcome("jobs", "done");
+          Object.assign(state, { lastOutcome: outcome, lastError: null });
+        },
+        (error) => {
+          if (!(error instanceof CancelledError)) {
+            log.error(`${job.name} failed`, { error });
+          }
+          const outcome = isCancelled() ? "cancelled" : "failed";
+          recordOutcome("jobs", outcome);
+          Object.assign(state, {
+            lastOutcome: outcome,
+            lastError: error.message,
+          });
+        }
+      )
+      .finally(() => {
+        state.lastFinishedAt = isoTime(Date.now());
+        running.delete(job.name);
+        update();
+      });
+    running.set(job.name, task);
+  };
+
+  // The minute the daemon starts in counts as due.
+  let since = Math.floor(startedAt / TICK_MS) * TICK_MS - 1;
+  const tick = () => {
+    const now = Date.now();
+    for (const job of jobs) {
+      if (running.has(job.name)) continue;
+      try {
+        if (job.isDue(since, now)) start(job);
+      } catch (error) {
+        log.error(`Could not check ${job.name}`, { error });
+      }
+    }
+    since = now;
+    update();
+  };
+
+  await new Promise((resolve) => {
+    let timer = null;
+    const schedule = () => {
+      timer = setTimeout(() => {
+        tick();
+        schedule();
+      }, TICK_MS - (Date.now() % TICK_MS));
+    };
+    tick();
+    schedule();
+    onCancel(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+  health.status = "stopping";
+  update();
+  await Promise.allSettled(running.values());
+  health.status = "stopped";
+  update();
+};
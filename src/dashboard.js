@@ -0,0 +1,220 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { loadTemplate, renderTemplate } from "./templates.js";
+import { log } from "./log.js";
+
+// Form posts only carry a title, a description and a post's text.
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Thrown by a reviewer for a post it does not know, e.g. one that left the
+ * review queue; the dashboard answers it with a 404.
+ */
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotFoundError";
+  }
+}
+
+const postUrl = (postId) => `/posts/${encodeURIComponent(postId)}`;
+
+const readForm = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Form too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on("error", reject);
+  });
+
+/**
+ * Whether a request comes from the dashboard's own pages. Browsers send an
+ * Origin (or at least a Referer) with every form post, so a page on another
+ * site cannot approve or edit videos through the visitor's browser; clients
+ * that send neither, like curl, are not browsers and are let through.
+ */
+const isSameOrigin = (req) => {
+  const source = req.headers.origin || req.headers.referer;
+  if (!source) return true;
+  try {
+    return new URL(source).host === req.headers.host;
+  } catch {
+    return false;
+  }
+};
+
+const sendHtml = (res, status, html) => {
+  res.writeHead(status, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(html);
+};
+
+const redirect = (res, location) => {
+  res.writeHead(303, { Location: location });
+  res.end();
+};
+
+/**
+ * Streams a rendered video, honouring byte ranges so the browser's player
+ * can seek.
+ */
+const sendVideo = (req, res, videoPath) => {
+  const { size } = fs.statSync(videoPath);
+  const headers = { "Content-Type": "video/mp4", "Accept-Ranges": "bytes" };
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+  if (!range || (!range[1] && !range[2])) {
+    res.writeHead(200, { ...headers, "Content-Length": size });
+    fs.createReadStream(videoPath).pipe(res);
+    return;
+  }
+  // "bytes=-500" asks for the last 500 bytes.
+  const start = range[1]
+    ? Number(range[1])
+    : Math.max(0, size - Number(range[2]));
+  const end =
+    range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+  if (start > end) {
+    res.writeHead(416, { ...headers, "Content-Range": `bytes */${size}` });
+    res.end();
+    return;
+  }
+  res.writeHead(206, {
+    ...headers,
+    "Content-Range": `bytes ${start}-${end}/${size}`,
+    "Content-Length": end - start + 1,
+  });
+  fs.createReadStream(videoPath, { start, end }).pipe(res);
+};
+
+/**
+ * Serves the review dashboard: a list of the posts whose videos wait for
+ * upload, and a page per post that plays its segments, edits its short
+ * title, description and text, and approves or rejects each segment.
+ * Reading and changing posts is left to `reviewer`:
+ * - `listPosts()` lists the posts to review,
+ * - `getPost(id)` describes one of them (null when there is no such post),
+ * - `savePost(id, edits)` applies a post's edited `shortTitle`,
+ *   `description` and `text`,
+ * - `reviewSegment(id, segmentIndex, decision)` approves or rejects a
+ *   segment.
+ * Their errors are shown on the post's page, except a NotFoundError.
+ * Posts from other sites are refused. Resolves to the listening server.
+ */
+export const startDashboard = (settings, reviewer) => {
+  const page = (name, view) =>
+    renderTemplate(
+      loadTemplate(path.join(settings.templatesDir, `${name}.html`)),
+      view
+    );
+  const postView = (post, error = null) => ({
+    ...post,
+    error,
+    segments: post.segments.map((segment) => ({
+      ...segment,
+      videoUrl:
+        segment.videoPath &&
+        `${postUrl(post.id)}/segments/${segment.index}/video?v=${
+          segment.version
+        }`,
+      reviewUrl: `${postUrl(post.id)}/segments/${segment.index}`,
+    })),
+  });
+  const notFound = (res) =>
+    sendHtml(res, 404, page("index", { posts: [], error: "Not found." }));
+
+  const handle = async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const parts = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    if (req.method === "GET" && !parts.length) {
+      const posts = (await reviewer.listPosts()).map((post) => ({
+        ...post,
+        url: postUrl(post.id),
+      }));
+      sendHtml(res, 200, page("index", { posts, hasPosts: posts.length > 0 }));
+      return;
+    }
+    if (req.method === "GET" && pathname === "/style.css") {
+      res.writeHead(200, { "Content-Type": "text/css; charset=utf-8" });
+      res.end(loadTemplate(path.join(settings.templatesDir, "style.css")));
+      return;
+    }
+    if (req.method === "POST" && !isSameOrigin(req)) {
+      res.writeHead(403, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Cross-site requests are not allowed.");
+      return;
+    }
+    if (parts[0] !== "posts" || !parts[1]) return notFound(res);
+    const post = await reviewer.getPost(parts[1]);
+    if (!post) return notFound(res);
+
+    // /posts/<id>/segments/<index>[/video]
+    if (parts[2] === "segments") {
+      const segment = post.segments.find(
+        ({ index }) => String(index) === parts[3]
+      );
+      if (!segment) return notFound(res);
+      if (req.method === "GET" && parts[4] === "video") {
+        if (!segment.videoPath || !fs.existsSync(segment.videoPath)) {
+          return notFound(res);
+        }
+        sendVideo(req, res, segment.videoPath);
+        return;
+      }
+      if (req.method === "POST" && parts.length === 4) {
+        const { decision } = await readForm(req);
+        try {
+          await reviewer.reviewSegment(post.id, segment.index, decision);
+        } catch (error) {
+          if (error instanceof NotFoundError) return notFound(res);
+          sendHtml(res, 400, page("post", postView(post, error.message)));
+          return;
+        }
+        redirect(res, postUrl(post.id));
+        return;
+      }
+      return notFound(res);
+    }
+
+    if (parts.length > 2) return notFound(res);
+    if (req.method === "POST") {
+      const form = await readForm(req);
+      try {
+        await reviewer.savePost(post.id, {
+          shortTitle: form.shortTitle,
+          description: form.description,
+          text: form.text,
+        });
+      } catch (error) {
+        if (error instanceof NotFoundError) return notFound(res);
+        sendHtml(res, 400, page("post", postView(post, error.message)));
+        return;
+      }
+      redirect(res, postUrl(post.id));
+      return;
+    }
+    sendHtml(res, 200, page("post", postView(post)));
+  };
+
+  const server = http.createServer((req, res) =>
+    handle(req, res).catch((error) => {
+      log.error(`Dashboard error on ${req.method} ${req.url}`, { error });
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end(error.message);
+    })
+  );
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(settings.port, settings.host, () => resolve(server));
+  });
+};
@@ -0,0 +1,171 @@
+import { LlmOutputError, generateText } from "./llm/index.js";
+import { splitWords } from "./text.js";
+
+const REMOVED_TEXT = ["[removed]", "[deleted]"];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Matches whole words or phrases only, so "meta" does not match "metal" and
+ * "update" does not match "updated".
+ */
+const keywordPattern = (keyword) =>
+  new RegExp(
+    `(?<![\\p{L}\\p{N}])${escapeRegExp(keyword.trim()).replace(
+      /\s+/g,
+      "\\s+"
+    )}(?![\\p{L}\\p{N}])`,
+    "iu"
+  );
+
+// Blank entries in a keyword list are ignored rather than matched.
+const activeKeywords = (keywords) =>
+  keywords.filter((keyword) => keyword.trim());
+
+const findKeyword = (text, keywords) =>
+  activeKeywords(keywords).find((keyword) =>
+    keywordPattern(keyword).test(text)
+  );
+
+const countWords = (text) => splitWords(text).length;
+
+const ageHours = (post) => (Date.now() / 1000 - post.created_utc) / 3600;
+
+/**
+ * Rules that only need the listing data, checked in order. Each returns a
+ * reason when the post should be skipped.
+ */
+const RULES = [
+  [
+    "removed",
+    (post, filters) =>
+      filters.skipRemoved &&
+      (post.removed_by_category ||
+        REMOVED_TEXT.includes(post.selftext?.trim()) ||
+        post.author === "[deleted]") &&
+      "removed or deleted",
+  ],
+  ["nsfw", (post, filters) => filters.skipNsfw && post.over_18 && "NSFW"],
+  [
+    "spoiler",
+    (post, filters) => filters.skipSpoilers && post.spoiler && "spoiler",
+  ],
+  [
+    "stickied",
+    (post, filters) => filters.skipStickied && post.stickied && "stickied",
+  ],
+  [
+    "media",
+    (post, filters) =>
+      filters.skipMedia &&
+      (post.media_metadata || post.crosspost_parent_list) &&
+      "has media or is a crosspost",
+  ],
+  [
+    "excludeKeywords",
+    (post, filters) => {
+      const keyword = findKeyword(
+        `${post.title}\n${post.selftext || ""}`,
+        filters.excludeKeywords
+      );
+      return keyword && `mentions "${keyword}"`;
+    },
+  ],
+  [
+    "requireKeywords",
+    (post, filters) =>
+      activeKeywords(filters.requireKeywords).length &&
+      !findKeyword(
+        `${post.title}\n${post.selftext || ""}`,
+        filters.requireKeywords
+      ) &&
+      `mentions none of ${activeKeywords(filters.requireKeywords).join(", ")}`,
+  ],
+  [
+    "minWords",
+    (post, filters) => {
+      const words = countWords(post.selftext || "");
+      return words < filters.minWords && `${words} words < ${filters.minWords}`;
+    },
+  ],
+  [
+    "maxWords",
+    (post, filters) => {
+      const words = countWords(post.selftext || "");
+      return (
+        filters.maxWords &&
+        words > filters.maxWords &&
+        `${words} words > ${filters.maxWords}`
+      );
+    },
+  ],
+  [
+    "minUpvotes",
+    (post, filters) =>
+      (post.ups || 0) < filters.minUpvotes &&
+      `${post.ups || 0} upvotes < ${filters.minUpvotes}`,
+  ],
+  [
+    "minComments",
+    (post, filters) =>
+      (post.num_comments || 0) < filters.minComments &&
+      `${post.num_comments || 0} comments < ${filters.minComments}`,
+  ],
+  [
+    "minAgeHours",
+    (post, filters) =>
+      filters.minAgeHours &&
+      post.created_utc &&
+      ageHours(post) < filters.minAgeHours &&
+      `${ageHours(post).toFixed(1)}h old < ${filters.minAgeHours}h`,
+  ],
+  [
+    "maxAgeHours",
+    (post, filters) =>
+      filters.maxAgeHours &&
+      post.created_utc &&
+      ageHours(post) > filters.maxAgeHours &&
+      `${ageHours(post).toFixed(1)}h old > ${filters.maxAgeHours}h`,
+  ],
+];
+
+/**
+ * Asks the LLM whether the story is fit for a brand-safe channel. The
+ * prompt must answer "SAFE" or "UNSAFE: <reason>". Resolves to the reason
+ * an unsafe post is skipped for, or null.
+ */
+export const classifyPost = async (post, llm) => {
+  const verdict = await generateText(
+    llm,
+    "classify-post",
+    { title: post.title, text: post.selftext || "" },
+    {
+      maxOutputTokens: 100,
+      validate: (output) => {
+        const match = output.match(/^(SAFE|UNSAFE)\b:?\s*(.*)/i);
+        if (!match) {
+          throw new LlmOutputError("classify-post", "expected SAFE or UNSAFE");
+        }
+        return {
+          safe: match[1].toUpperCase() === "SAFE",
+          reason: match[2].trim(),
+        };
+      },
+    }
+  );
+  return verdict.safe ? null : verdict.reason || "flagged as unsafe";
+};
+
+/**
+ * Runs a post through the profile's rules that only need its listing data.
+ * Returns `{ rule, reason }` for the first rule that rejects it, or null.
+ * The LLM classifier (see classifyPost) is left to the caller, to run once
+ * these passed and when `filters.classify` is on.
+ */
+export const checkRules = (post, filters) => {
+  for (const [rule, check] of RULES) {
+    const reason = check(post, filters);
+    if (reason) return { rule, reason };
+  }
+  return null;
+};
@@ -0,0 +1,64 @@
+import fs from "fs";
+import { log } from "./log.js";
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Network errors, timeouts, 429s and 5xx responses are worth another try;
+ * an error's own `transient` flag takes precedence.
+ */
+export const isTransient = (error) => {
+  const status = error.response?.status;
+  return (
+    error.transient ??
+    (status === undefined || status === 408 || status === 429 || status >= 500)
+  );
+};
+
+/**
+ * Retries `fn` with exponential backoff from `settings.retryDelayMs` while
+ * it fails with errors `retryable` accepts, up to `settings.maxRetries`
+ * times. `delayFor` may return the wait a server asked for instead, or
+ * null; `describe` words a failure for the log and `toError` turns the last
+ * one into the error that is thrown.
+ */
+export const withRetries = async (
+  settings,
+  label,
+  fn,
+  {
+    retryable = isTransient,
+    delayFor = () => null,
+    describe = (error) => error.message,
+    toError = (error) => error,
+  } = {}
+) => {
+  const attempts = settings.maxRetries + 1;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= attempts || !retryable(error)) throw toError(error);
+      const delay =
+        delayFor(error) ?? settings.retryDelayMs * 2 ** (attempt - 1);
+      log.warn(
+        `${label} attempt ${attempt}/${attempts} failed (${describe(
+          error
+        )}). Retrying in ${Math.round(delay)}ms.`
+      );
+      await sleep(delay);
+    }
+  }
+};
+
+// Reads one piece of a file for a chunked upload.
+export const readChunk = async (filePath, offset, length) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, offset);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
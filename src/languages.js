@@ -0,0 +1,53 @@
+import path from "path";
+
+// How a translated version is published: as videos of its own, or as
+// YouTube localizations (title and description) of the original video.
+export const UPLOAD_MODES = ["separate", "localizations"];
+
+const displayNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+/**
+ * The English name of a language code ("es" is "Spanish"), which is how the
+ * prompts name the language to write in.
+ */
+export const languageName = (code) => displayNames.of(code);
+
+export const isLanguageCode = (code) => {
+  if (typeof code !== "string" || !code.trim()) return false;
+  try {
+    return Intl.getCanonicalLocales(code).length === 1;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Ledger id of a post's version in another language. Each version is
+ * tracked as a post of its own, so it is planned, rendered and uploaded
+ * independently of the original.
+ */
+export const localizedId = (postId, code) => `${postId}:${code}`;
+
+/**
+ * The profile a translated version is produced with: the channel's profile
+ * with the language's voice, title suffix and hashtags, writing to
+ * `<subreddit folder>/<code>`. The recap and outro lines are left out and
+ * parts are numbered "2/3" unless the language sets its own `segments`
+ * wording, so nothing in the channel's language ends up in the video.
+ */
+export const languageProfile = (profile, target) => ({
+  ...profile,
+  folder: path.join(profile.folder, target.code),
+  language: { code: target.code, name: target.name },
+  voice: { ...(target.voice || profile.voice), language: target.code },
+  titleSuffix: target.titleSuffix ?? profile.titleSuffix,
+  hashtags: target.hashtags ?? profile.hashtags,
+  segments: {
+    ...profile.segments,
+    recap: "",
+    outro: "",
+    partLabel: "{part}/{count}",
+    ...target.segments,
+  },
+  youtube: { ...profile.youtube, defaultLanguage: target.code },
+});
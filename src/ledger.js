@@ -0,0 +1,200 @@
+import fs from "fs";
+import { withLogContext } from "./log.js";
+import { recordStageTime } from "./pipeline.js";
+
+export const LEDGER_PATH = "./ledger.json";
+
+// Stages are tracked per post (fetched, corrected, titled, verdict,
+// described, translated, segmented, playlist, linked) and per segment
+// (audio, captions, screenshot, rendered, reviewed, uploaded, thumbnailed,
+// playlisted, and uploaded:<platform> for platforms other than YouTube),
+// keyed by Reddit post id (translated versions by <id>:<language>).
+let ledger = null;
+
+const now = () => new Date().toISOString();
+
+const load = () => {
+  if (!ledger) {
+    ledger = fs.existsSync(LEDGER_PATH)
+      ? JSON.parse(fs.readFileSync(LEDGER_PATH, "utf8"))
+      : { posts: {} };
+  }
+  return ledger;
+};
+
+/**
+ * Writes to a temp file first so an interrupted run can never leave a
+ * truncated ledger behind.
+ */
+const save = () => {
+  const tmpPath = `${LEDGER_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(ledger, null, 2));
+  fs.renameSync(tmpPath, LEDGER_PATH);
+};
+
+export const getPostRecord = (postId) => load().posts[postId] || null;
+
+export const getPostRecords = () => Object.values(load().posts);
+
+/**
+ * Creates or refreshes the ledger entry for a Reddit post. The id is the
+ * only key; everything else is informational.
+ */
+export const trackPost = (post, profile, details = {}) => {
+  const { posts } = load();
+  const record = posts[post.id] || {
+    id: post.id,
+    createdAt: now(),
+    stages: {},
+    segments: {},
+  };
+  Object.assign(record, {
+    channel: profile.channel,
+    subreddit: profile.name,
+    folder: profile.folder,
+    title: post.title,
+    ...details,
+    updatedAt: now(),
+  });
+  posts[post.id] = record;
+  save();
+  return record;
+};
+
+const stagesFor = (record, segmentIndex) => {
+  if (segmentIndex === null) return record.stages;
+  const key = String(segmentIndex);
+  record.segments[key] ||= { stages: {} };
+  return record.segments[key].stages;
+};
+
+export const getStage = (postId, stage, segmentIndex = null) => {
+  const record = getPostRecord(postId);
+  if (!record) return null;
+  if (segmentIndex === null) return record.stages[stage] || null;
+  return record.segments[String(segmentIndex)]?.stages[stage] || null;
+};
+
+export const isStageDone = (postId, stage, segmentIndex = null) =>
+  getStage(postId, stage, segmentIndex)?.status === "done";
+
+/**
+ * Records a stage transition. `status` is one of "started", "done" or
+ * "failed"; extra data (e.g. a YouTube video id) is stored on the stage.
+ */
+export const markStage = (
+  postId,
+  stage,
+  status,
+  { segmentIndex = null, error = null, ...data } = {}
+) => {
+  const record = getPostRecord(postId);
+  if (!record) throw new Error(`Post ${postId} is not in the ledger`);
+  const stages = stagesFor(record, segmentIndex);
+  const previous = stages[stage] || {};
+  stages[stage] = {
+    ...previous,
+    ...data,
+    status,
+    error: error ? error.message || String(error) : null,
+    startedAt: status === "started" ? now() : previous.startedAt || now(),
+    updatedAt: now(),
+  };
+  if (status === "failed") {
+    stages[stage].attempts = (previous.attempts || 0) + 1;
+  }
+  record.updatedAt = now();
+  save();
+  return stages[stage];
+};
+
+/**
+ * Forgets the given stages of a post, both its own and those of every
+ * segment, so the next run performs them again.
+ */
+export const resetStages = (postId, stages) => {
+  const record = getPostRecord(postId);
+  if (!record) return;
+  for (const stageMap of [
+    record.stages,
+    ...Object.values(record.segments).map((segment) => segment.stages),
+  ]) {
+    for (const stage of stages) delete stageMap[stage];
+  }
+  record.updatedAt = now();
+  save();
+};
+
+// The files a per-segment stage recorded, by stage.
+const segmentFiles = (postId, stage) =>
+  Object.values(getPostRecord(postId).segments)
+    .map(({ stages }) => stages[stage]?.path)
+    .filter((filePath) => filePath && fs.existsSync(filePath));
+
+/**
+ * Deletes the narration of a post and forgets every stage built on it, so
+ * its parts can be planned again.
+ */
+export const discardNarration = (postId) => {
+  for (const audioPath of segmentFiles(postId, "audio")) {
+    fs.unlinkSync(audioPath);
+  }
+  resetStages(postId, ["segmented", "audio", "captions", "screenshot"]);
+};
+
+/**
+ * Deletes the rendered videos of a post and forgets them, along with their
+ * review, so the next run renders them again.
+ */
+export const discardRenders = (postId) => {
+  for (const videoPath of segmentFiles(postId, "rendered")) {
+    fs.unlinkSync(videoPath);
+  }
+  resetStages(postId, ["rendered", "reviewed"]);
+};
+
+// The translated versions of a post.
+export const getVersions = (postId) =>
+  getPostRecords().filter((record) => record.sourceId === postId);
+
+/**
+ * Forgets the translations of a post whose text changed, with everything
+ * produced from them, so the next run translates the new text.
+ */
+export const discardVersions = (postId) => {
+  for (const { id } of getVersions(postId)) {
+    discardRenders(id);
+    discardNarration(id);
+    resetStages(id, ["translated"]);
+  }
+};
+
+/**
+ * Runs one stage of the pipeline and records its outcome. Stages that are
+ * already done are skipped and their stored result is returned instead.
+ * Whatever the stage logs carries the post id (and segment), and its
+ * duration goes into the run report.
+ */
+export const runStage = async (
+  postId,
+  stage,
+  fn,
+  { segmentIndex = null } = {}
+) => {
+  const existing = getStage(postId, stage, segmentIndex);
+  if (existing?.status === "done") return existing;
+  markStage(postId, stage, "started", { segmentIndex });
+  const startedAt = Date.now();
+  try {
+    const result = await withLogContext(
+      { postId, ...(segmentIndex !== null && { segment: segmentIndex }) },
+      () => fn(existing)
+    );
+    recordStageTime(stage, "done", Date.now() - startedAt);
+    return markStage(postId, stage, "done", { segmentIndex, ...result });
+  } catch (error) {
+    recordStageTime(stage, "failed", Date.now() - startedAt);
+    markStage(postId, stage, "failed", { segmentIndex, error });
+    throw error;
+  }
+};
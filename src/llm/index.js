@@ -0,0 +1,127 @@
+import fs from "fs";
+import path from "path";
+import { withRetries } from "../http.js";
+
+/**
+ * Text generation backends, loaded on first use. Every adapter exposes
+ * `complete({ task, prompt, vars, maxOutputTokens }, settings)` and resolves
+ * to the raw output text.
+ */
+export const LLM_PROVIDERS = {
+  openai: { load: async () => (await import("./openai.js")).openai },
+  "openai-compatible": {
+    load: async () => (await import("./openai.js")).openaiCompatible,
+  },
+  mock: { load: async () => (await import("./mock.js")).mock },
+};
+
+export const DEFAULT_PROMPTS_DIR = "./prompts";
+
+/**
+ * Thrown when the model answered but the answer is unusable. Validation
+ * failures are retried like transient API errors.
+ */
+export class LlmOutputError extends Error {
+  constructor(task, message) {
+    super(`${task}: ${message}`);
+    this.name = "LlmOutputError";
+  }
+}
+
+const adapters = {};
+
+const getAdapter = async (name) => {
+  if (!LLM_PROVIDERS[name]) throw new Error(`Unknown LLM provider "${name}"`);
+  adapters[name] ||= await LLM_PROVIDERS[name].load();
+  return adapters[name];
+};
+
+const templates = {};
+
+/**
+ * Loads `<promptsDir>/<task>.txt` and fills its {{placeholders}}. A
+ * placeholder without a value is an error rather than an empty string so a
+ * typo in a custom template cannot silently send a broken prompt.
+ */
+export const renderPrompt = (task, vars, promptsDir = DEFAULT_PROMPTS_DIR) => {
+  const templatePath = path.join(promptsDir, `${task}.txt`);
+  if (!(templatePath in templates)) {
+    if (!fs.existsSync(templatePath)) {
+      throw new Error(`Prompt template not found: ${templatePath}`);
+    }
+    templates[templatePath] = fs.readFileSync(templatePath, "utf8");
+  }
+  return templates[templatePath]
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+      if (vars[name] === undefined) {
+        throw new Error(`${templatePath}: no value for {{${name}}}`);
+      }
+      return String(vars[name]);
+    })
+    .trim();
+};
+
+const isRetryable = (error) =>
+  error instanceof LlmOutputError ||
+  error.status === undefined ||
+  error.status === 408 ||
+  error.status === 409 ||
+  error.status === 429 ||
+  error.status >= 500;
+
+/**
+ * Runs one prompt task against the configured backend. The output is passed
+ * through `validate`, which returns the cleaned text or throws an
+ * LlmOutputError. Failed attempts are retried with exponential backoff;
+ * the last error is thrown once `settings.maxRetries` is used up.
+ */
+export const generateText = async (
+  settings,
+  task,
+  vars,
+  { maxOutputTokens = 2048, validate = (text) => text } = {}
+) => {
+  const adapter = await getAdapter(settings.provider);
+  const prompt = renderPrompt(task, vars, settings.promptsDir);
+  return withRetries(
+    settings,
+    `LLM ${task}`,
+    async () => {
+      const output = await adapter.complete(
+        { task, prompt, vars, maxOutputTokens },
+        settings
+      );
+      if (!output?.trim()) throw new LlmOutputError(task, "empty output");
+      return validate(output.trim());
+    },
+    { retryable: isRetryable }
+  );
+};
+
+// Apostrophes are dropped so "dont" and "don't" count as the same word.
+const words = (text) =>
+  text
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Share of the original words (counted with multiplicity) that are still
+ * present in the rewritten text.
+ */
+export const wordRetention = (original, rewritten) => {
+  const originalWords = words(original);
+  if (!originalWords.length) return 1;
+  const available = new Map();
+  for (const word of words(rewritten)) {
+    available.set(word, (available.get(word) || 0) + 1);
+  }
+  let kept = 0;
+  for (const word of originalWords) {
+    if (available.get(word) > 0) {
+      kept++;
+      available.set(word, available.get(word) - 1);
+    }
+  }
+  return kept / originalWords.length;
+};
@@ -0,0 +1,27 @@
+/**
+ * Deterministic stand-in for a real model: the same input always produces
+ * the same output and no network is used. Useful for dry runs of the whole
+ * pipeline and for testing prompt handling.
+ */
+const truncateWords = (text, maxLength) => {
+  let result = "";
+  for (const word of text.split(/\s+/)) {
+    const next = result ? `${result} ${word}` : word;
+    if (next.length > maxLength) break;
+    result = next;
+  }
+  return result || text.slice(0, maxLength);
+};
+
+const responses = {
+  "correct-text": ({ text }) => text,
+  "shorten-title": ({ title, maxLength }) => truncateWords(title, maxLength),
+  description: ({ title }) => `A story from Reddit: ${title}`,
+  "classify-post": () => "SAFE",
+  translate: ({ text }) => text,
+};
+
+export const mock = {
+  complete: async ({ task, prompt, vars }) =>
+    responses[task] ? responses[task](vars) : prompt,
+};
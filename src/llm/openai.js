@@ -0,0 +1,55 @@
+import OpenAI from "openai";
+import { recordUsage } from "../pipeline.js";
+
+const clients = {};
+
+// Retries are handled by generateText so the SDK's own are disabled.
+const getClient = (settings) => {
+  const key = `${settings.baseURL || ""}|${settings.apiKey || ""}`;
+  clients[key] ||= new OpenAI({
+    apiKey: settings.apiKey || "not-needed",
+    baseURL: settings.baseURL || undefined,
+    maxRetries: 0,
+  });
+  return clients[key];
+};
+
+export const openai = {
+  complete: async ({ prompt, maxOutputTokens }, settings) => {
+    const response = await getClient(settings).responses.create({
+      model: settings.model,
+      input: [{ role: "user", content: prompt }],
+      text: { format: { type: "text" } },
+      temperature: settings.temperature,
+      max_output_tokens: maxOutputTokens,
+      top_p: 1,
+      store: true,
+    });
+    // Every attempt is billed, including those generateText retries.
+    recordUsage("openai", {
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0,
+    });
+    return response.output_text;
+  },
+};
+
+/**
+ * Local servers (Ollama, LM Studio, vLLM, llama.cpp) generally only
+ * implement the chat completions endpoint.
+ */
+export const openaiCompatible = {
+  complete: async ({ prompt, maxOutputTokens }, settings) => {
+    const response = await getClient(settings).chat.completions.create({
+      model: settings.model,
+      messages: [{ role: "user", content: prompt }],
+      temperature: settings.temperature,
+      max_tokens: maxOutputTokens,
+    });
+    recordUsage("openai-compatible", {
+      inputTokens: response.usage?.prompt_tokens || 0,
+      outputTokens: response.usage?.completion_tokens || 0,
+    });
+    return response.choices[0]?.message?.content || "";
+  },
+};
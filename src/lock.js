@@ -0,0 +1,91 @@
+import fs from "fs";
+import { log, runId } from "./log.js";
+
+export const LOCK_PATH = "./run.lock";
+
+export class LockedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LockedError";
+  }
+}
+
+let held = false;
+
+const readLock = () => {
+  try {
+    return JSON.parse(fs.readFileSync(LOCK_PATH, "utf8"));
+  } catch {
+    return null;
+  }
+};
+
+const isFresh = () => {
+  try {
+    return Date.now() - fs.statSync(LOCK_PATH).mtimeMs < 5000;
+  } catch {
+    return false;
+  }
+};
+
+// Signal 0 only asks whether the process exists; EPERM means it does but
+// belongs to another user.
+const isRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+};
+
+/**
+ * Takes the lock that keeps two runs from working on the same ledger and
+ * folders at once, e.g. a cron job firing while a daemon or an earlier
+ * run is still busy. A lock left behind by a process that no longer exists
+ * is taken over. Throws a LockedError while another run holds it.
+ */
+export const acquireLock = (command) => {
+  for (;;) {
+    try {
+      fs.writeFileSync(
+        LOCK_PATH,
+        JSON.stringify({
+          pid: process.pid,
+          command,
+          runId,
+          startedAt: new Date().toISOString(),
+        }),
+        { flag: "wx" }
+      );
+      held = true;
+      // A hard exit (a second Ctrl+C) skips the regular release.
+      process.once("exit", releaseLock);
+      return;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+    const holder = readLock();
+    if (holder && isRunning(holder.pid)) {
+      throw new LockedError(
+        `Another run (${holder.command}, pid ${holder.pid}, started ${holder.startedAt}) holds ${LOCK_PATH}`
+      );
+    }
+    // An unreadable lock may be one another run is writing this moment.
+    if (!holder && isFresh()) {
+      throw new LockedError(`Another run is taking ${LOCK_PATH}`);
+    }
+    log.warn(
+      `Taking over ${LOCK_PATH}${
+        holder ? ` from pid ${holder.pid}, which is gone` : ""
+      }`
+    );
+    fs.rmSync(LOCK_PATH, { force: true });
+  }
+};
+
+export const releaseLock = () => {
+  if (!held) return;
+  held = false;
+  if (readLock()?.pid === process.pid) fs.rmSync(LOCK_PATH, { force: true });
+};
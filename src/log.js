@@ -0,0 +1,70 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+// "json" writes one object per line for log collectors and cron mail;
+// "text" keeps a terminal readable. "auto" picks text on a terminal.
+export const LOG_FORMATS = ["auto", "text", "json"];
+
+/**
+ * Identifies this run in every log line and in its report, e.g.
+ * "20261019T195012-3fa2c1".
+ */
+export const runId = `${new Date()
+  .toISOString()
+  .replace(/[-:]|\.\d+Z$/g, "")}-${crypto.randomBytes(3).toString("hex")}`;
+
+const context = new AsyncLocalStorage();
+let json = !process.stdout.isTTY;
+
+export const configureLogging = ({ format }) => {
+  json = format === "auto" ? !process.stdout.isTTY : format === "json";
+};
+
+/**
+ * Runs `fn` with `fields` (a `postId`, a `segment`) added to everything it
+ * logs, including the work it starts asynchronously. Contexts nest, the
+ * inner fields winning.
+ */
+export const withLogContext = (fields, fn) =>
+  context.run({ ...context.getStore(), ...fields }, fn);
+
+const serialize = (value) => (value instanceof Error ? value.message : value);
+
+// In text mode the context becomes a "[post#segment]" prefix and an error
+// is appended to the message, the way it used to be logged.
+const formatText = (message, { postId, segment, error }) => {
+  const prefix = postId ? `[${postId}${segment ? `#${segment}` : ""}] ` : "";
+  return `${prefix}${message}${error !== undefined ? `: ${error}` : ""}`;
+};
+
+const write = (level, message, fields = {}) => {
+  const entry = { ...context.getStore() };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = serialize(value);
+  }
+  // Warnings and errors go to stderr, as they did through the console.
+  const stream = level === "info" ? process.stdout : process.stderr;
+  stream.write(
+    `${
+      json
+        ? JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            runId,
+            message,
+            ...entry,
+          })
+        : formatText(message, entry)
+    }\n`
+  );
+};
+
+/**
+ * Writes a log line. `fields` are kept as structured data (an Error as its
+ * message); in text mode only an `error` field is shown.
+ */
+export const log = {
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
@@ -0,0 +1,133 @@
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// Numeric entities outside Unicode or in the surrogate range name no
+// character, and control characters other than whitespace have no place in
+// post text (inlineMarkdown uses two of them itself); they are left as they
+// are.
+const isCodePoint = (point) =>
+  (point > 0x1f || [0x9, 0xa, 0xd].includes(point)) &&
+  point <= 0x10ffff &&
+  (point < 0xd800 || point > 0xdfff);
+
+/**
+ * Turns HTML entities back into characters. Post dumps from Pushshift and
+ * Reddit responses fetched without raw_json escape &, < and > in the text.
+ */
+export const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      if (!isCodePoint(point)) return entity;
+      return point === 0x200b ? "" : String.fromCodePoint(point);
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+// Stand-ins for text that inline formatting must not touch, swapped back
+// in at the end. Control characters never occur in post text.
+const protect = (stash, html) => `\u0001${stash.push(html) - 1}\u0002`;
+const restore = (stash, html) =>
+  html.replace(/\u0001(\d+)\u0002/g, (_, i) => stash[i]);
+
+/**
+ * Renders Reddit's inline markdown in one line of text as HTML: bold,
+ * italics, strikethrough, spoilers, superscript, code spans and links
+ * (shown as styled text, since nobody can click a video). Everything else
+ * is escaped.
+ */
+export const inlineMarkdown = (text) => {
+  const stash = [];
+  let html = decodeEntities(text)
+    .replace(/\\([\\`*_{}[\]()#+\-.!~^>|])/g, (_, char) =>
+      protect(stash, escapeHtml(char))
+    )
+    .replace(/`([^`]+)`/g, (_, code) =>
+      protect(stash, `<code>${escapeHtml(code)}</code>`)
+    );
+  html = escapeHtml(html)
+    .replace(/\[([^\]]+)\]\([^)\s]+(?:\s+&quot;[^)]*&quot;)?\)/g, (_, label) =>
+      protect(stash, `<span class="link">${label}</span>`)
+    )
+    .replace(/&gt;!(.+?)!&lt;/g, '<span class="spoiler">$1</span>')
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "<strong>$2</strong>")
+    .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, "<em>$1</em>")
+    .replace(/(^|\W)_(?=\S)(.+?)(?<=\S)_(?=\W|$)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, "<del>$1</del>")
+    .replace(/\^\(([^)]+)\)|\^(\S+)/g, (_, group, word) =>
+      protect(stash, `<sup>${group ?? word}</sup>`)
+    );
+  return restore(stash, html);
+};
+
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+const RULE = /^\s*(?:(?:\*\s*){3,}|(?:-\s*){3,}|(?:_\s*){3,})$/;
+
+/**
+ * Renders markdown text as HTML blocks. Every line is its own paragraph,
+ * which is how planCards lays out the paragraphs of a card; quotes, lists,
+ * headings and rules are recognised line by line, and consecutive quote or
+ * list lines are grouped.
+ */
+export const markdownToHtml = (text) => {
+  const blocks = [];
+  let group = null;
+  const flush = () => {
+    if (!group) return;
+    const inner = group.items.join("");
+    blocks.push(`<${group.tag}>${inner}</${group.tag}>`);
+    group = null;
+  };
+  const addToGroup = (tag, item) => {
+    if (group?.tag !== tag) {
+      flush();
+      group = { tag, items: [] };
+    }
+    group.items.push(item);
+  };
+  for (const line of text.split("\n")) {
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    const quote = line.match(/^\s*(?:>|&gt;)(?!!)\s?(.*)$/);
+    const item = line.match(LIST_ITEM);
+    const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (quote) {
+      addToGroup("blockquote", `<p>${inlineMarkdown(quote[1])}</p>`);
+    } else if (RULE.test(line)) {
+      flush();
+      blocks.push("<hr>");
+    } else if (item) {
+      addToGroup(item[1] ? "ul" : "ol", `<li>${inlineMarkdown(item[3])}</li>`);
+    } else if (heading) {
+      flush();
+      blocks.push(`<p class="heading">${inlineMarkdown(heading[1])}</p>`);
+    } else {
+      flush();
+      blocks.push(`<p>${inlineMarkdown(line.trim())}</p>`);
+    }
+  }
+  flush();
+  return blocks.join("\n");
+};
@@ -0,0 +1,10 @@
+import ffmpeg from "fluent-ffmpeg";
+
+// Length of an audio or video file in seconds, as ffprobe reports it.
+export const probeDuration = (filePath) =>
+  new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(err);
+      resolve(metadata.format.duration);
+    });
+  });
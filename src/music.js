@@ -0,0 +1,107 @@
+import fs from "fs";
+import path from "path";
+
+const AUDIO_EXTENSIONS = [".mp3", ".m4a", ".aac", ".wav", ".ogg", ".flac"];
+
+export const listTracks = (library) =>
+  fs.existsSync(library)
+    ? fs
+        .readdirSync(library)
+        .filter((file) =>
+          AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase())
+        )
+        .map((file) => path.join(library, file))
+    : [];
+
+/**
+ * Credits for a track come from a text file next to it with the same name
+ * (e.g. "calm.mp3" and "calm.txt"), falling back to the file name.
+ */
+const readAttribution = (trackPath) => {
+  const creditsPath = trackPath.replace(/\.[^.]+$/, ".txt");
+  if (fs.existsSync(creditsPath)) {
+    const credits = fs.readFileSync(creditsPath, "utf8").trim();
+    if (credits) return credits;
+  }
+  return path.basename(trackPath, path.extname(trackPath));
+};
+
+/**
+ * Picks a random track from the music library. Returns null when music is
+ * disabled, so callers can pass the result straight to createVideo.
+ */
+export const pickTrack = (settings) => {
+  if (!settings.enabled) return null;
+  const tracks = listTracks(settings.library);
+  if (!tracks.length) {
+    throw new Error(`No music tracks found in ${settings.library}`);
+  }
+  const trackPath = tracks[Math.floor(Math.random() * tracks.length)];
+  return { path: trackPath, attribution: readAttribution(trackPath) };
+};
+
+/**
+ * Builds the audio filters that lay the music under the narration: the
+ * track is faded in and out, ducked whenever the voice is speaking
+ * (sidechain compression keyed on the narration) and the mix is normalized
+ * to the target loudness. Outputs `[a]`.
+ */
+export const musicFilters = (voiceInput, musicInput, duration, settings) => {
+  const fadeOutStart = Math.max(0, duration - settings.fadeOut);
+  return [
+    {
+      filter: "asplit",
+      options: 2,
+      inputs: `${voiceInput}:a`,
+      outputs: ["voice", "voiceKey"],
+    },
+    {
+      filter: "volume",
+      options: { volume: settings.volume },
+      inputs: `${musicInput}:a`,
+      outputs: "musicLevel",
+    },
+    {
+      filter: "afade",
+      options: { t: "in", st: 0, d: settings.fadeIn },
+      inputs: "musicLevel",
+      outputs: "musicIn",
+    },
+    {
+      filter: "afade",
+      options: { t: "out", st: fadeOutStart.toFixed(3), d: settings.fadeOut },
+      inputs: "musicIn",
+      outputs: "musicFaded",
+    },
+    {
+      filter: "sidechaincompress",
+      options: {
+        threshold: 0.02,
+        ratio: settings.duckRatio,
+        attack: 20,
+        release: 400,
+      },
+      inputs: ["musicFaded", "voiceKey"],
+      outputs: "musicDucked",
+    },
+    {
+      filter: "amix",
+      options: { inputs: 2, duration: "first", normalize: 0 },
+      inputs: ["voice", "musicDucked"],
+      outputs: "mix",
+    },
+    {
+      filter: "loudnorm",
+      options: { I: settings.loudness, TP: -1.5, LRA: 11 },
+      inputs: "mix",
+      outputs: "loud",
+    },
+    // loudnorm upsamples to 192 kHz internally.
+    {
+      filter: "aresample",
+      options: 48000,
+      inputs: "loud",
+      outputs: "a",
+    },
+  ];
+};
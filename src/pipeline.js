@@ -0,0 +1,332 @@
+import fs from "fs";
+import path from "path";
+import { log, runId } from "./log.js";
+
+/**
+ * Worker pools for the stages of the pipeline. Posts and their segments are
+ * worked on side by side; each pool caps how many tasks of its kind run at
+ * once: requests to language models and transcription (`llm`), speech
+ * synthesis (`tts`), ffmpeg renders (`render`, CPU-bound, so keep it near
+ * the number of cores) and uploads (`upload`). Card screenshots have their
+ * own limit in the browser pool.
+ */
+let limits = { llm: 4, tts: 2, render: 1, upload: 2 };
+const pools = {};
+const stats = {};
+const outcomes = {};
+const stageTimes = {};
+const usage = {};
+const startedAt = Date.now();
+let reportSettings = { command: null, costs: {}, reportsDir: "" };
+
+let cancelled = false;
+const cancelHandlers = new Set();
+const partialFiles = new Set();
+
+export class CancelledError extends Error {
+  constructor(message = "Run cancelled") {
+    super(message);
+    this.name = "CancelledError";
+  }
+}
+
+export const configurePipeline = (options) => {
+  limits = { ...limits, ...options };
+};
+
+export const isCancelled = () => cancelled;
+
+const getPool = (kind) => {
+  if (!(kind in limits)) throw new Error(`Unknown worker pool "${kind}"`);
+  pools[kind] ||= { busy: 0, waiting: [] };
+  return pools[kind];
+};
+
+const acquireSlot = (pool, kind) => {
+  if (pool.busy < limits[kind]) {
+    pool.busy++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) =>
+    pool.waiting.push({ resolve, reject })
+  );
+};
+
+// As in the browser pool, a released slot goes straight to the next waiter.
+const releaseSlot = (pool) => {
+  const next = pool.waiting.shift();
+  if (next) next.resolve();
+  else pool.busy--;
+};
+
+/**
+ * Runs `fn` once the `kind` pool has a free slot. Tasks still waiting when
+ * the run is cancelled reject with a CancelledError instead of starting;
+ * tasks already running are left to finish. Every task is counted for the
+ * summary.
+ */
+export const runTask = async (kind, fn) => {
+  const pool = getPool(kind);
+  stats[kind] ||= { done: 0, failed: 0, cancelled: 0, busyMs: 0 };
+  if (cancelled) {
+    stats[kind].cancelled++;
+    throw new CancelledError();
+  }
+  try {
+    await acquireSlot(pool, kind);
+  } catch (error) {
+    stats[kind].cancelled++;
+    throw error;
+  }
+  const start = Date.now();
+  try {
+    const result = await fn();
+    stats[kind].done++;
+    return result;
+  } catch (error) {
+    // Tasks that fail once the run is cancelled were most likely stopped.
+    stats[kind][
+      error instanceof CancelledError || cancelled ? "cancelled" : "failed"
+    ]++;
+    throw error;
+  } finally {
+    stats[kind].busyMs += Date.now() - start;
+    releaseSlot(pool);
+  }
+};
+
+/**
+ * Calls `handler` when the run is cancelled, e.g. to kill a child process.
+ * Returns a function that unregisters it again.
+ */
+export const onCancel = (handler) => {
+  if (cancelled) {
+    handler();
+    return () => {};
+  }
+  cancelHandlers.add(handler);
+  return () => cancelHandlers.delete(handler);
+};
+
+/**
+ * Stops the run: nothing queued starts any more and the cancel handlers of
+ * running tasks are called. Work in flight settles on its own, so the ledger
+ * records how far every stage got.
+ */
+export const cancelPipeline = () => {
+  if (cancelled) return;
+  cancelled = true;
+  for (const pool of Object.values(pools)) {
+    for (const { reject } of pool.waiting.splice(0)) {
+      reject(new CancelledError());
+    }
+  }
+  for (const handler of [...cancelHandlers]) handler();
+  cancelHandlers.clear();
+};
+
+/**
+ * Lets `fn` write `outputPath` through a temp file next to it (with
+ * ".partial" before the extension, so tools that go by the extension still
+ * work), which is only renamed into place once `fn` resolved. A failed or
+ * cancelled write never leaves a truncated file behind that a later run
+ * would take for finished.
+ */
+export const writeAtomically = async (outputPath, fn) => {
+  const { dir, name, ext } = path.parse(outputPath);
+  const tmpPath = path.join(dir, `${name}.partial${ext}`);
+  partialFiles.add(tmpPath);
+  try {
+    const result = await fn(tmpPath);
+    fs.renameSync(tmpPath, outputPath);
+    return result;
+  } finally {
+    partialFiles.delete(tmpPath);
+    if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+  }
+};
+
+export const isPartialFile = (file) => /\.partial(\.[^.]+)?$/.test(file);
+
+/**
+ * Deletes the temp files of writes still in progress, for when the process
+ * has to exit without waiting for them.
+ */
+export const removePartialFiles = () => {
+  for (const file of partialFiles) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+  partialFiles.clear();
+};
+
+/**
+ * Counts what became of one unit of work (a post, a folder of uploads) for
+ * the summary, e.g. recordOutcome("posts", "rendered").
+ */
+export const recordOutcome = (group, outcome) => {
+  outcomes[group] ||= {};
+  outcomes[group][outcome] = (outcomes[group][outcome] || 0) + 1;
+};
+
+/**
+ * Counts one run of a ledger stage (see runStage) and how long it took,
+ * waiting for a worker included.
+ */
+export const recordStageTime = (stage, status, ms) => {
+  stageTimes[stage] ||= { done: 0, failed: 0, totalMs: 0 };
+  stageTimes[stage][status]++;
+  stageTimes[stage].totalMs += ms;
+};
+
+/**
+ * Adds to what the run used of a metered service, e.g.
+ * recordUsage("playht", { characters: 1200 }).
+ */
+export const recordUsage = (service, amounts) => {
+  usage[service] ||= {};
+  for (const [unit, amount] of Object.entries(amounts)) {
+    usage[service][unit] = (usage[service][unit] || 0) + amount;
+  }
+};
+
+/**
+ * Sets what the report names the run after (`command`), the prices its
+ * spend is estimated with (`costs`: US dollars per million units, by
+ * service and unit) and where it is saved (`reportsDir`).
+ */
+export const configureReport = (settings) => {
+  reportSettings = { ...reportSettings, ...settings };
+};
+
+const sumOf = (counts = {}, keys = Object.keys(counts)) =>
+  keys.reduce((sum, key) => sum + (counts[key] || 0), 0);
+
+/**
+ * Describes the run so far: what became of its posts, the outcomes of every
+ * group, how often each stage ran and for how long, the worker pools, the
+ * metered usage and its estimated spend. `failures` counts the work that
+ * failed or was left incomplete.
+ */
+export const runReport = () => {
+  const finishedAt = Date.now();
+  const spend = {};
+  for (const [service, prices] of Object.entries(reportSettings.costs)) {
+    if (!usage[service]) continue;
+    const dollars = Object.entries(prices).reduce(
+      (sum, [unit, price]) => sum + ((usage[service][unit] || 0) * price) / 1e6,
+      0
+    );
+    spend[service] = Math.round(dollars * 10000) / 10000;
+  }
+  const posts = outcomes.posts || {};
+  return {
+    runId,
+    command: reportSettings.command,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    durationMs: finishedAt - startedAt,
+    cancelled,
+    posts: {
+      fetched: sumOf(outcomes.fetched),
+      filtered: posts.filtered || 0,
+      rendered: posts.rendered || 0,
+      uploaded: posts.uploaded || 0,
+      // Rendered, but left queued when the YouTube quota ran out.
+      deferred: posts.deferred || 0,
+      failed: sumOf(posts, ["failed", "incomplete"]),
+    },
+    failures: Object.values(outcomes).reduce(
+      (sum, counts) => sum + sumOf(counts, ["failed", "incomplete"]),
+      0
+    ),
+    outcomes,
+    stages: Object.fromEntries(
+      Object.entries(stageTimes).map(([stage, times]) => [
+        stage,
+        {
+          ...times,
+          averageMs: Math.round(times.totalMs / (times.done + times.failed)),
+        },
+      ])
+    ),
+    pools: stats,
+    usage,
+    spend: {
+      ...spend,
+      total: Math.round(sumOf(spend) * 10000) / 10000,
+    },
+  };
+};
+
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  const parts = [
+    [Math.floor(seconds / 3600), "h"],
+    [Math.floor((seconds % 3600) / 60), "m"],
+    [seconds % 60, "s"],
+  ].filter(([value], i, all) => value || i === all.length - 1);
+  return parts.map(([value, unit]) => `${value}${unit}`).join(" ");
+};
+
+const formatCounts = (counts) =>
+  Object.entries(counts)
+    .filter(([, count]) => count)
+    .map(([key, count]) => `${count} ${key}`)
+    .join(", ");
+
+/**
+ * Logs how the run went (see runReport): the outcomes recorded per group,
+ * per worker pool how many tasks finished, failed or were cancelled and how
+ * long the pool was busy in total, the time spent per stage and the metered
+ * usage with its estimated spend. In JSON logs the line carries the whole
+ * report.
+ */
+export const printSummary = (report) => {
+  if (!Object.keys(outcomes).length && !Object.keys(stats).length) return;
+  const lines = [
+    `Run ${report.runId} ${
+      report.cancelled ? "cancelled" : "finished"
+    } after ${formatDuration(report.durationMs)}.`,
+  ];
+  for (const [group, counts] of Object.entries(report.outcomes)) {
+    lines.push(`  ${group}: ${formatCounts(counts)}`);
+  }
+  for (const [kind, { busyMs, ...counts }] of Object.entries(report.pools)) {
+    lines.push(
+      `  ${kind}: ${formatCounts(counts) || "no tasks"} (${formatDuration(
+        busyMs
+      )} of work)`
+    );
+  }
+  if (Object.keys(report.stages).length) {
+    lines.push(
+      `  stages: ${Object.entries(report.stages)
+        .map(
+          ([stage, { done, failed, totalMs }]) =>
+            `${stage} ${formatDuration(totalMs)} (${done + failed}×)`
+        )
+        .join(", ")}`
+    );
+  }
+  for (const [service, amounts] of Object.entries(report.usage)) {
+    lines.push(
+      `  ${service}: ${formatCounts(amounts)}${
+        service in report.spend ? ` (about $${report.spend[service]})` : ""
+      }`
+    );
+  }
+  log.info(lines.join("\n"), { report });
+};
+
+/**
+ * Saves the report as <reportsDir>/<run id>.json, for runs of a command.
+ */
+export const saveReport = (report) => {
+  if (!reportSettings.command || !reportSettings.reportsDir) return;
+  const reportPath = path.join(
+    reportSettings.reportsDir,
+    `${report.runId}.json`
+  );
+  fs.mkdirSync(reportSettings.reportsDir, { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+};
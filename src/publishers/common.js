@@ -0,0 +1,71 @@
+import { sleep, withRetries } from "../http.js";
+
+// A hashtag only starts at the beginning of the text or after whitespace, so
+// URL fragments ("page#top") are left alone. The match includes the
+// whitespace in front of it, so removing a match leaves no gap.
+const HASHTAG = /(^|\s+)#[\p{L}\p{N}_]+/gu;
+
+export const countHashtags = (text) => [...text.matchAll(HASHTAG)].length;
+
+/**
+ * Fits a caption, title or description to a platform's limits. Repeated
+ * hashtags and those past `maxHashtags` are dropped first; while the text is
+ * still longer than `maxLength`, hashtags are removed from the end, and only
+ * then is the text itself cut at a word boundary.
+ */
+export const fitText = (
+  text,
+  { maxLength = Infinity, maxHashtags = Infinity } = {}
+) => {
+  const seen = new Set();
+  let fitted = text.replace(HASHTAG, (match) => {
+    const tag = match.trim().toLowerCase();
+    if (seen.has(tag) || seen.size >= maxHashtags) return "";
+    seen.add(tag);
+    return match;
+  });
+  const tags = [...fitted.matchAll(HASHTAG)];
+  for (let i = tags.length - 1; i >= 0 && fitted.length > maxLength; i--) {
+    const { index, 0: match } = tags[i];
+    fitted = fitted.slice(0, index) + fitted.slice(index + match.length);
+  }
+  fitted = fitted.trim();
+  if (fitted.length <= maxLength) return fitted;
+  const cut = fitted.slice(0, maxLength - 1);
+  const wordEnd = cut.search(/\s\S*$/);
+  return `${(wordEnd > 0 ? cut.slice(0, wordEnd) : cut).trimEnd()}…`;
+};
+
+/**
+ * Retries a platform API call (see withRetries). The last failure is thrown
+ * as "<label> failed: <describe(error)>", with the response status.
+ */
+export const requestWithRetries = (settings, label, fn, describe) =>
+  withRetries(settings, label, fn, {
+    describe,
+    toError: (error) => {
+      const failure = new Error(`${label} failed: ${describe(error)}`);
+      failure.status = error.response?.status;
+      return failure;
+    },
+  });
+
+/**
+ * Calls `check` every `settings.pollIntervalMs` until it resolves to
+ * something other than null, giving up after `settings.pollTimeoutMs`.
+ */
+export const pollUntil = async (settings, label, check) => {
+  const deadline = Date.now() + settings.pollTimeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result !== null) return result;
+    if (Date.now() >= deadline) {
+      throw new Error(
+        `${label} did not finish within ${Math.round(
+          settings.pollTimeoutMs / 1000
+        )}s`
+      );
+    }
+    await sleep(settings.pollIntervalMs);
+  }
+};
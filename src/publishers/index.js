@@ -0,0 +1,134 @@
+import { getStage, markStage, runStage } from "../ledger.js";
+import { YoutubeAuthError, YoutubeQuotaError } from "../youtube.js";
+import { log } from "../log.js";
+
+/**
+ * Platforms a rendered video can be published to, loaded on first use.
+ * Every publisher exposes its platform `limits` and
+ * `publish(settings, job, { previous, onProgress })`, which resolves to
+ * what the ledger should record, including a `url`. It may also define
+ * `before` and `after` hooks that run around every publish of a tracked
+ * video, and `interrupted(stage, job)`, which returns a message when an
+ * interrupted publish must not be retried automatically.
+ * `required` lists the settings each platform cannot work without, and
+ * `stage` is the per-segment ledger stage its results are kept under.
+ */
+export const PUBLISHERS = {
+  youtube: {
+    stage: "uploaded",
+    required: ["clientId", "clientSecret", "refreshToken"],
+    load: () => import("./youtube.js"),
+  },
+  tiktok: {
+    stage: "uploaded:tiktok",
+    required: ["clientKey", "clientSecret", "refreshToken"],
+    load: () => import("./tiktok.js"),
+  },
+  instagram: {
+    stage: "uploaded:instagram",
+    required: ["userId", "accessToken"],
+    load: () => import("./instagram.js"),
+  },
+};
+
+const loaded = {};
+
+const getPublisher = async (name) => {
+  loaded[name] ||= (await PUBLISHERS[name].load())[name];
+  return loaded[name];
+};
+
+export const enabledPublishers = (profile) =>
+  Object.keys(PUBLISHERS).filter((name) => profile[name].enabled);
+
+/**
+ * Errors that will fail every following upload as well, so the queue stops
+ * instead of working through it.
+ */
+export const stopsQueue = (error) =>
+  error instanceof YoutubeQuotaError || error instanceof YoutubeAuthError;
+
+const publishTracked = async (name, publisher, settings, job) => {
+  const { stage } = PUBLISHERS[name];
+  const { postId, segmentIndex } = job;
+  const existing = getStage(postId, stage, segmentIndex);
+  if (existing?.status === "started") {
+    const problem = publisher.interrupted?.(existing, job);
+    if (problem) {
+      log.warn(problem);
+      return;
+    }
+  }
+  await publisher.before?.(settings, job);
+  if (existing?.status === "done") {
+    log.info(
+      `Segment ${segmentIndex} of post ${postId} is already on ${name}${
+        existing.url ? ` at ${existing.url}` : ""
+      }. Skipping.`
+    );
+  } else {
+    const { url } = await runStage(
+      postId,
+      stage,
+      (previous) =>
+        publisher.publish(settings, job, {
+          previous,
+          onProgress: (data) =>
+            markStage(postId, stage, "started", { segmentIndex, ...data }),
+        }),
+      { segmentIndex }
+    );
+    log.info(
+      `Published segment ${segmentIndex} of post ${postId} to ${name}: ${url}`
+    );
+  }
+  await publisher.after?.(settings, job);
+};
+
+/**
+ * Publishes one rendered video to every platform its profile enables.
+ * `job` describes the video: `videoPath`, `title`, `description`,
+ * `hashtags`, `duration` in seconds, `channel`, `thumbnailPath` and
+ * `coverMs` (where the cover frame is, both null when there is none),
+ * `localizations` (translated titles and descriptions by language code,
+ * which only YouTube takes, or null) and, for videos tracked in the ledger,
+ * `postId`, `segmentIndex` and `segmentCount`. Each publisher
+ * fits the title and description to its own limits; a video outside a
+ * platform's duration range (or the lower `maxDuration` configured for it)
+ * is not sent there. Tracked videos get one ledger stage per platform, so
+ * each platform is published to once and an interrupted upload resumes.
+ * A failure on one platform does not keep the video off the others; errors
+ * that stop the queue are rethrown once every platform had its turn.
+ */
+export const publishVideo = async (profile, job) => {
+  let stop = null;
+  for (const name of enabledPublishers(profile)) {
+    const publisher = await getPublisher(name);
+    const settings = profile[name];
+    const { minDuration, maxDuration } = publisher.limits;
+    const cap = Math.min(maxDuration, settings.maxDuration || Infinity);
+    if (job.duration < minDuration || job.duration > cap) {
+      log.warn(
+        `Not publishing ${job.videoPath} to ${name}: ${Math.round(
+          job.duration
+        )}s is outside its ${minDuration}-${cap}s range.`
+      );
+      continue;
+    }
+    try {
+      if (job.postId) {
+        await publishTracked(name, publisher, settings, job);
+      } else {
+        const { url } = await publisher.publish(settings, job);
+        log.info(`Published ${job.videoPath} to ${name}: ${url}`);
+      }
+    } catch (error) {
+      if (!stopsQueue(error)) {
+        log.error(`Failed to publish ${job.videoPath} to ${name}`, { error });
+        continue;
+      }
+      stop ||= error;
+    }
+  }
+  if (stop) throw stop;
+};
@@ -0,0 +1,195 @@
+import axios from "axios";
+import fs from "fs";
+import { fitText, pollUntil, requestWithRetries } from "./common.js";
+import { log } from "../log.js";
+
+const GRAPH_URL = "https://graph.facebook.com";
+const UPLOAD_URL = "https://rupload.facebook.com/ig-api-upload";
+
+// Instagram rejects captions with more than 30 hashtags outright. Reels
+// published through the API must run between 3 seconds and 15 minutes.
+const limits = {
+  captionLength: 2200,
+  maxHashtags: 30,
+  minDuration: 3,
+  maxDuration: 15 * 60,
+};
+
+const graphUrl = (settings, endpoint) =>
+  `${settings.baseURL || GRAPH_URL}/${settings.apiVersion}${endpoint}`;
+
+const describe = (error) =>
+  error.response?.data?.error?.error_user_msg ||
+  error.response?.data?.error?.message ||
+  error.message;
+
+// Graph errors flag failures worth retrying with `is_transient`.
+const graph = (settings, label, method, endpoint, params) =>
+  requestWithRetries(
+    settings,
+    label,
+    async () => {
+      try {
+        const { data } = await axios.request({
+          method,
+          url: graphUrl(settings, endpoint),
+          params: { ...params, access_token: settings.accessToken },
+        });
+        return data;
+      } catch (error) {
+        if (error.response?.data?.error?.is_transient) error.transient = true;
+        throw error;
+      }
+    },
+    describe
+  );
+
+const uploadFile = (settings, containerId, videoPath) => {
+  const { size } = fs.statSync(videoPath);
+  return requestWithRetries(
+    settings,
+    "Instagram upload",
+    () =>
+      axios.post(
+        `${settings.uploadURL || UPLOAD_URL}/${
+          settings.apiVersion
+        }/${containerId}`,
+        fs.createReadStream(videoPath),
+        {
+          headers: {
+            Authorization: `OAuth ${settings.accessToken}`,
+            offset: 0,
+            file_size: size,
+            "Content-Type": "application/octet-stream",
+            "Content-Length": size,
+          },
+          maxBodyLength: Infinity,
+        }
+      ),
+    describe
+  );
+};
+
+const containerStatus = async (settings, containerId) =>
+  (
+    await graph(
+      settings,
+      "Instagram container status",
+      "get",
+      `/${containerId}`,
+      { fields: "status_code" }
+    )
+  ).status_code;
+
+/**
+ * Waits until Instagram has processed the uploaded video and the container
+ * can be published.
+ */
+const waitForContainer = (settings, containerId) =>
+  pollUntil(settings, `Instagram container ${containerId}`, async () => {
+    const status = await containerStatus(settings, containerId);
+    if (status === "ERROR" || status === "EXPIRED") {
+      throw new Error(`Instagram could not process the video (${status})`);
+    }
+    return status === "FINISHED" ? status : null;
+  });
+
+/**
+ * Finds the Reel a container was published as. The Graph API does not link
+ * a container to its media, so it is looked for by caption among the
+ * account's latest media; null when it is not there.
+ */
+const findPublished = async (settings, caption) => {
+  const { data } = await graph(
+    settings,
+    "Instagram media",
+    "get",
+    `/${settings.userId}/media`,
+    { fields: "id,caption,permalink", limit: 25 }
+  );
+  return data.find((media) => media.caption === caption) ?? null;
+};
+
+/**
+ * Publishes a video as a Reel: a resumable media container is created with
+ * the caption, the file is uploaded to it, and once Instagram has processed
+ * it the container is published. The container id is reported through
+ * `onProgress`, and again just before it is published, so an interrupted
+ * run publishes that container instead of uploading again while it is
+ * still usable, and picks up the Reel of one that was published already.
+ */
+const publish = async (
+  settings,
+  job,
+  { previous = null, onProgress = () => {} } = {}
+) => {
+  let containerId = null;
+  let caption = previous?.caption;
+  if (previous?.containerId) {
+    const status = await containerStatus(settings, previous.containerId);
+    if (status === "PUBLISHED") {
+      const media = await findPublished(settings, caption);
+      if (!media) {
+        throw new Error(
+          `Instagram container ${previous.containerId} was published, but its Reel is not among the account's latest media`
+        );
+      }
+      log.info(`Instagram container ${previous.containerId} was published`);
+      return {
+        containerId: previous.containerId,
+        mediaId: media.id,
+        caption,
+        url: media.permalink,
+      };
+    }
+    if (status === "FINISHED" || status === "IN_PROGRESS") {
+      log.info(`Resuming Instagram container ${previous.containerId}`);
+      containerId = previous.containerId;
+    } else {
+      log.warn(
+        `Instagram container ${previous.containerId} is ${status}. Uploading again.`
+      );
+    }
+  }
+  if (!containerId) {
+    log.info(`Uploading video to Instagram: ${job.videoPath}`);
+    caption = fitText(`${job.title}\n\n${job.description}`, {
+      maxLength: limits.captionLength,
+      maxHashtags: limits.maxHashtags,
+    });
+    ({ id: containerId } = await graph(
+      settings,
+      "Instagram container",
+      "post",
+      `/${settings.userId}/media`,
+      {
+        media_type: "REELS",
+        upload_type: "resumable",
+        caption,
+        share_to_feed: settings.shareToFeed,
+        thumb_offset: job.coverMs ?? undefined,
+      }
+    ));
+    await onProgress({ containerId, caption });
+    await uploadFile(settings, containerId, job.videoPath);
+  }
+  await waitForContainer(settings, containerId);
+  await onProgress({ containerId, caption, publishing: true });
+  const { id: mediaId } = await graph(
+    settings,
+    "Instagram publish",
+    "post",
+    `/${settings.userId}/media_publish`,
+    { creation_id: containerId }
+  );
+  const { permalink } = await graph(
+    settings,
+    "Instagram permalink",
+    "get",
+    `/${mediaId}`,
+    { fields: "permalink" }
+  );
+  return { containerId, mediaId, caption, url: permalink };
+};
+
+export const instagram = { limits, publish };
@@ -0,0 +1,246 @@
+import axios from "axios";
+import fs from "fs";
+import { fitText, pollUntil, requestWithRetries } from "./common.js";
+import { readChunk } from "../http.js";
+import { log } from "../log.js";
+
+const API_URL = "https://open.tiktokapis.com";
+// Files under 10 MB go up in one piece; larger ones in 10 MB chunks, the
+// last of which takes the remainder (TikTok accepts a last chunk of up to
+// 128 MB).
+const CHUNK_SIZE = 10 * 1024 * 1024;
+
+// Hashtags are plain caption text on TikTok and count towards its length.
+// The duration cap here is the largest TikTok allows; each account's own
+// cap comes from the creator info and may be lower.
+const limits = {
+  captionLength: 2200,
+  maxHashtags: Infinity,
+  minDuration: 3,
+  maxDuration: 600,
+};
+
+const apiUrl = (settings, endpoint) =>
+  `${settings.baseURL || API_URL}${endpoint}`;
+
+const describe = (error) =>
+  error.response?.data?.error?.message ||
+  error.response?.data?.error_description ||
+  error.message;
+
+let token = null;
+
+/**
+ * Exchanges the refresh token for an access token, reused until shortly
+ * before it expires.
+ */
+const getToken = async (settings) => {
+  if (
+    token &&
+    token.clientKey === settings.clientKey &&
+    token.expiresAt > Date.now()
+  ) {
+    return token.value;
+  }
+  const form = new URLSearchParams({
+    client_key: settings.clientKey,
+    client_secret: settings.clientSecret,
+    grant_type: "refresh_token",
+    refresh_token: settings.refreshToken,
+  });
+  const { data } = await requestWithRetries(
+    settings,
+    "TikTok token request",
+    () =>
+      axios.post(apiUrl(settings, "/v2/oauth/token/"), form.toString(), {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      }),
+    describe
+  );
+  if (!data.access_token) {
+    throw new Error(
+      `TikTok token request failed: ${
+        data.error_description || data.error || "no access token"
+      }`
+    );
+  }
+  token = {
+    clientKey: settings.clientKey,
+    value: data.access_token,
+    expiresAt: Date.now() + (data.expires_in - 60) * 1000,
+  };
+  return token.value;
+};
+
+/**
+ * POSTs to the Content Posting API. TikTok answers every call with an
+ * `error` object whose code is "ok" on success; anything else is thrown.
+ */
+const post = async (settings, label, endpoint, body) => {
+  const { data } = await requestWithRetries(
+    settings,
+    label,
+    async () =>
+      axios.post(apiUrl(settings, endpoint), body, {
+        headers: {
+          Authorization: `Bearer ${await getToken(settings)}`,
+          "Content-Type": "application/json; charset=UTF-8",
+        },
+      }),
+    describe
+  );
+  if (data.error && data.error.code !== "ok") {
+    throw new Error(
+      `${label} failed: ${data.error.message || data.error.code}`
+    );
+  }
+  return data.data;
+};
+
+/**
+ * Checks the post against what the account may do right now: its allowed
+ * privacy levels and its maximum video length.
+ */
+const checkCreator = async (settings, duration) => {
+  const creator = await post(
+    settings,
+    "TikTok creator info",
+    "/v2/post/publish/creator_info/query/",
+    {}
+  );
+  if (!creator.privacy_level_options.includes(settings.privacyLevel)) {
+    throw new Error(
+      `TikTok account does not allow privacy level ${
+        settings.privacyLevel
+      } (allowed: ${creator.privacy_level_options.join(", ")})`
+    );
+  }
+  if (duration > creator.max_video_post_duration_sec) {
+    throw new Error(
+      `TikTok account only allows videos up to ${creator.max_video_post_duration_sec}s`
+    );
+  }
+  return creator;
+};
+
+const chunkPlan = (size) => {
+  const chunkCount = Math.max(1, Math.floor(size / CHUNK_SIZE));
+  return { chunkSize: chunkCount === 1 ? size : CHUNK_SIZE, chunkCount };
+};
+
+const uploadFile = async (settings, uploadUrl, videoPath, size) => {
+  const { chunkSize, chunkCount } = chunkPlan(size);
+  for (let i = 0; i < chunkCount; i++) {
+    const offset = i * chunkSize;
+    const length = i === chunkCount - 1 ? size - offset : chunkSize;
+    const chunk = await readChunk(videoPath, offset, length);
+    await requestWithRetries(
+      settings,
+      `TikTok upload chunk ${i + 1}/${chunkCount}`,
+      () =>
+        axios.put(uploadUrl, chunk, {
+          headers: {
+            "Content-Type": "video/mp4",
+            "Content-Length": chunk.length,
+            "Content-Range": `bytes ${offset}-${offset + length - 1}/${size}`,
+          },
+          maxBodyLength: Infinity,
+        }),
+      describe
+    );
+  }
+};
+
+const fetchStatus = (settings, publishId) =>
+  post(settings, "TikTok publish status", "/v2/post/publish/status/fetch/", {
+    publish_id: publishId,
+  });
+
+/**
+ * Waits until TikTok has processed and posted the video. Resolves to the
+ * public post id, which TikTok only reports for public posts.
+ */
+const waitForPost = (settings, publishId) =>
+  pollUntil(settings, `TikTok post ${publishId}`, async () => {
+    const status = await fetchStatus(settings, publishId);
+    if (status.status === "FAILED") {
+      throw new Error(`TikTok rejected the post: ${status.fail_reason}`);
+    }
+    if (status.status !== "PUBLISH_COMPLETE") return null;
+    return status.publicaly_available_post_id?.[0] ?? "";
+  });
+
+// Private posts have no public id; the profile is the closest link.
+const postUrl = (username, postId) =>
+  postId
+    ? `https://www.tiktok.com/@${username}/video/${postId}`
+    : `https://www.tiktok.com/@${username}`;
+
+/**
+ * Posts a video through the Content Posting API: the account's limits are
+ * checked, the upload is initialised with the caption and privacy options,
+ * the file is sent in chunks and the post is polled until it is live. The
+ * publish id is reported through `onProgress` as soon as TikTok assigns it,
+ * so an interrupted run waits for that post instead of posting again,
+ * unless TikTok reports it failed.
+ */
+const publish = async (
+  settings,
+  job,
+  { previous = null, onProgress = () => {} } = {}
+) => {
+  if (previous?.publishId) {
+    const { status } = await fetchStatus(settings, previous.publishId);
+    if (status !== "FAILED") {
+      log.info(`Waiting for TikTok post ${previous.publishId}`);
+      const postId = await waitForPost(settings, previous.publishId);
+      return {
+        publishId: previous.publishId,
+        postId,
+        url: postUrl(previous.username, postId),
+      };
+    }
+    log.warn(`TikTok post ${previous.publishId} failed. Posting again.`);
+  }
+  log.info(`Uploading video to TikTok: ${job.videoPath}`);
+  const creator = await checkCreator(settings, job.duration);
+  const { size } = fs.statSync(job.videoPath);
+  const { chunkSize, chunkCount } = chunkPlan(size);
+  const caption = fitText(`${job.title}\n\n${job.description}`, {
+    maxLength: limits.captionLength,
+    maxHashtags: limits.maxHashtags,
+  });
+  const { publish_id: publishId, upload_url: uploadUrl } = await post(
+    settings,
+    "TikTok upload",
+    "/v2/post/publish/video/init/",
+    {
+      post_info: {
+        title: caption,
+        privacy_level: settings.privacyLevel,
+        disable_comment: settings.disableComment || creator.comment_disabled,
+        disable_duet: settings.disableDuet || creator.duet_disabled,
+        disable_stitch: settings.disableStitch || creator.stitch_disabled,
+        is_aigc: settings.containsSyntheticMedia,
+        video_cover_timestamp_ms: job.coverMs ?? undefined,
+      },
+      source_info: {
+        source: "FILE_UPLOAD",
+        video_size: size,
+        chunk_size: chunkSize,
+        total_chunk_count: chunkCount,
+      },
+    }
+  );
+  await onProgress({ publishId, username: creator.creator_username });
+  await uploadFile(settings, uploadUrl, job.videoPath, size);
+  const postId = await waitForPost(settings, publishId);
+  return {
+    publishId,
+    postId,
+    caption,
+    url: postUrl(creator.creator_username, postId),
+  };
+};
+
+export const tiktok = { limits, publish };
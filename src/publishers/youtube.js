@@ -0,0 +1,235 @@
+import fs from "fs";
+import { LEDGER_PATH, getStage, runStage } from "../ledger.js";
+import { nextPublishSlot } from "../schedule.js";
+import {
+  addToPlaylist,
+  ensurePlaylist,
+  linkSeries,
+  releasePlaylists,
+  seriesFooter,
+} from "../series.js";
+import {
+  YoutubeAuthError,
+  YoutubeQuotaError,
+  callYoutube,
+  uploadVideo,
+} from "../youtube.js";
+import { countHashtags, fitText } from "./common.js";
+import { log } from "../log.js";
+
+// YouTube ignores every hashtag of a video that has more than 60 of them,
+// and counts quotes around tags with spaces and the commas between tags
+// against the tag budget. Shorts can run up to 3 minutes; anything longer is
+// still uploaded, as a regular video.
+const limits = {
+  titleLength: 100,
+  captionLength: 5000,
+  maxHashtags: 60,
+  tagsLength: 500,
+  minDuration: 1,
+  maxDuration: 12 * 60 * 60,
+};
+
+/**
+ * Combines the channel's tags with its hashtags (without the "#"), dropping
+ * duplicates and whatever does not fit in YouTube's tag budget.
+ */
+const buildTags = (settings, hashtags) => {
+  const tags = [];
+  let length = 0;
+  const seen = new Set();
+  for (const tag of [
+    ...settings.tags,
+    ...hashtags.map((hashtag) => hashtag.replace(/^#/, "")),
+  ]) {
+    const key = tag.toLowerCase();
+    const cost = tag.length + (/\s/.test(tag) ? 2 : 0) + (tags.length ? 1 : 0);
+    if (!tag || seen.has(key) || length + cost > limits.tagsLength) continue;
+    seen.add(key);
+    tags.push(tag);
+    length += cost;
+  }
+  return tags;
+};
+
+// Angle brackets are rejected in titles and descriptions.
+const stripBrackets = (text) => text.replace(/[<>]/g, "");
+
+// Fits a title and description to YouTube's limits, leaving room for
+// `reserved` more characters of description.
+const fitSnippet = (title, description, reserved = 0) => {
+  const fittedTitle = fitText(stripBrackets(title), {
+    maxLength: limits.titleLength,
+  });
+  return {
+    title: fittedTitle,
+    description: fitText(stripBrackets(description), {
+      maxLength: limits.captionLength - reserved,
+      maxHashtags: Math.max(0, limits.maxHashtags - countHashtags(fittedTitle)),
+    }),
+  };
+};
+
+/**
+ * The videos.insert request body. Scheduled videos must be private until
+ * `publishAt`, when YouTube makes them public. The series `footer` is kept
+ * whole; the description before it gives way when space runs out. The
+ * titles and descriptions of translated versions (`job.localizations`, by
+ * language code) are shown to viewers in those languages.
+ */
+const buildUploadRequest = (settings, job, { publishAt, footer }) => {
+  const { title, description } = fitSnippet(
+    job.title,
+    job.description,
+    footer ? footer.length + 2 : 0
+  );
+  return {
+    snippet: {
+      title,
+      description: footer ? `${description}\n\n${footer}` : description,
+      categoryId: settings.categoryId,
+      tags: buildTags(settings, job.hashtags),
+      defaultLanguage: settings.defaultLanguage,
+      defaultAudioLanguage: settings.defaultLanguage,
+    },
+    status: {
+      privacyStatus: publishAt ? "private" : settings.privacyStatus,
+      ...(publishAt ? { publishAt } : {}),
+      selfDeclaredMadeForKids: settings.madeForKids,
+      containsSyntheticMedia: settings.containsSyntheticMedia,
+    },
+    ...(job.localizations && {
+      localizations: Object.fromEntries(
+        Object.entries(job.localizations).map(([language, localized]) => [
+          language,
+          fitSnippet(localized.title, localized.description),
+        ])
+      ),
+    }),
+  };
+};
+
+// Every upload request is kept next to the video for auditing.
+const uploadAuditPath = (videoPath) =>
+  videoPath.replace(/\.mp4$/, ".upload.json");
+
+const isSeries = (job) => Boolean(job.postId) && job.segmentCount > 1;
+
+/**
+ * Uploads a video through a resumable session. The session is reported via
+ * `onProgress` as soon as it opens and picked up from `previous` by the next
+ * attempt. Tracked uploads take the next free slot of the channel's release
+ * schedule, and parts of a series get the navigation footer, which is
+ * recorded in the audit file so linkSeries can replace it later.
+ */
+const publish = async (
+  settings,
+  job,
+  { previous = null, onProgress = () => {} } = {}
+) => {
+  log.info(`Uploading video to YouTube: ${job.videoPath}`);
+  // A resumed session already carries its release time.
+  const session = previous?.uploadSession || null;
+  let publishAt = session ? previous.publishAt : null;
+  if (!session && job.postId && settings.schedule.enabled) {
+    publishAt = nextPublishSlot(job.channel, settings.schedule);
+  }
+  const footer = isSeries(job)
+    ? seriesFooter(job.postId, job.segmentIndex, job.segmentCount)
+    : "";
+  const auditPath = uploadAuditPath(job.videoPath);
+  // A resumed upload keeps the request that opened its session.
+  const audit =
+    session && fs.existsSync(auditPath)
+      ? JSON.parse(fs.readFileSync(auditPath, "utf8"))
+      : {
+          sentAt: new Date().toISOString(),
+          requestBody: buildUploadRequest(settings, job, { publishAt, footer }),
+          footer,
+        };
+  fs.writeFileSync(auditPath, JSON.stringify(audit, null, 2));
+  const video = await uploadVideo(settings, job.videoPath, audit.requestBody, {
+    session,
+    onSession: (uploadSession) => onProgress({ uploadSession, publishAt }),
+  });
+  fs.writeFileSync(
+    auditPath,
+    JSON.stringify({ ...audit, youtubeId: video.id }, null, 2)
+  );
+  if (publishAt) log.info(`Scheduled ${video.id} for ${publishAt}`);
+  return {
+    youtubeId: video.id,
+    url: `https://youtu.be/${video.id}`,
+    title: audit.requestBody.snippet.title,
+    publishAt,
+    uploadSession: null,
+    auditPath,
+  };
+};
+
+/**
+ * An upload that started without a session (before uploads were resumable)
+ * may have reached YouTube, so it is left for a manual check instead of
+ * being retried.
+ */
+const interrupted = (stage, job) =>
+  stage.uploadSession
+    ? null
+    : `Upload of segment ${job.segmentIndex} of post ${job.postId} was interrupted. Check YouTube and clear its "uploaded" stage in ${LEDGER_PATH} to retry.`;
+
+// The playlist must exist before the first part goes up, so its link can
+// be part of the footer. Playlists whose first part went live since the
+// last upload are released on the way, which the upload does not wait on
+// should it fail.
+const before = async (settings, job) => {
+  try {
+    await releasePlaylists(settings, job.channel);
+  } catch (error) {
+    if (error instanceof YoutubeQuotaError) throw error;
+    if (error instanceof YoutubeAuthError) throw error;
+    log.warn("Could not release playlists", { error });
+  }
+  if (isSeries(job)) await ensurePlaylist(settings, job.postId);
+};
+
+/**
+ * Sets the generated thumbnail. Custom thumbnails need a verified channel;
+ * YouTube refuses them otherwise, which leaves the video with an automatic
+ * thumbnail rather than failing its upload.
+ */
+const setThumbnail = async (settings, job, videoId) => {
+  try {
+    await runStage(
+      job.postId,
+      "thumbnailed",
+      async () => {
+        await callYoutube(settings, "thumbnails.set", (youtube) =>
+          youtube.thumbnails.set({
+            videoId,
+            media: {
+              mimeType: "image/jpeg",
+              body: fs.createReadStream(job.thumbnailPath),
+            },
+          })
+        );
+        return { path: job.thumbnailPath };
+      },
+      { segmentIndex: job.segmentIndex }
+    );
+  } catch (error) {
+    if (error instanceof YoutubeQuotaError) throw error;
+    log.warn(`Could not set the thumbnail of ${videoId}`, { error });
+  }
+};
+
+// Videos uploaded before the ledger existed have no id to work with.
+const after = async (settings, job) => {
+  const videoId = getStage(job.postId, "uploaded", job.segmentIndex)?.youtubeId;
+  if (!videoId) return;
+  if (job.thumbnailPath) await setThumbnail(settings, job, videoId);
+  if (!isSeries(job)) return;
+  await addToPlaylist(settings, job.postId, job.segmentIndex);
+  await linkSeries(settings, job.postId);
+};
+
+export const youtube = { limits, publish, interrupted, before, after };
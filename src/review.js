@@ -0,0 +1,23 @@
+import { getStage, markStage } from "./ledger.js";
+
+// What a reviewer made of a rendered segment. Approved segments join the
+// upload queue; rejected ones are never uploaded.
+export const REVIEW_DECISIONS = ["approved", "rejected"];
+
+export const reviewDecision = (postId, segmentIndex) =>
+  getStage(postId, "reviewed", segmentIndex)?.decision || null;
+
+/**
+ * Records a reviewer's decision on one segment. A segment rendered again
+ * (e.g. after an edit) loses its decision and has to be reviewed anew.
+ */
+export const reviewSegment = (postId, segmentIndex, decision) => {
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    throw new Error(
+      `Unknown review decision "${decision}" (expected ${REVIEW_DECISIONS.join(
+        " or "
+      )})`
+    );
+  }
+  return markStage(postId, "reviewed", "done", { segmentIndex, decision });
+};
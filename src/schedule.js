@@ -0,0 +1,178 @@
+import { getPostRecords } from "./ledger.js";
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Formatters by time zone; building one costs far more than using it.
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Offset of `timeZone` from UTC at the given instant, in milliseconds.
+ */
+const zoneOffset = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(new Date(timestamp))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * The wall clock in `timeZone` at an instant: its year, month (1-12), day,
+ * hour, minute and weekday (0 is Sunday).
+ */
+export const localTime = (timestamp, timeZone) => {
+  const local = new Date(timestamp + zoneOffset(timestamp, timeZone));
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    weekday: local.getUTCDay(),
+  };
+};
+
+/**
+ * The instant a wall-clock "HH:MM" falls on for the day that contains
+ * `dayTimestamp` in `timeZone`. The offset is looked up twice so slots on
+ * daylight saving changeover days still land on the right hour; a time the
+ * clocks skip when they go forward comes that much later, as cron runs it.
+ */
+export const zonedTime = (dayTimestamp, time, timeZone) => {
+  const local = new Date(dayTimestamp + zoneOffset(dayTimestamp, timeZone));
+  const [hours, minutes] = time.split(":").map(Number);
+  const wallClock = Date.UTC(
+    local.getUTCFullYear(),
+    local.getUTCMonth(),
+    local.getUTCDate(),
+    hours,
+    minutes
+  );
+  const guess = wallClock - zoneOffset(wallClock, timeZone);
+  const offset = zoneOffset(guess, timeZone);
+  const instant = wallClock - offset;
+  return zoneOffset(instant, timeZone) === offset
+    ? instant
+    : Math.max(instant, guess);
+};
+
+/**
+ * Release times already handed out to this channel's uploads, taken from
+ * the ledger so the calendar survives restarts.
+ */
+const claimedSlots = (channel) =>
+  new Set(
+    getPostRecords()
+      .filter((record) => record.channel === channel)
+      .flatMap((record) => Object.values(record.segments))
+      .map(({ stages }) => stages.uploaded)
+      .filter(
+        (stage) =>
+          stage?.publishAt &&
+          (stage.status === "done" || stage.status === "started")
+      )
+      .map((stage) => new Date(stage.publishAt).getTime())
+  );
+
+/**
+ * Picks the next free slot of the channel's daily posting calendar that is
+ * at least `minLeadMinutes` away, so scheduled videos are spread out one
+ * per slot instead of all going live at once. Returns an ISO timestamp.
+ */
+export const nextPublishSlot = (channel, schedule, now = Date.now()) => {
+  const claimed = claimedSlots(channel);
+  const earliest = now + schedule.minLeadMinutes * 60 * 1000;
+  const times = [...schedule.times].sort();
+  for (let day = 0; day < schedule.maxDaysAhead; day++) {
+    for (const time of times) {
+      const slot = zonedTime(now + day * DAY_MS, time, schedule.timezone);
+      if (slot >= earliest && !claimed.has(slot)) {
+        return new Date(slot).toISOString();
+      }
+    }
+  }
+  throw new Error(
+    `No free publishing slot for channel "${channel}" in the next ${schedule.maxDaysAhead} days`
+  );
+};
+
+/**
+ * Segments of the channel first published today on the clock of
+ * `timeZone`, to any platform, counted from the ledger so the daily limit
+ * holds across restarts.
+ */
+export const uploadsToday = (channel, timeZone, now = Date.now()) => {
+  const midnight = zonedTime(now, "00:00", timeZone);
+  return getPostRecords()
+    .filter((record) => record.channel === channel)
+    .flatMap((record) => Object.values(record.segments))
+    .filter(({ stages }) => {
+      const published = Object.entries(stages)
+        .filter(
+          ([stage, { status }]) =>
+            (stage === "uploaded" || stage.startsWith("uploaded:")) &&
+            status === "done"
+        )
+        .map(([, { updatedAt }]) => new Date(updatedAt).getTime());
+      return published.length > 0 && Math.min(...published) >= midnight;
+    }).length;
+};
+
+// The upload times of today that have come by `now`, in order.
+const passedUploadTimes = (daemon, now) =>
+  daemon.uploadTimes
+    .map((time) => zonedTime(now, time, daemon.timezone))
+    .filter((slot) => slot <= now)
+    .sort((a, b) => a - b);
+
+/**
+ * How many uploads the daemon schedule allows today by `now`: every upload
+ * time that has come releases its share of `dailyUploads`, so the videos
+ * are spread over the day instead of going out at once.
+ */
+export const uploadAllowance = (daemon, now = Date.now()) =>
+  Math.min(
+    daemon.dailyUploads,
+    Math.ceil(daemon.dailyUploads / daemon.uploadTimes.length) *
+      passedUploadTimes(daemon, now).length
+  );
+
+// The latest upload time of today that has come, or null before the first.
+export const lastUploadTime = (daemon, now = Date.now()) =>
+  passedUploadTimes(daemon, now).at(-1) ?? null;
+
+// The next upload time after `now`, today or tomorrow.
+export const nextUploadTime = (daemon, now = Date.now()) => {
+  const slots = [now, now + DAY_MS].flatMap((day) =>
+    daemon.uploadTimes.map((time) => zonedTime(day, time, daemon.timezone))
+  );
+  return Math.min(...slots.filter((slot) => slot > now));
+};
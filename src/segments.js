@@ -0,0 +1,158 @@
+import { getPostRecords } from "./ledger.js";
+import { splitSentences, splitWords } from "./text.js";
+
+// Measured narration only replaces the estimate once there is enough of it
+// to average out pauses and pacing.
+const MIN_MEASURED_SECONDS = 120;
+
+/**
+ * Identifies a voice in the ledger, so narration is only measured against
+ * audio from the same engine, voice and speed, and in the same language for
+ * the voices of translated versions.
+ */
+export const voiceKey = (voice) =>
+  [
+    voice.provider,
+    voice.id || voice.model || "",
+    voice.speed || "",
+    ...(voice.language ? [voice.language] : []),
+  ].join(":");
+
+/**
+ * Words per second the voice speaks. Once enough narration by the same
+ * voice has been measured (see the audio stage in the ledger) that is used;
+ * until then it is estimated from `settings.wordsPerMinute`, or from the
+ * speed of an espeak voice, which is given in words per minute.
+ */
+export const speakingRate = (voice, settings) => {
+  const key = voiceKey(voice);
+  let words = 0;
+  let seconds = 0;
+  for (const record of getPostRecords()) {
+    for (const { stages } of Object.values(record.segments)) {
+      const audio = stages.audio;
+      if (audio?.status !== "done" || audio.voice !== key) continue;
+      if (!audio.duration || !audio.words) continue;
+      words += audio.words;
+      seconds += audio.duration;
+    }
+  }
+  if (seconds >= MIN_MEASURED_SECONDS) return words / seconds;
+  const wordsPerMinute =
+    voice.provider === "espeak" && voice.speed
+      ? voice.speed
+      : settings.wordsPerMinute;
+  return wordsPerMinute / 60;
+};
+
+export const countWords = (text) => splitWords(text).length;
+
+const fillTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? "");
+
+/**
+ * The sentences of the text in order, each flagged when it ends its
+ * paragraph. A sentence that alone is longer than `maxWords` is cut into
+ * as few chunks of even length as fit, so every unit fits into a part and
+ * none is left with a few stray words.
+ */
+const sentenceUnits = (text, maxWords) =>
+  text
+    .split(/\n+/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .flatMap((paragraph) => {
+      const units = splitSentences(paragraph)
+        .filter(Boolean)
+        .flatMap((sentence) => {
+          const words = splitWords(sentence);
+          const chunkWords = Math.ceil(
+            words.length / Math.ceil(words.length / maxWords)
+          );
+          const chunks = [];
+          for (let i = 0; i < words.length; i += chunkWords) {
+            chunks.push(words.slice(i, i + chunkWords));
+          }
+          return chunks.map((chunk) => ({
+            text: chunk.join(" "),
+            words: chunk.length,
+            paragraphEnd: false,
+          }));
+        });
+      units[units.length - 1].paragraphEnd = true;
+      return units;
+    });
+
+const joinUnits = (units) =>
+  units
+    .map((unit) => `${unit.text}${unit.paragraphEnd ? "\n\n" : " "}`)
+    .join("")
+    .trim();
+
+/**
+ * Cuts narration into parts that each stay under `settings.maxSeconds` when
+ * spoken at `rate` words per second, keeping `settings.margin` of the limit
+ * spare for pacing. Parts after the first lose room to the recap line and
+ * parts before the last to the outro (see frameSegment). The text is spread
+ * evenly over as few parts as the limit allows, and a part closes at the end
+ * of a paragraph when one is near, otherwise at the end of a sentence.
+ */
+export const planSegments = (text, settings, rate) => {
+  const maxWords = Math.floor(
+    settings.maxSeconds * (1 - settings.margin) * rate
+  );
+  const totalWords = countWords(text);
+  if (totalWords <= maxWords) return [text];
+  // Reserved as if for a long series, so the room never runs short.
+  const framingWords =
+    countWords(fillTemplate(settings.recap, { part: 99 })) +
+    countWords(fillTemplate(settings.outro, { part: 99, next: 99 }));
+  const budget = maxWords - framingWords;
+  if (budget < 10) {
+    throw new Error(
+      `segments.maxSeconds of ${settings.maxSeconds}s leaves no room for narration`
+    );
+  }
+  const target = totalWords / Math.ceil(totalWords / budget);
+  const parts = [];
+  let current = [];
+  let currentWords = 0;
+  const close = () => {
+    parts.push(joinUnits(current));
+    current = [];
+    currentWords = 0;
+  };
+  for (const unit of sentenceUnits(text, budget)) {
+    if (current.length && currentWords + unit.words > budget) close();
+    current.push(unit);
+    currentWords += unit.words;
+    if (
+      currentWords >= target ||
+      (unit.paragraphEnd && currentWords >= target * 0.8)
+    ) {
+      close();
+    }
+  }
+  if (current.length) close();
+  return parts;
+};
+
+/**
+ * What a part is called in titles, on cards and on thumbnails.
+ */
+export const partLabel = (settings, part, partCount) =>
+  fillTemplate(settings.partLabel, { part, count: partCount });
+
+/**
+ * Adds the "Part N" recap line in front of every part but the first and
+ * the outro pointing at the next part behind every part but the last.
+ * Empty templates leave that line out.
+ */
+export const frameSegment = (text, part, partCount, settings) =>
+  [
+    part > 1 && fillTemplate(settings.recap, { part }),
+    text,
+    part < partCount && fillTemplate(settings.outro, { part, next: part + 1 }),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
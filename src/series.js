@@ -0,0 +1,227 @@
+import fs from "fs";
+import {
+  getPostRecord,
+  getPostRecords,
+  getStage,
+  markStage,
+  runStage,
+} from "./ledger.js";
+import { callYoutube } from "./youtube.js";
+import { log } from "./log.js";
+
+const videoUrl = (videoId) => `https://youtu.be/${videoId}`;
+const playlistUrl = (playlistId) =>
+  `https://www.youtube.com/playlist?list=${playlistId}`;
+
+const uploadedId = (postId, segmentIndex) => {
+  const stage = getStage(postId, "uploaded", segmentIndex);
+  return stage?.status === "done" ? stage.youtubeId : null;
+};
+
+/**
+ * The navigation block appended to a part's description. A part that is not
+ * uploaded yet is left as a bare "Part N →" placeholder, filled in by
+ * linkSeries once every part exists.
+ */
+export const seriesFooter = (postId, segmentIndex, segmentCount) => {
+  const previousId =
+    segmentIndex > 1 ? uploadedId(postId, segmentIndex - 1) : null;
+  const nextId =
+    segmentIndex < segmentCount ? uploadedId(postId, segmentIndex + 1) : null;
+  const playlistId = getStage(postId, "playlist")?.playlistId;
+  return [
+    segmentIndex > 1 &&
+      `← Part ${segmentIndex - 1}${
+        previousId ? ` ${videoUrl(previousId)}` : ""
+      }`,
+    segmentIndex < segmentCount &&
+      `Part ${segmentIndex + 1} →${nextId ? ` ${videoUrl(nextId)}` : ""}`,
+    playlistId && `All parts: ${playlistUrl(playlistId)}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
+
+/**
+ * Creates the story's playlist the first time one of its parts goes up.
+ * `settings` are the channel's YouTube settings. Parts released on a
+ * schedule go up private, so their playlist starts out private too and
+ * only gets the channel's privacy once its first part is live (see
+ * releasePlaylists); `pendingPrivacy` on the stage holds it until then.
+ */
+export const ensurePlaylist = async (settings, postId) => {
+  const record = getPostRecord(postId);
+  const scheduled =
+    settings.schedule.enabled && settings.privacyStatus !== "private";
+  const { playlistId } = await runStage(postId, "playlist", async () => {
+    const snippet = {
+      title: `${record.shortTitle} - Full Story`.slice(0, 150),
+      description: record.title,
+    };
+    const privacyStatus = scheduled ? "private" : settings.privacyStatus;
+    const response = await callYoutube(
+      settings,
+      "playlists.insert",
+      (youtube) =>
+        youtube.playlists.insert({
+          part: "snippet,status",
+          requestBody: { snippet, status: { privacyStatus } },
+        })
+    );
+    log.info(`Created playlist ${response.data.id} for post ${postId}`);
+    return {
+      playlistId: response.data.id,
+      snippet,
+      privacyStatus,
+      pendingPrivacy: scheduled ? settings.privacyStatus : null,
+    };
+  });
+  return playlistId;
+};
+
+// When the first part of a post with a pending playlist goes public, or
+// null when it is not scheduled (yet).
+const releaseTime = (record) => {
+  if (!record.stages.playlist?.pendingPrivacy) return null;
+  const first = getStage(record.id, "uploaded", 1);
+  return first?.status === "done" && first.publishAt
+    ? new Date(first.publishAt).getTime()
+    : null;
+};
+
+/**
+ * When the next playlist of the channel is due to be released, or null
+ * when none is waiting.
+ */
+export const nextPlaylistRelease = (channel) => {
+  const times = getPostRecords()
+    .filter((record) => record.channel === channel)
+    .map(releaseTime)
+    .filter((time) => time !== null);
+  return times.length ? Math.min(...times) : null;
+};
+
+/**
+ * Gives the channel's private playlists whose first part is live by `now`
+ * the privacy they were meant to have. Resolves to how many were released.
+ */
+export const releasePlaylists = async (settings, channel, now = Date.now()) => {
+  const due = getPostRecords().filter(
+    (record) =>
+      record.channel === channel &&
+      releaseTime(record) !== null &&
+      releaseTime(record) <= now
+  );
+  for (const record of due) {
+    const { playlistId, snippet, pendingPrivacy } = record.stages.playlist;
+    // A playlist update replaces its title, so it is sent along.
+    await callYoutube(settings, "playlists.update", (youtube) =>
+      youtube.playlists.update({
+        part: "snippet,status",
+        requestBody: {
+          id: playlistId,
+          snippet: snippet || {
+            title: `${record.shortTitle} - Full Story`.slice(0, 150),
+            description: record.title,
+          },
+          status: { privacyStatus: pendingPrivacy },
+        },
+      })
+    );
+    markStage(record.id, "playlist", "done", {
+      privacyStatus: pendingPrivacy,
+      pendingPrivacy: null,
+    });
+    log.info(`Made playlist ${playlistId} ${pendingPrivacy}`, {
+      postId: record.id,
+    });
+  }
+  return due.length;
+};
+
+/**
+ * Adds an uploaded part to the story's playlist, after the parts before it
+ * that are already there, so the playlist plays in story order.
+ */
+export const addToPlaylist = async (settings, postId, segmentIndex) => {
+  const playlistId = getStage(postId, "playlist").playlistId;
+  const videoId = uploadedId(postId, segmentIndex);
+  await runStage(
+    postId,
+    "playlisted",
+    async () => {
+      const position = Array.from(
+        { length: segmentIndex - 1 },
+        (_, i) => i + 1
+      ).filter(
+        (index) => getStage(postId, "playlisted", index)?.status === "done"
+      ).length;
+      const response = await callYoutube(
+        settings,
+        "playlistItems.insert",
+        (youtube) =>
+          youtube.playlistItems.insert({
+            part: "snippet",
+            requestBody: {
+              snippet: {
+                playlistId,
+                position,
+                resourceId: { kind: "youtube#video", videoId },
+              },
+            },
+          })
+      );
+      return { playlistItemId: response.data.id };
+    },
+    { segmentIndex }
+  );
+};
+
+/**
+ * Once every part is uploaded, rewrites each part's description with the
+ * finished navigation block. The description that was uploaded is taken
+ * from the part's audit file, with its old footer swapped out.
+ */
+export const linkSeries = async (settings, postId) => {
+  const { segmentCount } = getPostRecord(postId);
+  const indexes = Array.from({ length: segmentCount }, (_, i) => i + 1);
+  if (indexes.some((index) => !uploadedId(postId, index))) return;
+  await runStage(postId, "linked", async () => {
+    for (const index of indexes) {
+      const { auditPath } = getStage(postId, "uploaded", index);
+      if (!auditPath || !fs.existsSync(auditPath)) {
+        log.warn(
+          `No upload record for part ${index} of post ${postId}; leaving its description as is.`
+        );
+        continue;
+      }
+      const audit = JSON.parse(fs.readFileSync(auditPath, "utf8"));
+      const { snippet } = audit.requestBody;
+      const base = audit.footer
+        ? snippet.description.slice(0, -audit.footer.length).trimEnd()
+        : snippet.description;
+      const footer = seriesFooter(postId, index, segmentCount);
+      const updated = { ...snippet, description: `${base}\n\n${footer}` };
+      await callYoutube(settings, "videos.update", (youtube) =>
+        youtube.videos.update({
+          part: "snippet",
+          requestBody: { id: uploadedId(postId, index), snippet: updated },
+        })
+      );
+      fs.writeFileSync(
+        auditPath,
+        JSON.stringify(
+          {
+            ...audit,
+            linkedAt: new Date().toISOString(),
+            linkedSnippet: updated,
+          },
+          null,
+          2
+        )
+      );
+    }
+    log.info(`Linked all ${segmentCount} parts of post ${postId}`);
+    return {};
+  });
+};
@@ -0,0 +1,63 @@
+import { log } from "../log.js";
+
+/**
+ * Where posts come from, loaded on first use. Every source exposes
+ * `listPosts(settings, { subreddit, sort, time, limit })`,
+ * `getPost(settings, postId)`, `getComments(settings, postId, { limit })`
+ * and `getSubreddit(settings, name)`, all resolving to raw Reddit objects.
+ * `required` lists the settings each source cannot work without.
+ */
+export const SOURCES = {
+  reddit: { required: [], load: () => import("./reddit.js") },
+  oauth: {
+    required: ["clientId", "clientSecret"],
+    load: () => import("./reddit.js"),
+  },
+  local: { required: ["dir"], load: () => import("./local.js") },
+};
+
+const loaded = {};
+
+const getSource = async (type) => {
+  if (!SOURCES[type]) throw new Error(`Unknown post source "${type}"`);
+  loaded[type] ||= (await SOURCES[type].load())[type];
+  return loaded[type];
+};
+
+/**
+ * Lists up to `limit` posts of a subreddit listing. Errors (blocked,
+ * rate limited past the retries, bad credentials) are thrown, not swallowed.
+ */
+export const listPosts = async (settings, listing) =>
+  (await getSource(settings.type)).listPosts(settings, listing);
+
+/**
+ * Looks up a single post by id. Resolves to null when it does not exist.
+ */
+export const getPost = async (settings, postId) =>
+  (await getSource(settings.type)).getPost(settings, postId);
+
+/**
+ * Lists the top-level comments of a post, highest scored first. Sources
+ * that have no comments for the post resolve to an empty list.
+ */
+export const getComments = async (settings, postId, options) =>
+  (await getSource(settings.type)).getComments(settings, postId, options);
+
+const subreddits = {};
+
+/**
+ * A subreddit's about data (icon, colours), looked up once per run. Cards
+ * can do without it, so a failed lookup is only reported and resolves to
+ * null, like a subreddit the source knows nothing about.
+ */
+export const getSubreddit = (settings, name) => {
+  const key = `${settings.type}:${name.toLowerCase()}`;
+  subreddits[key] ||= getSource(settings.type)
+    .then((source) => source.getSubreddit(settings, name))
+    .catch((error) => {
+      log.warn(`Could not look up r/${name}`, { error });
+      return null;
+    });
+  return subreddits[key];
+};
@@ -0,0 +1,125 @@
+import fs from "fs";
+import path from "path";
+import { log } from "../log.js";
+
+/**
+ * Pulls posts out of whatever a dump file holds: a listing as returned by
+ * /r/<sub>/top.json, a post page from /comments/<id>.json, a plain array of
+ * posts or a single post (like the files the fetch command caches).
+ */
+const extractPosts = (data) => {
+  if (Array.isArray(data)) return data.flatMap(extractPosts);
+  if (data?.kind === "Listing") {
+    return data.data.children.flatMap((child) =>
+      child.kind === "t3" ? [child.data] : []
+    );
+  }
+  if (data?.kind === "t3") return [data.data];
+  if (data?.id && data?.title) return [data];
+  return [];
+};
+
+/**
+ * Comments are only available from post page dumps, which hold the post
+ * listing followed by the comment listing.
+ */
+const extractComments = (data, postId) => {
+  if (!Array.isArray(data) || data.length !== 2) return [];
+  const [postListing, commentListing] = data;
+  if (postListing?.data?.children?.[0]?.data?.id !== postId) return [];
+  return (commentListing?.data?.children || []).flatMap((child) =>
+    child.kind === "t1" ? [child.data] : []
+  );
+};
+
+const readDump = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read post dump ${filePath}: ${error.message}`);
+  }
+};
+
+const walk = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return walk(entryPath);
+    return entry.name.endsWith(".json") ? [entryPath] : [];
+  });
+
+/**
+ * Every post in the dump folder, in file name order and without
+ * duplicates, so a replay is the same on every run.
+ */
+const dumpFiles = (settings) => {
+  if (!fs.existsSync(settings.dir)) {
+    throw new Error(`Post dump folder not found: ${settings.dir}`);
+  }
+  return walk(settings.dir).sort();
+};
+
+const loadAll = (settings) => {
+  const posts = new Map();
+  for (const file of dumpFiles(settings)) {
+    for (const post of extractPosts(readDump(file))) {
+      if (!posts.has(post.id)) posts.set(post.id, post);
+    }
+  }
+  return [...posts.values()];
+};
+
+/**
+ * Replays saved listings so the pipeline can run without Reddit. Sorting
+ * by "top" orders posts by upvotes and "new" by creation time; other sorts
+ * keep the dump's order. The `time` window is not applied, since replayed
+ * posts are usually older than any window.
+ */
+const listPosts = async (settings, { subreddit, sort, limit }) => {
+  const posts = loadAll(settings).filter(
+    (post) =>
+      !post.subreddit ||
+      post.subreddit.toLowerCase() === subreddit.toLowerCase()
+  );
+  if (sort === "top") posts.sort((a, b) => (b.ups || 0) - (a.ups || 0));
+  if (sort === "new") {
+    posts.sort((a, b) => (b.created_utc || 0) - (a.created_utc || 0));
+  }
+  log.info(
+    `Loaded ${posts.length} posts for r/${subreddit} from ${settings.dir}`
+  );
+  return posts.slice(0, limit);
+};
+
+const getPost = async (settings, postId) =>
+  loadAll(settings).find((post) => post.id === postId) || null;
+
+const getComments = async (settings, postId, { limit }) => {
+  for (const file of dumpFiles(settings)) {
+    const comments = extractComments(readDump(file), postId);
+    if (comments.length) {
+      return comments
+        .sort((a, b) => (b.score || 0) - (a.score || 0))
+        .slice(0, limit);
+    }
+  }
+  return [];
+};
+
+/**
+ * A subreddit's about page, from a dump of /r/<sub>/about.json when the
+ * folder has one.
+ */
+const getSubreddit = async (settings, name) => {
+  for (const file of dumpFiles(settings)) {
+    const data = readDump(file);
+    if (
+      data?.kind === "t5" &&
+      data.data?.display_name?.toLowerCase() === name.toLowerCase()
+    ) {
+      return data.data;
+    }
+  }
+  return null;
+};
+
+export const local = { listPosts, getPost, getComments, getSubreddit };
@@ -0,0 +1,211 @@
+import axios from "axios";
+import { sleep, withRetries } from "../http.js";
+import { log } from "../log.js";
+
+const PUBLIC_URL = "https://www.reddit.com";
+const OAUTH_URL = "https://oauth.reddit.com";
+const TOKEN_URL = "https://www.reddit.com/api/v1/access_token";
+// Reddit never returns more than 100 items per listing page.
+const PAGE_SIZE = 100;
+
+// Shared by every request so parallel listings respect one budget.
+const rateLimit = { remaining: null, resetAt: 0 };
+
+/**
+ * Reddit reports the requests left in the current window and the seconds
+ * until it resets. When the budget is spent, wait for the reset instead of
+ * getting blocked.
+ */
+const trackRateLimit = (headers = {}) => {
+  const remaining = parseFloat(headers["x-ratelimit-remaining"]);
+  const reset = parseFloat(headers["x-ratelimit-reset"]);
+  if (Number.isNaN(remaining) || Number.isNaN(reset)) return;
+  rateLimit.remaining = remaining;
+  rateLimit.resetAt = Date.now() + reset * 1000;
+};
+
+const waitForRateLimit = async () => {
+  if (rateLimit.remaining === null || rateLimit.remaining >= 1) return;
+  const delay = rateLimit.resetAt - Date.now();
+  if (delay <= 0) return;
+  log.warn(`Reddit rate limit reached. Waiting ${Math.ceil(delay / 1000)}s.`);
+  await sleep(delay);
+};
+
+// Reddit may say how long to back off for.
+const retryAfter = (error) => {
+  const seconds = parseFloat(error.response?.headers?.["retry-after"]);
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+};
+
+const describeFailure = (status, url) => {
+  if (status === 401) return `Reddit rejected the credentials for ${url}`;
+  if (status === 403) {
+    return `Reddit refused ${url} (private, quarantined or a blocked User-Agent)`;
+  }
+  if (status === 404) return `Reddit has no ${url}`;
+  if (status === 429) return `Reddit kept rate limiting ${url}`;
+  return `Reddit request ${url} failed (${status ?? "no response"})`;
+};
+
+/**
+ * GETs a Reddit endpoint with the configured User-Agent, honouring the
+ * rate-limit headers. Network errors, timeouts, 429s and 5xx responses are
+ * retried with backoff; anything else is thrown with a readable message.
+ */
+const request = (settings, url, params, headers = {}) =>
+  withRetries(
+    settings,
+    `Reddit request ${url}`,
+    async () => {
+      await waitForRateLimit();
+      try {
+        const response = await axios.get(url, {
+          params: { raw_json: 1, ...params },
+          headers: { "User-Agent": settings.userAgent, ...headers },
+          timeout: settings.timeoutMs,
+        });
+        trackRateLimit(response.headers);
+        return response.data;
+      } catch (error) {
+        trackRateLimit(error.response?.headers);
+        throw error;
+      }
+    },
+    {
+      delayFor: retryAfter,
+      describe: (error) => error.response?.status ?? error.message,
+      toError: (error) => {
+        const status = error.response?.status;
+        const failure = new Error(describeFailure(status, url));
+        failure.status = status;
+        return failure;
+      },
+    }
+  );
+
+let token = null;
+
+/**
+ * Fetches an OAuth token: the password grant when a username is set (a
+ * "script" app acting as that account), app-only client credentials
+ * otherwise. Tokens are reused until shortly before they expire.
+ */
+const getToken = async (settings) => {
+  if (
+    token &&
+    token.clientId === settings.clientId &&
+    token.expiresAt > Date.now()
+  ) {
+    return token.value;
+  }
+  const form = new URLSearchParams(
+    settings.username
+      ? {
+          grant_type: "password",
+          username: settings.username,
+          password: settings.password,
+        }
+      : { grant_type: "client_credentials" }
+  );
+  let response;
+  try {
+    // A custom baseURL (e.g. a local mock) also serves the token endpoint.
+    const tokenUrl = settings.baseURL
+      ? `${settings.baseURL}/api/v1/access_token`
+      : TOKEN_URL;
+    response = await axios.post(tokenUrl, form.toString(), {
+      auth: { username: settings.clientId, password: settings.clientSecret },
+      headers: {
+        "User-Agent": settings.userAgent,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      timeout: settings.timeoutMs,
+    });
+  } catch (error) {
+    throw new Error(
+      `Reddit OAuth token request failed (${
+        error.response?.status ?? error.message
+      })`
+    );
+  }
+  if (!response.data.access_token) {
+    throw new Error(
+      `Reddit OAuth token request failed: ${
+        response.data.error || "no access token"
+      }`
+    );
+  }
+  token = {
+    clientId: settings.clientId,
+    value: response.data.access_token,
+    expiresAt: Date.now() + (response.data.expires_in - 60) * 1000,
+  };
+  return token.value;
+};
+
+/**
+ * Anonymous requests go to the public .json pages; OAuth requests go to
+ * oauth.reddit.com with a bearer token.
+ */
+const get = async (settings, endpoint, params) => {
+  if (settings.type !== "oauth") {
+    const url = `${settings.baseURL || PUBLIC_URL}${endpoint}.json`;
+    return request(settings, url, params);
+  }
+  const url = `${settings.baseURL || OAUTH_URL}${endpoint}`;
+  return request(settings, url, params, {
+    Authorization: `Bearer ${await getToken(settings)}`,
+  });
+};
+
+/**
+ * Pages through a listing with `after` until `limit` posts were collected
+ * or the listing runs out.
+ */
+const listPosts = async (settings, { subreddit, sort, time, limit }) => {
+  const posts = [];
+  let after = null;
+  do {
+    const listing = await get(settings, `/r/${subreddit}/${sort}`, {
+      t: sort === "top" || sort === "controversial" ? time : undefined,
+      limit: Math.min(PAGE_SIZE, limit - posts.length),
+      after: after || undefined,
+    });
+    posts.push(...listing.data.children.map((child) => child.data));
+    after = listing.data.after;
+  } while (after && posts.length < limit);
+  log.info(`Fetched ${posts.length} posts from r/${subreddit}`);
+  return posts.slice(0, limit);
+};
+
+const getPost = async (settings, postId) => {
+  try {
+    const [listing] = await get(settings, `/comments/${postId}`, { limit: 1 });
+    return listing.data.children[0]?.data || null;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Top-level comments of a post, best first. Reddit appends a "more" stub
+ * for the rest of the thread, which is dropped.
+ */
+const getComments = async (settings, postId, { limit }) => {
+  const [, comments] = await get(settings, `/comments/${postId}`, {
+    sort: "top",
+    depth: 1,
+    limit,
+  });
+  return comments.data.children.flatMap((child) =>
+    child.kind === "t1" ? [child.data] : []
+  );
+};
+
+const getSubreddit = async (settings, name) =>
+  (await get(settings, `/r/${name}/about`)).data || null;
+
+export const reddit = { listPosts, getPost, getComments, getSubreddit };
+export const oauth = reddit;
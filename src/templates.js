@@ -0,0 +1,66 @@
+import fs from "fs";
+import { escapeHtml } from "./markdown.js";
+
+const cache = {};
+
+/**
+ * Reads a template file once per run.
+ */
+export const loadTemplate = (templatePath) => {
+  if (!(templatePath in cache)) {
+    if (!fs.existsSync(templatePath)) {
+      throw new Error(`Template not found: ${templatePath}`);
+    }
+    cache[templatePath] = fs.readFileSync(templatePath, "utf8");
+  }
+  return cache[templatePath];
+};
+
+// Dotted names (`post.author`) walk into objects; the innermost scope that
+// has the first part wins.
+const lookup = (scopes, name) => {
+  if (name === ".") return scopes[0];
+  const [first, ...rest] = name.split(".");
+  const scope = scopes.find(
+    (candidate) =>
+      candidate && typeof candidate === "object" && first in candidate
+  );
+  return rest.reduce((value, key) => value?.[key], scope?.[first]);
+};
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === false ||
+  value === "" ||
+  (Array.isArray(value) && !value.length);
+
+// Sections and variables are replaced in a single pass, so braces inside
+// the values filled in are never read as tags.
+const TAG =
+  /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{(\{)?\s*([\w.]+)\s*\}?\}\}/g;
+
+const render = (template, scopes) =>
+  template.replace(TAG, (_, kind, section, inner, raw, name) => {
+    if (kind) {
+      const value = lookup(scopes, section);
+      if (kind === "^") return isEmpty(value) ? render(inner, scopes) : "";
+      if (isEmpty(value)) return "";
+      if (Array.isArray(value)) {
+        return value.map((item) => render(inner, [item, ...scopes])).join("");
+      }
+      return render(inner, [value, ...scopes]);
+    }
+    const value = lookup(scopes, name);
+    if (value === undefined || value === null) return "";
+    return raw ? String(value) : escapeHtml(value);
+  });
+
+/**
+ * Fills a template with the values of `view`, in the style of Mustache:
+ * `{{name}}` is HTML-escaped, `{{{name}}}` inserts markup as is,
+ * `{{#name}}…{{/name}}` is kept only when the value is set (and repeated
+ * for every item of a list, whose fields are then in scope) and
+ * `{{^name}}…{{/name}}` only when it is not. Missing values are empty.
+ */
+export const renderTemplate = (template, view) => render(template, [view]);
@@ -0,0 +1,6 @@
+// Words as the caption timings count them: split on whitespace.
+export const splitWords = (text) => text.split(/\s+/).filter(Boolean);
+
+// Sentences keep their closing punctuation and any quote or bracket after it.
+export const splitSentences = (text) =>
+  text.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g)?.map((s) => s.trim()) || [text];
@@ -0,0 +1,358 @@
+import fs from "fs";
+import ffmpeg from "fluent-ffmpeg";
+
+export const THUMBNAIL_WIDTH = 1280;
+export const THUMBNAIL_HEIGHT = 720;
+// The cover frame matches the vertical video.
+const COVER_WIDTH = 1080;
+const COVER_HEIGHT = 1920;
+// Skips the first second of the clip, which is often a cut or a fade.
+const STILL_OFFSET = 1;
+
+// Thumbnails and cover frames are kept next to their video.
+export const thumbnailPath = (videoPath) =>
+  videoPath.replace(/\.mp4$/, ".thumbnail.jpg");
+export const coverPath = (videoPath) =>
+  videoPath.replace(/\.mp4$/, ".cover.png");
+
+// canvas is a native module, so it is only loaded once thumbnails are on.
+let canvas = null;
+const loadCanvas = async () => {
+  canvas ||= await import("canvas");
+  return canvas;
+};
+
+const grabStill = (background, outputPath) =>
+  new Promise((resolve, reject) => {
+    ffmpeg(background.path)
+      .seekInput(background.start + STILL_OFFSET)
+      .frames(1)
+      .output(outputPath)
+      .on("end", () => resolve(outputPath))
+      .on("error", reject)
+      .run();
+  });
+
+// Scales the image to cover the box and crops the overflow evenly.
+const drawCovering = (ctx, image, x, y, width, height) => {
+  const scale = Math.max(width / image.width, height / image.height);
+  const sw = width / scale;
+  const sh = height / scale;
+  ctx.drawImage(
+    image,
+    (image.width - sw) / 2,
+    (image.height - sh) / 2,
+    sw,
+    sh,
+    x,
+    y,
+    width,
+    height
+  );
+};
+
+const roundedRect = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+};
+
+const wrapWords = (ctx, text, maxWidth) => {
+  const lines = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const last = lines[lines.length - 1];
+    if (last && ctx.measureText(`${last} ${word}`).width <= maxWidth) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines;
+};
+
+/**
+ * Picks the largest font size at which `text` wraps into the box, and
+ * returns the lines at that size.
+ */
+const fitTitle = (ctx, text, { font, maxWidth, maxHeight, maxSize }) => {
+  for (let size = maxSize; ; size -= 4) {
+    ctx.font = `bold ${size}px "${font}"`;
+    const lines = wrapWords(ctx, text, maxWidth);
+    const fits =
+      lines.length * size * 1.1 <= maxHeight &&
+      lines.every((line) => ctx.measureText(line).width <= maxWidth);
+    if (fits || size <= 24) return { lines, size };
+  }
+};
+
+const drawLines = (ctx, lines, size, x, y, { align = "left", stroke = 0 }) => {
+  ctx.textAlign = align;
+  ctx.textBaseline = "top";
+  ctx.lineJoin = "round";
+  lines.forEach((line, i) => {
+    const lineY = y + i * size * 1.1;
+    if (stroke) {
+      ctx.lineWidth = stroke;
+      ctx.strokeStyle = "#000000";
+      ctx.strokeText(line, x, lineY);
+    }
+    ctx.fillText(line, x, lineY);
+  });
+};
+
+/**
+ * A label on a rounded pill. `x` is its left edge, right edge or centre
+ * depending on `align`. Returns the pill's height.
+ */
+const drawPill = (
+  ctx,
+  text,
+  x,
+  y,
+  size,
+  { font, fill, color, align = "left" }
+) => {
+  ctx.font = `bold ${size}px "${font}"`;
+  const padding = size * 0.5;
+  const width = ctx.measureText(text).width + padding * 2;
+  const height = size * 1.6;
+  const left = { left: x, right: x - width, center: x - width / 2 }[align];
+  roundedRect(ctx, left, y, width, height, height / 2);
+  ctx.fillStyle = fill;
+  ctx.fill();
+  ctx.fillStyle = color;
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, left + padding, y + height / 2);
+  return height;
+};
+
+const partLabel = ({ part, partCount, label }) =>
+  partCount > 1 ? (label || `Part ${part}`).toUpperCase() : null;
+
+/**
+ * Thumbnail templates. Each draws the whole image for `details` (`title`,
+ * `subreddit`, `part`, `partCount`, the part's `label` and the background
+ * `still`) on a canvas of any size, laid out relative to its shorter side so
+ * the same template serves the 16:9 thumbnail and the 9:16 cover frame.
+ */
+export const THUMBNAIL_STYLES = {
+  // The still fills the frame under a big outlined title.
+  bold: (ctx, details, { width, height, font, accentColor }) => {
+    const unit = Math.min(width, height) / 720;
+    const margin = 40 * unit;
+    drawCovering(ctx, details.still, 0, 0, width, height);
+    const shade = ctx.createLinearGradient(0, height * 0.3, 0, height);
+    shade.addColorStop(0, "rgba(0,0,0,0)");
+    shade.addColorStop(1, "rgba(0,0,0,0.85)");
+    ctx.fillStyle = shade;
+    ctx.fillRect(0, 0, width, height);
+    drawPill(ctx, `r/${details.subreddit}`, margin, margin, 36 * unit, {
+      font,
+      fill: accentColor,
+      color: "#000000",
+    });
+    const part = partLabel(details);
+    if (part) {
+      drawPill(ctx, part, width - margin, margin, 44 * unit, {
+        font,
+        fill: "#E53935",
+        color: "#FFFFFF",
+        align: "right",
+      });
+    }
+    const box = { maxWidth: width - margin * 2, maxHeight: height * 0.5 };
+    const { lines, size } = fitTitle(ctx, details.title.toUpperCase(), {
+      font,
+      maxSize: 150 * unit,
+      ...box,
+    });
+    ctx.fillStyle = "#FFFFFF";
+    drawLines(
+      ctx,
+      lines,
+      size,
+      margin,
+      height - margin - lines.length * size * 1.1,
+      {
+        stroke: size * 0.12,
+      }
+    );
+  },
+  // The title on a white card styled like a Reddit post, over a dimmed still.
+  reddit: (ctx, details, { width, height, font, accentColor }) => {
+    const unit = Math.min(width, height) / 720;
+    drawCovering(ctx, details.still, 0, 0, width, height);
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(0, 0, width, height);
+    const cardWidth = Math.min(width * 0.85, 1000 * unit);
+    const padding = 36 * unit;
+    const { lines, size } = fitTitle(ctx, details.title, {
+      font,
+      maxWidth: cardWidth - padding * 2,
+      maxHeight: height * 0.4,
+      maxSize: 96 * unit,
+    });
+    const headerSize = 32 * unit;
+    const cardHeight =
+      padding * 3 + headerSize * 1.4 + lines.length * size * 1.1;
+    const left = (width - cardWidth) / 2;
+    const top = (height - cardHeight) / 2;
+    roundedRect(ctx, left, top, cardWidth, cardHeight, 24 * unit);
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fill();
+    const iconRadius = headerSize * 0.7;
+    ctx.beginPath();
+    ctx.arc(
+      left + padding + iconRadius,
+      top + padding + iconRadius,
+      iconRadius,
+      0,
+      Math.PI * 2
+    );
+    ctx.fillStyle = "#FF4500";
+    ctx.fill();
+    ctx.font = `bold ${headerSize}px "${font}"`;
+    ctx.fillStyle = "#1A1A1B";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    ctx.fillText(
+      `r/${details.subreddit}`,
+      left + padding + iconRadius * 2 + 16 * unit,
+      top + padding + iconRadius
+    );
+    ctx.font = `bold ${size}px "${font}"`;
+    drawLines(
+      ctx,
+      lines,
+      size,
+      left + padding,
+      top + padding * 2 + headerSize * 1.4,
+      {}
+    );
+    const part = partLabel(details);
+    if (part) {
+      drawPill(ctx, part, width / 2, top + cardHeight + 24 * unit, 44 * unit, {
+        font,
+        fill: accentColor,
+        color: "#000000",
+        align: "center",
+      });
+    }
+  },
+  // The still on one side and the title on a solid panel on the other:
+  // side by side in landscape, stacked in portrait.
+  split: (ctx, details, { width, height, font, accentColor }) => {
+    const unit = Math.min(width, height) / 720;
+    const margin = 40 * unit;
+    const landscape = width > height;
+    const panel = landscape
+      ? { x: 0, y: 0, width: width * 0.5, height }
+      : { x: 0, y: height * 0.55, width, height: height * 0.45 };
+    const still = landscape
+      ? { x: panel.width, y: 0, width: width - panel.width, height }
+      : { x: 0, y: 0, width, height: panel.y };
+    drawCovering(
+      ctx,
+      details.still,
+      still.x,
+      still.y,
+      still.width,
+      still.height
+    );
+    ctx.fillStyle = accentColor;
+    ctx.fillRect(panel.x, panel.y, panel.width, panel.height);
+    const pillHeight = drawPill(
+      ctx,
+      `r/${details.subreddit}`,
+      panel.x + margin,
+      panel.y + margin,
+      32 * unit,
+      { font, fill: "#000000", color: "#FFFFFF" }
+    );
+    const top = panel.y + margin * 2 + pillHeight;
+    const { lines, size } = fitTitle(ctx, details.title, {
+      font,
+      maxWidth: panel.width - margin * 2,
+      maxHeight: panel.y + panel.height - margin - top,
+      maxSize: 120 * unit,
+    });
+    ctx.fillStyle = "#000000";
+    drawLines(ctx, lines, size, panel.x + margin, top, {});
+    const part = partLabel(details);
+    if (part) {
+      drawPill(ctx, part, width - margin, margin, 44 * unit, {
+        font,
+        fill: "#000000",
+        color: "#FFFFFF",
+        align: "right",
+      });
+    }
+  },
+};
+
+const renderImage = async (details, settings, width, height) => {
+  const { createCanvas } = await loadCanvas();
+  const image = createCanvas(width, height);
+  THUMBNAIL_STYLES[settings.style](image.getContext("2d"), details, {
+    width,
+    height,
+    font: settings.font,
+    accentColor: settings.accentColor,
+  });
+  return image;
+};
+
+/**
+ * Renders the 1280×720 thumbnail of a rendered segment and, when
+ * `settings.cover` is on, its 1080×1920 cover frame, both in the channel's
+ * template style. `details` carry the short `title`, the `subreddit` and
+ * the segment's `part` of `partCount`, shown as its `label`; the picture is
+ * a still from the segment's `background` clip. Files are named after
+ * `videoPath` (see thumbnailPath and coverPath). Resolves to their paths,
+ * with `coverPath` null when no cover frame was made.
+ */
+export const generateThumbnails = async (
+  background,
+  details,
+  videoPath,
+  settings
+) => {
+  const { loadImage } = await loadCanvas();
+  const stillPath = videoPath.replace(/\.mp4$/, ".still.png");
+  try {
+    await grabStill(background, stillPath);
+    const still = await loadImage(stillPath);
+    const thumbnail = await renderImage(
+      { ...details, still },
+      settings,
+      THUMBNAIL_WIDTH,
+      THUMBNAIL_HEIGHT
+    );
+    // YouTube caps thumbnails at 2 MB, which a JPEG of this size stays under.
+    fs.writeFileSync(
+      thumbnailPath(videoPath),
+      thumbnail.toBuffer("image/jpeg", { quality: 0.9 })
+    );
+    if (!settings.cover) {
+      return { thumbnailPath: thumbnailPath(videoPath), coverPath: null };
+    }
+    const cover = await renderImage(
+      { ...details, still },
+      settings,
+      COVER_WIDTH,
+      COVER_HEIGHT
+    );
+    fs.writeFileSync(coverPath(videoPath), cover.toBuffer("image/png"));
+    return {
+      thumbnailPath: thumbnailPath(videoPath),
+      coverPath: coverPath(videoPath),
+    };
+  } finally {
+    if (fs.existsSync(stillPath)) fs.unlinkSync(stillPath);
+  }
+};
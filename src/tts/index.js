@@ -0,0 +1,52 @@
+import fs from "fs";
+import { writeAtomically } from "../pipeline.js";
+
+/**
+ * Speech providers, loaded on first use so a run only needs the SDK and
+ * credentials of the engines it actually uses. `required` lists the voice
+ * settings each provider cannot work without, and `speed` the range its
+ * speed setting takes (a factor, or words per minute for espeak), if any.
+ */
+export const TTS_PROVIDERS = {
+  playht: {
+    required: ["id"],
+    speed: { min: 0.1, max: 5 },
+    load: () => import("./playht.js"),
+  },
+  openai: {
+    required: [],
+    speed: { min: 0.25, max: 4 },
+    load: () => import("./openai.js"),
+  },
+  espeak: {
+    required: [],
+    speed: { min: 80, max: 450 },
+    load: () => import("./local.js"),
+  },
+  piper: { required: ["model"], speed: null, load: () => import("./local.js") },
+};
+
+const loaded = {};
+
+const getProvider = async (name) => {
+  if (!TTS_PROVIDERS[name]) throw new Error(`Unknown TTS provider "${name}"`);
+  loaded[name] ||= (await TTS_PROVIDERS[name].load())[name];
+  return loaded[name];
+};
+
+/**
+ * Synthesizes `text` into an mp3 at `outputPath` with the provider named by
+ * `voice.provider`. The audio only appears at `outputPath` once the
+ * provider finished (see writeAtomically), so a failed request never leaves
+ * a truncated mp3 that later runs would treat as done.
+ */
+export const synthesizeSpeech = async (text, voice, outputPath) => {
+  const provider = await getProvider(voice.provider);
+  await writeAtomically(outputPath, async (tmpPath) => {
+    await provider.synthesize(text, voice, tmpPath);
+    if (!fs.existsSync(tmpPath) || !fs.statSync(tmpPath).size) {
+      throw new Error(`${voice.provider} returned no audio`);
+    }
+  });
+  return outputPath;
+};
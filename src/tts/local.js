@@ -0,0 +1,84 @@
+import fs from "fs";
+import ffmpeg from "fluent-ffmpeg";
+import { spawn } from "child_process";
+
+/**
+ * Runs a local speech engine, feeding the text on stdin so long segments
+ * never hit argument length limits.
+ */
+const runEngine = (command, args, input) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["pipe", "ignore", "pipe"] });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", (err) =>
+      reject(
+        err.code === "ENOENT"
+          ? new Error(`${command} is not installed or not on PATH`)
+          : err
+      )
+    );
+    child.on("close", (code) =>
+      code === 0
+        ? resolve()
+        : reject(new Error(`${command} exited with code ${code}: ${stderr}`))
+    );
+    child.stdin.end(input);
+  });
+
+const wavToMp3 = (wavPath, mp3Path) =>
+  new Promise((resolve, reject) => {
+    ffmpeg(wavPath)
+      .audioCodec("libmp3lame")
+      .format("mp3")
+      .save(mp3Path)
+      .on("end", resolve)
+      .on("error", reject);
+  });
+
+const synthesizeWithWav = async (outputPath, render) => {
+  const wavPath = `${outputPath}.wav`;
+  try {
+    await render(wavPath);
+    await wavToMp3(wavPath, outputPath);
+  } finally {
+    if (fs.existsSync(wavPath)) fs.unlinkSync(wavPath);
+  }
+};
+
+export const espeak = {
+  synthesize: (text, voice, outputPath) =>
+    synthesizeWithWav(outputPath, (wavPath) =>
+      runEngine(
+        "espeak-ng",
+        [
+          "-v",
+          // espeak-ng names its voices by language code.
+          voice.id || voice.language?.toLowerCase() || "en-us",
+          "-s",
+          String(Math.round(voice.speed || 175)),
+          "-w",
+          wavPath,
+          "--stdin",
+        ],
+        text
+      )
+    ),
+};
+
+export const piper = {
+  synthesize: (text, voice, outputPath) =>
+    synthesizeWithWav(outputPath, (wavPath) =>
+      runEngine(
+        voice.binary || "piper",
+        [
+          "--model",
+          voice.model,
+          ...(voice.id ? ["--speaker", voice.id] : []),
+          "--output_file",
+          wavPath,
+        ],
+        text
+      )
+    ),
+};
@@ -0,0 +1,34 @@
+import fs from "fs";
+import OpenAI from "openai";
+import { recordUsage } from "../pipeline.js";
+
+// The speech endpoint rejects longer inputs.
+const MAX_INPUT_CHARS = 4096;
+
+// Clients by API key, as channels may bill speech to different accounts.
+const clients = new Map();
+
+const clientFor = (apiKey) => {
+  if (!clients.has(apiKey)) clients.set(apiKey, new OpenAI({ apiKey }));
+  return clients.get(apiKey);
+};
+
+export const openai = {
+  synthesize: async (text, voice, outputPath) => {
+    if (text.length > MAX_INPUT_CHARS) {
+      throw new Error(
+        `OpenAI TTS input is ${text.length} characters; the limit is ${MAX_INPUT_CHARS}`
+      );
+    }
+    const response = await clientFor(voice.apiKey).audio.speech.create({
+      model: voice.model || "gpt-4o-mini-tts",
+      voice: voice.id || "alloy",
+      input: text,
+      response_format: "mp3",
+      ...(voice.speed && { speed: voice.speed }),
+      ...(voice.instructions && { instructions: voice.instructions }),
+    });
+    fs.writeFileSync(outputPath, Buffer.from(await response.arrayBuffer()));
+    recordUsage("openai", { speechCharacters: text.length });
+  },
+};
@@ -0,0 +1,30 @@
+import fs from "fs";
+import * as PlayHT from "playht";
+import { pipeline } from "stream/promises";
+import { languageName } from "../languages.js";
+import { recordUsage } from "../pipeline.js";
+
+let initialized = false;
+
+export const playht = {
+  synthesize: async (text, voice, outputPath) => {
+    if (!initialized) {
+      PlayHT.init({
+        userId: process.env.PLAYHT_USER_ID,
+        apiKey: process.env.PLAYHT_API_KEY,
+      });
+      initialized = true;
+    }
+    const stream = await PlayHT.stream(text, {
+      voiceEngine: voice.engine || "Play3.0-mini",
+      voiceId: voice.id,
+      ...(voice.speed && { speed: voice.speed }),
+      // Voices of translated versions; PlayHT names languages in English.
+      ...(voice.language && {
+        language: languageName(voice.language.split("-")[0]).toLowerCase(),
+      }),
+    });
+    await pipeline(stream, fs.createWriteStream(outputPath));
+    recordUsage("playht", { characters: text.length });
+  },
+};
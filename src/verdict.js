@@ -0,0 +1,124 @@
+import { getComments } from "./sources/index.js";
+import { splitSentences, splitWords } from "./text.js";
+
+// Narrated in full: text-to-speech spells the acronyms out letter by letter.
+export const JUDGEMENTS = {
+  NTA: "Not the A-hole",
+  YTA: "You're the A-hole",
+  ESH: "Everyone sucks here",
+  NAH: "No A-holes here",
+};
+
+// "nah" on its own is an ordinary word, so only the capitalized form counts.
+const JUDGEMENT_PATTERN = /\b(NTA|YTA|ESH|NAH|nta|yta|esh)\b/;
+
+// How many comments to read for the tally; the top ones are a subset.
+const FETCH_LIMIT = 100;
+
+const REMOVED_TEXT = ["[removed]", "[deleted]"];
+
+const isModComment = (comment) =>
+  comment.stickied ||
+  comment.distinguished === "moderator" ||
+  comment.author === "AutoModerator";
+
+const isUsable = (comment) =>
+  comment.body &&
+  !REMOVED_TEXT.includes(comment.body.trim()) &&
+  comment.author !== "[deleted]" &&
+  !isModComment(comment);
+
+/**
+ * Strips the markdown that would otherwise be read aloud: links keep their
+ * text, bare URLs, quotes and emphasis markers are dropped. Line breaks are
+ * flattened so each comment is one paragraph.
+ */
+const plainText = (markdown) =>
+  markdown
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/https?:\/\/\S+/g, "")
+    .replace(/^\s*>+\s?/gm, "")
+    .replace(/[*_~^`#]+/g, "")
+    .replace(
+      /&gt;|&lt;|&amp;/g,
+      (entity) => ({ "&gt;": ">", "&lt;": "<", "&amp;": "&" }[entity])
+    )
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Keeps whole sentences up to `maxWords` words. A first sentence that is
+ * already too long is cut mid-sentence.
+ */
+const truncateWords = (text, maxWords) => {
+  const kept = [];
+  let count = 0;
+  for (const sentence of splitSentences(text)) {
+    const words = splitWords(sentence);
+    if (count + words.length > maxWords) {
+      if (!kept.length) kept.push(`${words.slice(0, maxWords).join(" ")}...`);
+      break;
+    }
+    kept.push(words.join(" "));
+    count += words.length;
+  }
+  return kept.join(" ");
+};
+
+export const findJudgement = (body) =>
+  body.match(JUDGEMENT_PATTERN)?.[1].toUpperCase() || null;
+
+/**
+ * Counts the judgements in the comments. As on r/AmItheAsshole itself, the
+ * verdict is the judgement of the highest scored comment that gave one.
+ */
+export const tallyJudgements = (comments) => {
+  const counts = Object.fromEntries(Object.keys(JUDGEMENTS).map((j) => [j, 0]));
+  let verdict = null;
+  for (const comment of [...comments].sort((a, b) => b.score - a.score)) {
+    const judgement = findJudgement(comment.body);
+    if (!judgement) continue;
+    verdict ||= judgement;
+    counts[judgement]++;
+  }
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  return { verdict, counts, total };
+};
+
+const introFor = (tally) => {
+  if (!tally?.verdict) return "Here is what Reddit had to say.";
+  const share = Math.round((tally.counts[tally.verdict] / tally.total) * 100);
+  return `Reddit's verdict: ${JUDGEMENTS[tally.verdict]}. ${share}% of ${
+    tally.total
+  } judgements agreed.`;
+};
+
+/**
+ * Fetches the post's comments and picks the top non-mod ones for the final
+ * segment. Resolves to null when there is nothing worth narrating.
+ */
+export const fetchVerdict = async (post, source, settings) => {
+  const comments = (
+    await getComments(source, post.id, { limit: FETCH_LIMIT })
+  ).filter(isUsable);
+  const top = comments
+    .filter((comment) => comment.score >= settings.minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, settings.comments)
+    .map((comment) => ({
+      author: comment.author,
+      score: comment.score,
+      body: truncateWords(plainText(comment.body), settings.maxWords),
+    }))
+    .filter((comment) => comment.body);
+  if (!top.length) return null;
+  const tally = settings.tally ? tallyJudgements(comments) : null;
+  return { intro: introFor(tally), comments: top, tally };
+};
+
+/**
+ * The narration of the verdict segment: the intro followed by each comment,
+ * one paragraph each. Cards are planned from the same text.
+ */
+export const verdictText = (verdict) =>
+  [verdict.intro, ...verdict.comments.map(({ body }) => body)].join("\n\n");
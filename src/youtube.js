@@ -0,0 +1,350 @@
+import fs from "fs";
+import axios from "axios";
+import { google } from "googleapis";
+import { zonedTime } from "./schedule.js";
+import { readChunk, withRetries } from "./http.js";
+import { log } from "./log.js";
+import { recordUsage } from "./pipeline.js";
+
+const UPLOAD_URL = "https://www.googleapis.com/upload/youtube/v3/videos";
+const QUOTA_PATH = "./youtubeQuota.json";
+// Resumable chunks must be multiples of 256 KiB.
+const CHUNK_SIZE = 32 * 256 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Units charged per call by the YouTube Data API.
+export const QUOTA_COSTS = {
+  "videos.insert": 1600,
+  "videos.update": 50,
+  "playlists.insert": 50,
+  "playlists.update": 50,
+  "playlistItems.insert": 50,
+  "thumbnails.set": 50,
+};
+
+/**
+ * The project's daily quota is used up. `resetsAt` is when the next quota
+ * window opens.
+ */
+export class YoutubeQuotaError extends Error {
+  constructor(message, resetsAt) {
+    super(message);
+    this.name = "YoutubeQuotaError";
+    this.resetsAt = resetsAt;
+  }
+}
+
+/**
+ * The credentials were rejected or lack a permission. Retrying cannot help
+ * until they are fixed.
+ */
+export class YoutubeAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "YoutubeAuthError";
+  }
+}
+
+const QUOTA_REASONS = ["quotaExceeded", "dailyLimitExceeded"];
+const TRANSIENT_REASONS = [
+  "rateLimitExceeded",
+  "userRateLimitExceeded",
+  "backendError",
+  "internalError",
+];
+const AUTH_REASONS = [
+  "authError",
+  "forbidden",
+  "insufficientPermissions",
+  "youtubeSignupRequired",
+];
+
+/**
+ * Sorts an API failure into "quota", "auth", "transient" (worth retrying)
+ * or "fatal". Works for both googleapis and plain axios errors.
+ */
+export const classifyError = (error) => {
+  const status = error.response?.status;
+  const data = error.response?.data;
+  const reason = data?.error?.errors?.[0]?.reason;
+  if (QUOTA_REASONS.includes(reason)) return "quota";
+  if (TRANSIENT_REASONS.includes(reason)) return "transient";
+  if (
+    status === 401 ||
+    AUTH_REASONS.includes(reason) ||
+    data?.error === "invalid_grant" ||
+    data?.error === "unauthorized_client"
+  ) {
+    return "auth";
+  }
+  if (status === undefined || status === 408 || status === 429) {
+    return "transient";
+  }
+  return status >= 500 ? "transient" : "fatal";
+};
+
+const describe = (error) =>
+  error.response?.data?.error?.message ||
+  error.response?.data?.error_description ||
+  error.message;
+
+const clients = new Map();
+
+/**
+ * One OAuth2 client per set of credentials, kept for the whole run so the
+ * access token is refreshed once instead of on every call.
+ */
+const getClient = (settings) => {
+  const key = `${settings.clientId}:${settings.refreshToken}`;
+  if (!clients.has(key)) {
+    const auth = new google.auth.OAuth2({
+      clientId: settings.clientId,
+      clientSecret: settings.clientSecret,
+      redirectUri: settings.redirectUri,
+      ...(settings.tokenURL && {
+        endpoints: { oauth2TokenUrl: settings.tokenURL },
+      }),
+    });
+    auth.setCredentials({ refresh_token: settings.refreshToken });
+    clients.set(key, {
+      auth,
+      youtube: google.youtube({ version: "v3", auth }),
+    });
+  }
+  return clients.get(key);
+};
+
+// Quota windows follow YouTube's: they reset at midnight Pacific time.
+const QUOTA_TIME_ZONE = "America/Los_Angeles";
+
+const quotaWindow = (now = Date.now()) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: QUOTA_TIME_ZONE }).format(now);
+
+export const quotaResetsAt = (now = Date.now()) =>
+  new Date(zonedTime(now + DAY_MS, "00:00", QUOTA_TIME_ZONE));
+
+const readQuota = () =>
+  fs.existsSync(QUOTA_PATH)
+    ? JSON.parse(fs.readFileSync(QUOTA_PATH, "utf8"))
+    : {};
+
+const writeQuota = (quota) => {
+  const tmpPath = `${QUOTA_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(quota, null, 2));
+  fs.renameSync(tmpPath, QUOTA_PATH);
+};
+
+/**
+ * Units spent in the current window by the Google project behind
+ * `settings.clientId` (quota is per project, not per channel).
+ */
+export const quotaUsed = (settings) => {
+  const entry = readQuota()[settings.clientId];
+  return entry?.window === quotaWindow() ? entry.used : 0;
+};
+
+const recordQuota = (settings, used) => {
+  const quota = readQuota();
+  quota[settings.clientId] = { window: quotaWindow(), used };
+  writeQuota(quota);
+};
+
+const spendQuota = (settings, units) => {
+  recordQuota(settings, quotaUsed(settings) + units);
+  recordUsage("youtube", { units });
+};
+
+/**
+ * Throws a YoutubeQuotaError when the local budget cannot cover `units`,
+ * before any request is made.
+ */
+const reserveQuota = (settings, units) => {
+  const used = quotaUsed(settings);
+  if (used + units > settings.dailyQuota) {
+    const resetsAt = quotaResetsAt();
+    throw new YoutubeQuotaError(
+      `YouTube quota exhausted (${used}/${
+        settings.dailyQuota
+      } units used, ${units} needed); resets at ${resetsAt.toISOString()}`,
+      resetsAt
+    );
+  }
+};
+
+/**
+ * Turns a classified failure into the error callers act on. A quota error
+ * from the API also marks the local budget as spent, so later calls in the
+ * same window fail fast.
+ */
+const toError = (settings, error) => {
+  const kind = classifyError(error);
+  if (kind === "quota") {
+    recordQuota(settings, settings.dailyQuota);
+    const resetsAt = quotaResetsAt();
+    return new YoutubeQuotaError(
+      `YouTube quota exceeded: ${describe(error)}`,
+      resetsAt
+    );
+  }
+  if (kind === "auth") {
+    return new YoutubeAuthError(
+      `YouTube rejected the credentials: ${describe(error)}`
+    );
+  }
+  return new Error(`YouTube request failed: ${describe(error)}`);
+};
+
+const isYoutubeError = (error) =>
+  error instanceof YoutubeQuotaError || error instanceof YoutubeAuthError;
+
+// Quota and auth errors are thrown at once.
+const retry = (settings, label, fn) =>
+  withRetries(settings, label, fn, {
+    retryable: (error) =>
+      !isYoutubeError(error) && classifyError(error) === "transient",
+    describe,
+    toError: (error) =>
+      isYoutubeError(error) ? error : toError(settings, error),
+  });
+
+/**
+ * Runs one Data API call (`method` is a QUOTA_COSTS key) against the
+ * cached client, charging its quota cost when it succeeds.
+ */
+export const callYoutube = async (settings, method, fn) => {
+  const units = QUOTA_COSTS[method];
+  reserveQuota(settings, units);
+  const result = await retry(settings, method, () =>
+    fn(getClient(settings).youtube)
+  );
+  spendQuota(settings, units);
+  return result;
+};
+
+const authHeader = async (settings) => {
+  const { token } = await getClient(settings).auth.getAccessToken();
+  return { Authorization: `Bearer ${token}` };
+};
+
+/**
+ * Asks YouTube how much of an upload session it already has. Resolves to
+ * `{ video }` when the upload finished, `{ offset }` to continue from, or
+ * null when the session expired.
+ */
+const querySession = async (settings, sessionUrl, size) => {
+  const response = await axios.put(sessionUrl, null, {
+    headers: {
+      ...(await authHeader(settings)),
+      "Content-Range": `bytes */${size}`,
+    },
+    validateStatus: (status) => [200, 201, 308, 404, 410].includes(status),
+  });
+  if (response.status === 200 || response.status === 201) {
+    return { video: response.data };
+  }
+  if (response.status === 308) {
+    const range = response.headers.range?.match(/bytes=0-(\d+)/);
+    return { offset: range ? Number(range[1]) + 1 : 0 };
+  }
+  return null;
+};
+
+// Every part of the resource that the request body sets has to be named.
+const startSession = async (settings, requestBody, size) => {
+  const response = await axios.post(
+    `${
+      settings.uploadURL || UPLOAD_URL
+    }?uploadType=resumable&part=${Object.keys(requestBody).join(",")}`,
+    requestBody,
+    {
+      headers: {
+        ...(await authHeader(settings)),
+        "Content-Type": "application/json; charset=UTF-8",
+        "X-Upload-Content-Length": size,
+        "X-Upload-Content-Type": "video/mp4",
+      },
+    }
+  );
+  return response.headers.location;
+};
+
+/**
+ * Uploads a video through a resumable session, in chunks. `session` is the
+ * URL of an earlier, interrupted session to pick up where it stopped; a new
+ * session is reported through `onSession` before any bytes are sent, so it
+ * can be stored and resumed by a later run. Transient failures re-query the
+ * session and continue from the last byte YouTube confirmed.
+ */
+export const uploadVideo = async (
+  settings,
+  videoPath,
+  requestBody,
+  { session = null, onSession = () => {} } = {}
+) => {
+  const { size } = fs.statSync(videoPath);
+  let sessionUrl = session;
+  let offset = 0;
+  if (sessionUrl) {
+    const state = await retry(settings, "Upload status", () =>
+      querySession(settings, sessionUrl, size)
+    );
+    if (state?.video) return state.video;
+    if (state) {
+      log.info(`Resuming upload of ${videoPath} at byte ${state.offset}`);
+      offset = state.offset;
+    } else {
+      log.warn(`Upload session for ${videoPath} expired. Starting over.`);
+      sessionUrl = null;
+    }
+  }
+  if (!sessionUrl) {
+    reserveQuota(settings, QUOTA_COSTS["videos.insert"]);
+    sessionUrl = await retry(settings, "Upload start", () =>
+      startSession(settings, requestBody, size)
+    );
+    spendQuota(settings, QUOTA_COSTS["videos.insert"]);
+    await onSession(sessionUrl);
+  }
+  return retry(settings, "Upload", async () => {
+    for (;;) {
+      // Every byte arrived, but the video did not come back with the last
+      // one; the session tells what became of it.
+      if (offset >= size) {
+        const state = await querySession(settings, sessionUrl, size);
+        if (state?.video) return state.video;
+        if (!state || state.offset >= size) {
+          throw new Error(
+            `YouTube received all of ${videoPath} but did not finish the upload`
+          );
+        }
+        offset = state.offset;
+      }
+      try {
+        const chunk = await readChunk(videoPath, offset, CHUNK_SIZE);
+        const response = await axios.put(sessionUrl, chunk, {
+          headers: {
+            ...(await authHeader(settings)),
+            "Content-Length": chunk.length,
+            "Content-Range": `bytes ${offset}-${
+              offset + chunk.length - 1
+            }/${size}`,
+          },
+          maxBodyLength: Infinity,
+          validateStatus: (status) => [200, 201, 308].includes(status),
+        });
+        if (response.status !== 308) return response.data;
+        const range = response.headers.range?.match(/bytes=0-(\d+)/);
+        offset = range ? Number(range[1]) + 1 : 0;
+      } catch (error) {
+        // Find out what arrived before the failure so the retry resumes
+        // there instead of resending the whole file.
+        const state = await querySession(settings, sessionUrl, size).catch(
+          () => null
+        );
+        if (state?.video) return state.video;
+        if (state) offset = state.offset;
+        throw error;
+      }
+    }
+  });
+};
@@ -0,0 +1,150 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { cronDue, nextCronTime, parseCron } from "../src/cron.js";
+
+const at = (iso) => new Date(iso).getTime();
+
+const next = (expression, now, timeZone = "UTC") => {
+  const time = nextCronTime(parseCron(expression), at(now), timeZone);
+  return time === null ? null : new Date(time).toISOString();
+};
+
+test("fires in the first matching minute after the current one", () => {
+  assert.equal(
+    next("0 8 * * *", "2026-10-19T07:59:30Z"),
+    "2026-10-19T08:00:00.000Z"
+  );
+  // The minute that contains `now` has had its run.
+  assert.equal(
+    next("0 8 * * *", "2026-10-19T08:00:00Z"),
+    "2026-10-20T08:00:00.000Z"
+  );
+  assert.equal(
+    next("*/15 9-17 * * *", "2026-10-19T17:50:00Z"),
+    "2026-10-20T09:00:00.000Z"
+  );
+});
+
+test("reads hours and minutes on the schedule's wall clock", () => {
+  assert.equal(
+    next("0 8 * * *", "2026-10-19T00:00:00Z", "America/New_York"),
+    "2026-10-19T12:00:00.000Z"
+  );
+});
+
+test("keeps the wall-clock hour across daylight saving changes", () => {
+  // New York moves from UTC-5 to UTC-4 on 8 March 2026.
+  assert.equal(
+    next("0 8 * * *", "2026-03-07T14:00:00Z", "America/New_York"),
+    "2026-03-08T12:00:00.000Z"
+  );
+  // And back on 1 November.
+  assert.equal(
+    next("0 8 * * *", "2026-10-31T13:00:00Z", "America/New_York"),
+    "2026-11-01T13:00:00.000Z"
+  );
+});
+
+test("runs a time the clocks skip once they have gone forward", () => {
+  // 02:30 does not exist in New York on 8 March; the run comes at 03:30.
+  assert.equal(
+    next("30 2 * * *", "2026-03-07T12:00:00Z", "America/New_York"),
+    "2026-03-08T07:30:00.000Z"
+  );
+  assert.equal(
+    next("30 2 * * *", "2026-03-08T07:10:00Z", "America/New_York"),
+    "2026-03-08T07:30:00.000Z"
+  );
+  // Zones ahead of UTC too: Berlin skips 02:00-03:00 on 29 March.
+  assert.equal(
+    next("30 2 * * *", "2026-03-28T12:00:00Z", "Europe/Berlin"),
+    "2026-03-29T01:30:00.000Z"
+  );
+});
+
+test("runs a time the clocks repeat only once", () => {
+  // 01:30 comes twice in New York on 1 November.
+  assert.equal(
+    next("30 1 * * *", "2026-11-01T04:00:00Z", "America/New_York"),
+    "2026-11-01T05:30:00.000Z"
+  );
+  assert.equal(
+    next("30 1 * * *", "2026-11-01T05:31:00Z", "America/New_York"),
+    "2026-11-02T06:30:00.000Z"
+  );
+});
+
+test("matches either day field when both are restricted", () => {
+  // 19 October 2026 is a Monday; the 23rd is a Friday.
+  assert.equal(
+    next("0 9 13 * 5", "2026-10-19T12:00:00Z"),
+    "2026-10-23T09:00:00.000Z"
+  );
+  assert.equal(
+    next("0 9 13 * 5", "2026-11-12T12:00:00Z"),
+    "2026-11-13T09:00:00.000Z"
+  );
+  // Not the first Monday of the month: every Monday, and the 1st to the 7th.
+  assert.equal(
+    next("0 9 1-7 * 1", "2026-10-19T12:00:00Z"),
+    "2026-10-26T09:00:00.000Z"
+  );
+  assert.equal(
+    next("0 9 1-7 * 1", "2026-10-27T12:00:00Z"),
+    "2026-11-01T09:00:00.000Z"
+  );
+});
+
+test("matches both day fields when one is a wildcard", () => {
+  assert.equal(
+    next("0 9 13 * *", "2026-10-19T12:00:00Z"),
+    "2026-11-13T09:00:00.000Z"
+  );
+  assert.equal(
+    next("0 9 * * 5", "2026-10-19T12:00:00Z"),
+    "2026-10-23T09:00:00.000Z"
+  );
+});
+
+test("treats 7 as Sunday", () => {
+  assert.equal(
+    next("0 9 * * 7", "2026-10-19T12:00:00Z"),
+    "2026-10-25T09:00:00.000Z"
+  );
+});
+
+test("skips months too short for the day", () => {
+  assert.equal(
+    next("0 0 31 * *", "2026-04-01T00:00:00Z"),
+    "2026-05-31T00:00:00.000Z"
+  );
+});
+
+test("gives up on days more than a year away", () => {
+  assert.equal(next("0 0 31 4 *", "2026-10-19T12:00:00Z"), null);
+  // The next 29 February is in 2028.
+  assert.equal(next("0 0 29 2 *", "2026-10-19T12:00:00Z"), null);
+});
+
+test("is due when a run fell between two ticks", () => {
+  const cron = parseCron("0 8 * * *");
+  assert.ok(
+    cronDue(cron, at("2026-10-19T07:58:00Z"), at("2026-10-19T08:03:00Z"), "UTC")
+  );
+  assert.ok(
+    !cronDue(
+      cron,
+      at("2026-10-19T08:00:00Z"),
+      at("2026-10-19T08:03:00Z"),
+      "UTC"
+    )
+  );
+});
+
+test("rejects malformed expressions", () => {
+  assert.throws(() => parseCron("0 8 * *"), /is not a cron expression/);
+  assert.throws(() => parseCron("60 8 * * *"), /outside 0-59/);
+  assert.throws(() => parseCron("0 8 * * 1-9"), /outside 0-7/);
+  assert.throws(() => parseCron("*/0 8 * * *"), /step of 0/);
+  assert.throws(() => parseCron("0 8 L * *"), /invalid day of month "L"/);
+});
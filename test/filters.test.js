@@ -0,0 +1,210 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { checkRules } from "../src/filters.js";
+
+const HOUR = 3600;
+const now = () => Math.floor(Date.now() / 1000);
+
+// Every rule switched off, so each test turns on only the one it checks.
+const disabled = {
+  excludeKeywords: [],
+  requireKeywords: [],
+  minWords: null,
+  maxWords: null,
+  minUpvotes: null,
+  minComments: null,
+  minAgeHours: null,
+  maxAgeHours: null,
+  skipNsfw: false,
+  skipSpoilers: false,
+  skipStickied: false,
+  skipRemoved: false,
+  skipMedia: false,
+};
+
+const post = (overrides = {}) => ({
+  title: "AITA for skipping my sister's wedding?",
+  selftext: "one two three four five six seven eight nine ten",
+  author: "throwaway",
+  ups: 100,
+  num_comments: 20,
+  created_utc: now() - 10 * HOUR,
+  ...overrides,
+});
+
+const rejectedBy = (overrides, filters) =>
+  checkRules(post(overrides), { ...disabled, ...filters })?.rule ?? null;
+
+test("passes any post when every rule is off", () => {
+  assert.equal(
+    checkRules(
+      post({
+        selftext: "[removed]",
+        over_18: true,
+        spoiler: true,
+        stickied: true,
+        media_metadata: {},
+        ups: 0,
+        num_comments: 0,
+        created_utc: now(),
+      }),
+      disabled
+    ),
+    null
+  );
+});
+
+test("reports the first rule that rejects the post, with its reason", () => {
+  assert.deepEqual(
+    checkRules(post({ over_18: true, ups: 1 }), {
+      ...disabled,
+      skipNsfw: true,
+      minUpvotes: 10,
+    }),
+    { rule: "nsfw", reason: "NSFW" }
+  );
+  assert.deepEqual(
+    checkRules(post({ ups: 1 }), { ...disabled, minUpvotes: 10 }),
+    {
+      rule: "minUpvotes",
+      reason: "1 upvotes < 10",
+    }
+  );
+});
+
+test("skips removed and deleted posts", () => {
+  const filters = { skipRemoved: true };
+  assert.equal(
+    rejectedBy({ removed_by_category: "moderator" }, filters),
+    "removed"
+  );
+  assert.equal(rejectedBy({ selftext: " [deleted] " }, filters), "removed");
+  assert.equal(rejectedBy({ author: "[deleted]" }, filters), "removed");
+  assert.equal(rejectedBy({}, filters), null);
+});
+
+test("skips flagged posts only when their rule is on", () => {
+  assert.equal(rejectedBy({ over_18: true }, { skipNsfw: true }), "nsfw");
+  assert.equal(
+    rejectedBy({ spoiler: true }, { skipSpoilers: true }),
+    "spoiler"
+  );
+  assert.equal(
+    rejectedBy({ stickied: true }, { skipStickied: true }),
+    "stickied"
+  );
+  assert.equal(
+    rejectedBy({ media_metadata: {} }, { skipMedia: true }),
+    "media"
+  );
+  assert.equal(
+    rejectedBy({ crosspost_parent_list: [{}] }, { skipMedia: true }),
+    "media"
+  );
+  assert.equal(
+    rejectedBy(
+      {},
+      {
+        skipNsfw: true,
+        skipSpoilers: true,
+        skipStickied: true,
+        skipMedia: true,
+      }
+    ),
+    null
+  );
+});
+
+test("matches keywords as whole words or phrases, in any case", () => {
+  const filters = { excludeKeywords: ["update", "meta", "my sister"] };
+  assert.equal(
+    rejectedBy({ title: "UPDATE: the wedding" }, filters),
+    "excludeKeywords"
+  );
+  assert.equal(
+    rejectedBy({ selftext: "So, my\n sister called" }, filters),
+    "excludeKeywords"
+  );
+  assert.equal(
+    rejectedBy({ title: "I updated my metal playlist" }, filters),
+    null
+  );
+  assert.deepEqual(
+    checkRules(post({ selftext: "a meta post" }), { ...disabled, ...filters }),
+    { rule: "excludeKeywords", reason: 'mentions "meta"' }
+  );
+});
+
+test("treats keywords as text, not patterns", () => {
+  assert.equal(
+    rejectedBy({ title: "Is this okay?" }, { excludeKeywords: ["okay?"] }),
+    "excludeKeywords"
+  );
+  assert.equal(
+    rejectedBy({ title: "okay" }, { excludeKeywords: ["o.ay"] }),
+    null
+  );
+});
+
+test("requires one of the required keywords", () => {
+  const filters = { requireKeywords: ["wedding", "birthday"] };
+  assert.equal(rejectedBy({}, filters), null);
+  assert.deepEqual(
+    checkRules(post({ title: "AITA for leaving early?" }), {
+      ...disabled,
+      ...filters,
+    }),
+    { rule: "requireKeywords", reason: "mentions none of wedding, birthday" }
+  );
+});
+
+test("ignores blank keywords", () => {
+  assert.equal(rejectedBy({}, { excludeKeywords: ["", " "] }), null);
+  assert.equal(rejectedBy({}, { requireKeywords: [" "] }), null);
+  assert.equal(
+    rejectedBy({ title: "A party" }, { requireKeywords: ["", "wedding"] }),
+    "requireKeywords"
+  );
+});
+
+test("bounds the word count, from the body alone", () => {
+  // The body has ten words; the title's do not count.
+  assert.equal(rejectedBy({}, { minWords: 10 }), null);
+  assert.equal(rejectedBy({}, { minWords: 11 }), "minWords");
+  assert.equal(
+    rejectedBy({ selftext: undefined }, { minWords: 1 }),
+    "minWords"
+  );
+  assert.equal(rejectedBy({}, { maxWords: 10 }), null);
+  assert.equal(rejectedBy({}, { maxWords: 9 }), "maxWords");
+  // No limit at all when unset or 0.
+  assert.equal(rejectedBy({}, { minWords: 0, maxWords: 0 }), null);
+});
+
+test("requires enough upvotes and comments", () => {
+  assert.equal(rejectedBy({}, { minUpvotes: 100, minComments: 20 }), null);
+  assert.equal(rejectedBy({}, { minUpvotes: 101 }), "minUpvotes");
+  assert.equal(rejectedBy({}, { minComments: 21 }), "minComments");
+  // Missing counts are taken as none.
+  assert.equal(rejectedBy({ ups: undefined }, { minUpvotes: 1 }), "minUpvotes");
+  assert.equal(
+    rejectedBy(
+      { ups: undefined, num_comments: undefined },
+      { minUpvotes: 0, minComments: 0 }
+    ),
+    null
+  );
+});
+
+test("bounds the post's age in hours", () => {
+  // The post is ten hours old.
+  assert.equal(rejectedBy({}, { minAgeHours: 9, maxAgeHours: 11 }), null);
+  assert.equal(rejectedBy({}, { minAgeHours: 11 }), "minAgeHours");
+  assert.equal(rejectedBy({}, { maxAgeHours: 9 }), "maxAgeHours");
+  assert.equal(rejectedBy({}, { minAgeHours: 0, maxAgeHours: 0 }), null);
+  // A post without a creation time is not judged by age.
+  assert.equal(
+    rejectedBy({ created_utc: undefined }, { minAgeHours: 11, maxAgeHours: 9 }),
+    null
+  );
+});
@@ -0,0 +1,254 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { instagram } from "../src/publishers/instagram.js";
+import { startMockServer } from "./mockServer.js";
+
+let dir;
+let videoPath;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "instagram-test-"));
+  videoPath = path.join(dir, "video.mp4");
+  fs.writeFileSync(videoPath, Buffer.alloc(64 * 1024, 1));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const settingsFor = (server, overrides = {}) => ({
+  userId: "user-1",
+  accessToken: "token",
+  apiVersion: "v21.0",
+  shareToFeed: true,
+  baseURL: server.url,
+  uploadURL: `${server.url}/upload`,
+  maxRetries: 2,
+  retryDelayMs: 1,
+  pollIntervalMs: 1,
+  pollTimeoutMs: 1000,
+  ...overrides,
+});
+
+const job = (overrides = {}) => ({
+  videoPath,
+  title: "My boyfriend forgot my birthday",
+  description: "Part 1 of the story #aita #reddit",
+  hashtags: ["#aita", "#reddit"],
+  duration: 45,
+  coverMs: 1500,
+  ...overrides,
+});
+
+/**
+ * A Graph API that creates "container-1", finishes processing it on the
+ * second status check and publishes it as "media-1". `routes` replaces the
+ * answer for a method and path.
+ */
+const startGraphApi = (routes = {}) => {
+  let statusChecks = 0;
+  const answers = {
+    "POST /v21.0/user-1/media": () => ({ body: { id: "container-1" } }),
+    "POST /upload/v21.0/container-1": () => ({ body: { success: true } }),
+    "GET /v21.0/container-1": () => ({
+      body: { status_code: ++statusChecks < 2 ? "IN_PROGRESS" : "FINISHED" },
+    }),
+    "POST /v21.0/user-1/media_publish": () => ({ body: { id: "media-1" } }),
+    "GET /v21.0/media-1": () => ({
+      body: { permalink: "https://www.instagram.com/reel/abc123/" },
+    }),
+    ...routes,
+  };
+  return startMockServer((request) => {
+    const answer = answers[`${request.method} ${request.path}`];
+    return answer ? answer(request) : { status: 404 };
+  });
+};
+
+const graphError = (status, error) => ({ status, body: { error } });
+
+const requestsTo = (server, method, pathname) =>
+  server.requests.filter(
+    (request) => request.method === method && request.path === pathname
+  );
+
+test("uploads and publishes the video as a Reel", async () => {
+  const server = await startGraphApi();
+  try {
+    const progress = [];
+    const result = await instagram.publish(settingsFor(server), job(), {
+      onProgress: (data) => progress.push(data),
+    });
+    const caption =
+      "My boyfriend forgot my birthday\n\nPart 1 of the story #aita #reddit";
+    assert.deepEqual(result, {
+      containerId: "container-1",
+      mediaId: "media-1",
+      caption,
+      url: "https://www.instagram.com/reel/abc123/",
+    });
+    assert.deepEqual(progress, [
+      { containerId: "container-1", caption },
+      { containerId: "container-1", caption, publishing: true },
+    ]);
+
+    const [container] = requestsTo(server, "POST", "/v21.0/user-1/media");
+    assert.deepEqual(container.query, {
+      media_type: "REELS",
+      upload_type: "resumable",
+      caption,
+      share_to_feed: "true",
+      thumb_offset: "1500",
+      access_token: "token",
+    });
+
+    const [upload] = requestsTo(server, "POST", "/upload/v21.0/container-1");
+    assert.equal(upload.headers.authorization, "OAuth token");
+    assert.equal(upload.headers.file_size, "65536");
+    assert.deepEqual(upload.body, fs.readFileSync(videoPath));
+
+    const [published] = requestsTo(
+      server,
+      "POST",
+      "/v21.0/user-1/media_publish"
+    );
+    assert.equal(published.query.creation_id, "container-1");
+  } finally {
+    await server.close();
+  }
+});
+
+test("keeps at most 30 hashtags in the caption", async () => {
+  const server = await startGraphApi();
+  try {
+    const hashtags = Array.from({ length: 40 }, (_, i) => `#tag${i}`);
+    const { caption } = await instagram.publish(
+      settingsFor(server),
+      job({ description: `Part 1 ${hashtags.join(" ")}` })
+    );
+    assert.equal(caption.match(/#\w+/g).length, instagram.limits.maxHashtags);
+    assert.ok(caption.endsWith("#tag29"));
+  } finally {
+    await server.close();
+  }
+});
+
+test("retries errors the Graph API flags as transient", async () => {
+  let attempts = 0;
+  const server = await startGraphApi({
+    "POST /v21.0/user-1/media": () =>
+      ++attempts === 1
+        ? graphError(400, { message: "Please retry", is_transient: true })
+        : { body: { id: "container-1" } },
+  });
+  try {
+    const result = await instagram.publish(settingsFor(server), job());
+    assert.equal(result.mediaId, "media-1");
+    assert.equal(attempts, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test("reports other errors without retrying", async () => {
+  const server = await startGraphApi({
+    "POST /v21.0/user-1/media": () =>
+      graphError(400, {
+        message: "Invalid parameter",
+        error_user_msg: "The video is too short",
+      }),
+  });
+  try {
+    await assert.rejects(
+      instagram.publish(settingsFor(server), job()),
+      (error) =>
+        error.message ===
+          "Instagram container failed: The video is too short" &&
+        error.status === 400
+    );
+    assert.equal(requestsTo(server, "POST", "/v21.0/user-1/media").length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test("fails when Instagram cannot process the video", async () => {
+  const server = await startGraphApi({
+    "GET /v21.0/container-1": () => ({ body: { status_code: "ERROR" } }),
+  });
+  try {
+    await assert.rejects(
+      instagram.publish(settingsFor(server), job()),
+      /could not process the video \(ERROR\)/
+    );
+    assert.equal(
+      requestsTo(server, "POST", "/v21.0/user-1/media_publish").length,
+      0
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+test("publishes an interrupted upload's container without uploading again", async () => {
+  const server = await startGraphApi({
+    "GET /v21.0/container-0": () => ({ body: { status_code: "FINISHED" } }),
+  });
+  try {
+    const result = await instagram.publish(settingsFor(server), job(), {
+      previous: { containerId: "container-0", caption: "Earlier caption" },
+    });
+    assert.equal(result.containerId, "container-0");
+    assert.equal(result.caption, "Earlier caption");
+    assert.equal(requestsTo(server, "POST", "/v21.0/user-1/media").length, 0);
+    const [published] = requestsTo(
+      server,
+      "POST",
+      "/v21.0/user-1/media_publish"
+    );
+    assert.equal(published.query.creation_id, "container-0");
+  } finally {
+    await server.close();
+  }
+});
+
+test("picks up the Reel of a container published before the run was interrupted", async () => {
+  const server = await startGraphApi({
+    "GET /v21.0/container-0": () => ({ body: { status_code: "PUBLISHED" } }),
+    "GET /v21.0/user-1/media": () => ({
+      body: {
+        data: [
+          { id: "media-2", caption: "A later post", permalink: "later" },
+          {
+            id: "media-0",
+            caption: "Earlier caption",
+            permalink: "https://www.instagram.com/reel/earlier/",
+          },
+        ],
+      },
+    }),
+  });
+  try {
+    const result = await instagram.publish(settingsFor(server), job(), {
+      previous: {
+        containerId: "container-0",
+        caption: "Earlier caption",
+        publishing: true,
+      },
+    });
+    assert.deepEqual(result, {
+      containerId: "container-0",
+      mediaId: "media-0",
+      caption: "Earlier caption",
+      url: "https://www.instagram.com/reel/earlier/",
+    });
+    assert.equal(requestsTo(server, "POST", "/v21.0/user-1/media").length, 0);
+    assert.equal(
+      requestsTo(server, "POST", "/v21.0/user-1/media_publish").length,
+      0
+    );
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,72 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import {
+  discardVersions,
+  getStage,
+  getVersions,
+  markStage,
+  trackPost,
+} from "../src/ledger.js";
+
+const cwd = process.cwd();
+let dir;
+
+// The ledger is kept in the working directory.
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-test-"));
+  process.chdir(dir);
+});
+
+after(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const profile = { channel: "stories", name: "AmItheAsshole", folder: "aita" };
+
+// Tracks a post with a narrated, rendered and reviewed first part.
+const producedPost = (id, details = {}) => {
+  trackPost({ id, title: `Post ${id}` }, profile, details);
+  const audioPath = path.join(dir, `${id}.mp3`);
+  const videoPath = path.join(dir, `${id}.mp4`);
+  fs.writeFileSync(audioPath, "");
+  fs.writeFileSync(videoPath, "");
+  markStage(id, "segmented", "done", { texts: ["Part 1"] });
+  markStage(id, "audio", "done", { segmentIndex: 1, path: audioPath });
+  markStage(id, "rendered", "done", { segmentIndex: 1, path: videoPath });
+  markStage(id, "reviewed", "done", { segmentIndex: 1, decision: "approved" });
+  return { audioPath, videoPath };
+};
+
+test("discards the translations of an edited post", () => {
+  const original = producedPost("abc");
+  markStage("abc", "corrected", "done", { correctedText: "New text" });
+  const spanish = producedPost("abc:es", { language: "es", sourceId: "abc" });
+  markStage("abc:es", "translated", "done", { text: "Texto viejo" });
+  const other = producedPost("xyz:es", { language: "es", sourceId: "xyz" });
+  markStage("xyz:es", "translated", "done", { text: "Otro texto" });
+
+  assert.deepEqual(
+    getVersions("abc").map(({ id }) => id),
+    ["abc:es"]
+  );
+  discardVersions("abc");
+
+  for (const stage of ["translated", "segmented"]) {
+    assert.equal(getStage("abc:es", stage), null);
+  }
+  for (const stage of ["audio", "rendered", "reviewed"]) {
+    assert.equal(getStage("abc:es", stage, 1), null);
+  }
+  assert.ok(!fs.existsSync(spanish.audioPath));
+  assert.ok(!fs.existsSync(spanish.videoPath));
+
+  // The edited original and other posts' versions are left alone.
+  assert.equal(getStage("abc", "rendered", 1).status, "done");
+  assert.ok(fs.existsSync(original.videoPath));
+  assert.equal(getStage("xyz:es", "translated").text, "Otro texto");
+  assert.ok(fs.existsSync(other.videoPath));
+});
@@ -0,0 +1,102 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import {
+  decodeEntities,
+  escapeHtml,
+  inlineMarkdown,
+  markdownToHtml,
+} from "../src/markdown.js";
+
+test("escapes the characters that are special in HTML", () => {
+  assert.equal(
+    escapeHtml(`<a href="x">Tom & Jerry's</a>`),
+    "&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;"
+  );
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(undefined), "");
+  assert.equal(escapeHtml(5), "5");
+});
+
+test("decodes entities that name a character", () => {
+  assert.equal(decodeEntities("&lt;b&gt; &amp;amp; &QUOT;"), '<b> &amp; "');
+  assert.equal(decodeEntities("&#60;&#x3E;&#X3c;"), "<><");
+  // Zero-width spaces only keep Reddit's markdown from matching.
+  assert.equal(decodeEntities("a&#8203;b"), "ab");
+});
+
+test("leaves entities that name no character as they are", () => {
+  assert.equal(
+    decodeEntities("&bogus; &#xD800; &#x110000; &#0; &#1;"),
+    "&bogus; &#xD800; &#x110000; &#0; &#1;"
+  );
+});
+
+test("escapes markup in post text, encoded or not", () => {
+  assert.equal(
+    inlineMarkdown("<script>alert(1)</script>"),
+    "&lt;script&gt;alert(1)&lt;/script&gt;"
+  );
+  assert.equal(
+    inlineMarkdown("&lt;img src=x onerror=alert(1)&gt;"),
+    "&lt;img src=x onerror=alert(1)&gt;"
+  );
+  assert.equal(
+    inlineMarkdown(`He said "hi" & it's fine`),
+    "He said &quot;hi&quot; &amp; it&#39;s fine"
+  );
+});
+
+test("escapes the text inside formatting", () => {
+  assert.equal(
+    inlineMarkdown("**bold <i>** and *it*"),
+    "<strong>bold &lt;i&gt;</strong> and <em>it</em>"
+  );
+  assert.equal(
+    inlineMarkdown(">!spoiler <x>!<"),
+    '<span class="spoiler">spoiler &lt;x&gt;</span>'
+  );
+  assert.equal(
+    inlineMarkdown("^(up <x>) ^word"),
+    "<sup>up &lt;x&gt;</sup> <sup>word</sup>"
+  );
+});
+
+test("shows links as text, without their address", () => {
+  assert.equal(
+    inlineMarkdown('[click <b>](https://example.com/"x" "title") here'),
+    '<span class="link">click &lt;b&gt;</span> here'
+  );
+});
+
+test("leaves code spans and escaped characters unformatted", () => {
+  assert.equal(
+    inlineMarkdown("`a <b> *c*` and *d*"),
+    "<code>a &lt;b&gt; *c*</code> and <em>d</em>"
+  );
+  assert.equal(inlineMarkdown("\\*not italic\\*"), "*not italic*");
+  assert.equal(inlineMarkdown("snake_case_name"), "snake_case_name");
+});
+
+test("cannot be made to insert its own placeholders", () => {
+  assert.equal(
+    inlineMarkdown("**a** &#1;0&#2;"),
+    "<strong>a</strong> &amp;#1;0&amp;#2;"
+  );
+});
+
+test("renders each line as its own block", () => {
+  assert.equal(
+    markdownToHtml(
+      "# Title <x>\n> quote <b>\n&gt; more\n>!not a quote!<\n\n- a\n- b\n1. one\n---\nplain"
+    ),
+    [
+      '<p class="heading">Title &lt;x&gt;</p>',
+      "<blockquote><p>quote &lt;b&gt;</p><p>more</p></blockquote>",
+      '<p><span class="spoiler">not a quote</span></p>',
+      "<ul><li>a</li><li>b</li></ul>",
+      "<ol><li>one</li></ol>",
+      "<hr>",
+      "<p>plain</p>",
+    ].join("\n")
+  );
+});
@@ -0,0 +1,50 @@
+import http from "http";
+
+/**
+ * Starts an HTTP server on a free local port that answers every request
+ * with `handle(request)`, where `request` is `{ method, path, query,
+ * headers, body }` (the body as a Buffer) and the answer is `{ status,
+ * headers, body }`, a body that is not a string or Buffer being sent as
+ * JSON. Every request is kept in `requests`, in order.
+ */
+export const startMockServer = async (handle) => {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const url = new URL(req.url, "http://localhost");
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body: Buffer.concat(chunks),
+    };
+    requests.push(request);
+    let answer;
+    try {
+      answer = (await handle(request)) || {};
+    } catch (error) {
+      answer = { status: 500, body: { error: { message: error.message } } };
+    }
+    const { status = 200, headers = {}, body = {} } = answer;
+    const json = typeof body !== "string" && !Buffer.isBuffer(body);
+    res.writeHead(status, {
+      ...(json && { "Content-Type": "application/json" }),
+      ...headers,
+    });
+    res.end(json ? JSON.stringify(body) : body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+// Reads a request body sent as JSON or as a form.
+export const jsonBody = (request) => JSON.parse(request.body.toString());
+
+export const formBody = (request) =>
+  Object.fromEntries(new URLSearchParams(request.body.toString()));
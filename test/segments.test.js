@@ -0,0 +1,116 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import {
+  countWords,
+  frameSegment,
+  partLabel,
+  planSegments,
+} from "../src/segments.js";
+
+const settings = {
+  maxSeconds: 60,
+  margin: 0.1,
+  recap: "Part {part}.",
+  outro: "Follow for part {next}.",
+  partLabel: "Part {part} of {count}",
+};
+// At 2.5 words a second, 60s less the 10% margin holds 135 words; the
+// recap and outro take 6 of them from a part that has both.
+const RATE = 2.5;
+const MAX_WORDS = 135;
+
+const words = (count, prefix = "w") =>
+  Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(" ");
+
+// `count` sentences of `length` words each.
+const sentences = (count, length, prefix = "s") =>
+  Array.from(
+    { length: count },
+    (_, i) => `${words(length, `${prefix}${i}_`)}.`
+  ).join(" ");
+
+const plan = (text, overrides = {}) =>
+  planSegments(text, { ...settings, ...overrides }, RATE);
+
+// Words in each part once framed as it will be narrated.
+const framedWords = (parts) =>
+  parts.map((part, i) =>
+    countWords(frameSegment(part, i + 1, parts.length, settings))
+  );
+
+test("keeps a story that fits the limit in one part", () => {
+  const text = sentences(27, 5);
+  assert.equal(countWords(text), MAX_WORDS);
+  assert.deepEqual(plan(text), [text]);
+});
+
+test("splits a story one word over the limit into two even parts", () => {
+  const text = `${sentences(27, 5)} One.`;
+  const parts = plan(text);
+  assert.equal(parts.length, 2);
+  assert.deepEqual(parts.map(countWords), [70, 66]);
+  assert.equal(parts.join(" "), text);
+});
+
+test("keeps every framed part within the limit", () => {
+  for (const count of [136, 200, 258, 259, 270, 500]) {
+    const parts = plan(sentences(count, 1));
+    for (const framed of framedWords(parts)) {
+      assert.ok(framed <= MAX_WORDS, `${count} words: ${framed} in a part`);
+    }
+    assert.equal(countWords(parts.join(" ")), count);
+  }
+});
+
+test("uses as few parts as the limit allows", () => {
+  // 129 words of narration fit next to the recap and outro.
+  assert.equal(plan(sentences(258, 1)).length, 2);
+  assert.equal(plan(sentences(259, 1)).length, 3);
+});
+
+test("closes parts at the end of a sentence", () => {
+  const parts = plan(sentences(20, 10));
+  assert.deepEqual(parts.map(countWords), [100, 100]);
+  for (const part of parts) assert.ok(part.endsWith("."));
+});
+
+test("prefers to close a part at the end of a paragraph", () => {
+  const paragraph = (i) => sentences(4, 10, `p${i}s`);
+  const text = [paragraph(0), paragraph(1), paragraph(2), paragraph(3)].join(
+    "\n"
+  );
+  const parts = plan(text);
+  assert.deepEqual(parts.map(countWords), [80, 80]);
+  assert.equal(parts[0], `${paragraph(0)}\n\n${paragraph(1)}`);
+});
+
+test("cuts a sentence longer than a part into even chunks", () => {
+  const parts = plan(`${words(136)}.`);
+  assert.deepEqual(parts.map(countWords), [68, 68]);
+  assert.deepEqual(plan(`${words(300)}.`).map(countWords), [100, 100, 100]);
+});
+
+test("refuses a limit that leaves no room for narration", () => {
+  assert.throws(
+    () => plan(words(300), { maxSeconds: 5 }),
+    /maxSeconds of 5s leaves no room for narration/
+  );
+});
+
+test("frames parts with the recap and outro, leaving out empty templates", () => {
+  assert.equal(frameSegment("Story.", 1, 1, settings), "Story.");
+  assert.equal(
+    frameSegment("Story.", 1, 3, settings),
+    "Story.\n\nFollow for part 2."
+  );
+  assert.equal(
+    frameSegment("Story.", 2, 3, settings),
+    "Part 2.\n\nStory.\n\nFollow for part 3."
+  );
+  assert.equal(frameSegment("Story.", 3, 3, settings), "Part 3.\n\nStory.");
+  assert.equal(
+    frameSegment("Story.", 2, 3, { ...settings, recap: "", outro: "" }),
+    "Story."
+  );
+  assert.equal(partLabel(settings, 2, 3), "Part 2 of 3");
+});
@@ -0,0 +1,79 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { test } from "node:test";
+import { loadTemplate, renderTemplate } from "../src/templates.js";
+
+test("escapes variables and inserts triple-braced ones as they are", () => {
+  const view = { title: `<b>"Tom" & 'Jerry'</b>`, body: "<p>Hi</p>" };
+  assert.equal(
+    renderTemplate("<h1>{{title}}</h1>{{{body}}}", view),
+    "<h1>&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;</h1><p>Hi</p>"
+  );
+});
+
+test("walks into objects by dotted name", () => {
+  assert.equal(
+    renderTemplate("{{ post.author }}", { post: { author: "<u>me</u>" } }),
+    "&lt;u&gt;me&lt;/u&gt;"
+  );
+});
+
+test("renders missing and null values as empty, and zero as zero", () => {
+  assert.equal(
+    renderTemplate("[{{missing}}|{{none}}|{{a.b.c}}|{{zero}}]", {
+      none: null,
+      zero: 0,
+    }),
+    "[|||0]"
+  );
+});
+
+test("never reads braces in filled-in values as tags", () => {
+  assert.equal(
+    renderTemplate("{{title}} {{{raw}}}", {
+      title: "{{secret}}",
+      raw: "{{{secret}}}",
+      secret: "leaked",
+    }),
+    "{{secret}} {{{secret}}}"
+  );
+});
+
+test("repeats sections for every item of a list, with its fields in scope", () => {
+  assert.equal(
+    renderTemplate("{{#cards}}<li>{{text}} {{theme}}</li>{{/cards}}", {
+      theme: "<dark>",
+      cards: [{ text: "a<" }, { text: "b&" }],
+    }),
+    "<li>a&lt; &lt;dark&gt;</li><li>b&amp; &lt;dark&gt;</li>"
+  );
+  assert.equal(
+    renderTemplate("{{#words}}{{.}},{{/words}}", { words: ["<x>", "y"] }),
+    "&lt;x&gt;,y,"
+  );
+});
+
+test("keeps sections only when their value is set, and inverted ones only when not", () => {
+  const template = "{{#flair}}[{{flair}}]{{/flair}}{{^flair}}none{{/flair}}";
+  for (const flair of [undefined, null, false, "", []]) {
+    assert.equal(renderTemplate(template, { flair }), "none");
+  }
+  assert.equal(renderTemplate(template, { flair: "<OC>" }), "[&lt;OC&gt;]");
+});
+
+test("reports a template that does not exist", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-test-"));
+  try {
+    assert.throws(
+      () => loadTemplate(path.join(dir, "missing.html")),
+      /Template not found/
+    );
+    const templatePath = path.join(dir, "card.html");
+    fs.writeFileSync(templatePath, "{{text}}");
+    assert.equal(loadTemplate(templatePath), "{{text}}");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
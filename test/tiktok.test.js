@@ -0,0 +1,270 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { tiktok } from "../src/publishers/tiktok.js";
+import { jsonBody, startMockServer } from "./mockServer.js";
+
+let dir;
+let videoPath;
+let clients = 0;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "tiktok-test-"));
+  videoPath = path.join(dir, "video.mp4");
+  fs.writeFileSync(videoPath, Buffer.alloc(64 * 1024, 1));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Access tokens are cached per client key, so every test gets its own.
+const settingsFor = (server, overrides = {}) => ({
+  clientKey: `client-${++clients}`,
+  clientSecret: "secret",
+  refreshToken: "refresh",
+  privacyLevel: "SELF_ONLY",
+  disableComment: false,
+  disableDuet: false,
+  disableStitch: false,
+  containsSyntheticMedia: true,
+  baseURL: server.url,
+  maxRetries: 2,
+  retryDelayMs: 1,
+  pollIntervalMs: 1,
+  pollTimeoutMs: 1000,
+  ...overrides,
+});
+
+const job = (overrides = {}) => ({
+  videoPath,
+  title: "My boyfriend forgot my birthday",
+  description: "Part 1 of the story #aita #reddit",
+  hashtags: ["#aita", "#reddit"],
+  duration: 45,
+  coverMs: null,
+  ...overrides,
+});
+
+const ok = (data) => ({ body: { data, error: { code: "ok" } } });
+
+/**
+ * A Content Posting API that accepts the post and reports it live on the
+ * second status check. `routes` replaces the answer for a method and path.
+ */
+const startTiktokApi = async (routes = {}) => {
+  let statusChecks = 0;
+  const answers = {
+    "POST /v2/oauth/token/": () => ({
+      body: { access_token: "token", expires_in: 86400 },
+    }),
+    "POST /v2/post/publish/creator_info/query/": () =>
+      ok({
+        creator_username: "storyteller",
+        privacy_level_options: ["PUBLIC_TO_EVERYONE", "SELF_ONLY"],
+        max_video_post_duration_sec: 600,
+        comment_disabled: false,
+        duet_disabled: true,
+        stitch_disabled: false,
+      }),
+    "POST /v2/post/publish/video/init/": () =>
+      ok({ publish_id: "publish-1", upload_url: `${server.url}/upload` }),
+    "PUT /upload": () => ({ status: 201, body: "" }),
+    "POST /v2/post/publish/status/fetch/": () =>
+      ok(
+        ++statusChecks < 2
+          ? { status: "PROCESSING_UPLOAD" }
+          : {
+              status: "PUBLISH_COMPLETE",
+              publicaly_available_post_id: ["7300000000000000001"],
+            }
+      ),
+    ...routes,
+  };
+  const server = await startMockServer((request) => {
+    const answer = answers[`${request.method} ${request.path}`];
+    return answer ? answer(request) : { status: 404 };
+  });
+  return server;
+};
+
+const requestsTo = (server, method, pathname) =>
+  server.requests.filter(
+    (request) => request.method === method && request.path === pathname
+  );
+
+test("posts the video and waits until it is live", async () => {
+  const server = await startTiktokApi();
+  try {
+    const progress = [];
+    const result = await tiktok.publish(settingsFor(server), job(), {
+      onProgress: (data) => progress.push(data),
+    });
+    assert.deepEqual(result, {
+      publishId: "publish-1",
+      postId: "7300000000000000001",
+      caption:
+        "My boyfriend forgot my birthday\n\nPart 1 of the story #aita #reddit",
+      url: "https://www.tiktok.com/@storyteller/video/7300000000000000001",
+    });
+    assert.deepEqual(progress, [
+      { publishId: "publish-1", username: "storyteller" },
+    ]);
+
+    const [init] = requestsTo(server, "POST", "/v2/post/publish/video/init/");
+    assert.equal(init.headers.authorization, "Bearer token");
+    const { post_info: info, source_info: source } = jsonBody(init);
+    assert.equal(info.privacy_level, "SELF_ONLY");
+    assert.equal(info.disable_duet, true);
+    assert.equal(info.is_aigc, true);
+    assert.deepEqual(source, {
+      source: "FILE_UPLOAD",
+      video_size: 65536,
+      chunk_size: 65536,
+      total_chunk_count: 1,
+    });
+
+    const [upload] = requestsTo(server, "PUT", "/upload");
+    assert.equal(upload.headers["content-range"], "bytes 0-65535/65536");
+    assert.deepEqual(upload.body, fs.readFileSync(videoPath));
+  } finally {
+    await server.close();
+  }
+});
+
+const MB = 1024 * 1024;
+
+// Publishes a file of `size` bytes and returns the chunk plan it declared
+// and the Content-Range of every chunk it sent.
+const uploadOfSize = async (size) => {
+  const filePath = path.join(dir, `video-${size}.mp4`);
+  fs.writeFileSync(filePath, Buffer.alloc(size, 1));
+  const server = await startTiktokApi();
+  try {
+    await tiktok.publish(settingsFor(server), job({ videoPath: filePath }));
+    const [init] = requestsTo(server, "POST", "/v2/post/publish/video/init/");
+    const { chunk_size: chunkSize, total_chunk_count: chunkCount } =
+      jsonBody(init).source_info;
+    const ranges = requestsTo(server, "PUT", "/upload").map(
+      (request) => request.headers["content-range"]
+    );
+    return { chunkSize, chunkCount, ranges };
+  } finally {
+    await server.close();
+    fs.rmSync(filePath);
+  }
+};
+
+test("sends a file under 10 MB in one piece", async () => {
+  const size = 8 * MB;
+  assert.deepEqual(await uploadOfSize(size), {
+    chunkSize: size,
+    chunkCount: 1,
+    ranges: [`bytes 0-${size - 1}/${size}`],
+  });
+});
+
+test("sends a larger file in 10 MB chunks, the last taking the rest", async () => {
+  const size = 25 * MB;
+  assert.deepEqual(await uploadOfSize(size), {
+    chunkSize: 10 * MB,
+    chunkCount: 2,
+    ranges: [
+      `bytes 0-${10 * MB - 1}/${size}`,
+      `bytes ${10 * MB}-${size - 1}/${size}`,
+    ],
+  });
+});
+
+test("fits the caption to TikTok's length limit", async () => {
+  const server = await startTiktokApi();
+  try {
+    const { caption } = await tiktok.publish(
+      settingsFor(server),
+      job({ description: `${"word ".repeat(600)}#aita` })
+    );
+    assert.ok(caption.length <= tiktok.limits.captionLength);
+    const [init] = requestsTo(server, "POST", "/v2/post/publish/video/init/");
+    assert.equal(jsonBody(init).post_info.title, caption);
+  } finally {
+    await server.close();
+  }
+});
+
+test("retries an upload the server failed", async () => {
+  let uploads = 0;
+  const server = await startTiktokApi({
+    "PUT /upload": () =>
+      ++uploads === 1
+        ? { status: 503, body: { error: { message: "busy" } } }
+        : { status: 201, body: "" },
+  });
+  try {
+    const result = await tiktok.publish(settingsFor(server), job());
+    assert.equal(result.publishId, "publish-1");
+    assert.equal(uploads, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test("refuses a privacy level the account does not allow", async () => {
+  const server = await startTiktokApi({
+    "POST /v2/post/publish/creator_info/query/": () =>
+      ok({
+        creator_username: "storyteller",
+        privacy_level_options: ["PUBLIC_TO_EVERYONE"],
+        max_video_post_duration_sec: 600,
+      }),
+  });
+  try {
+    await assert.rejects(
+      tiktok.publish(settingsFor(server), job()),
+      /does not allow privacy level SELF_ONLY/
+    );
+    assert.equal(
+      requestsTo(server, "POST", "/v2/post/publish/video/init/").length,
+      0
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+test("reports the API's error message", async () => {
+  const server = await startTiktokApi({
+    "POST /v2/post/publish/video/init/": () => ({
+      body: {
+        error: {
+          code: "spam_risk_too_many_posts",
+          message: "Too many posts today",
+        },
+      },
+    }),
+  });
+  try {
+    await assert.rejects(
+      tiktok.publish(settingsFor(server), job()),
+      /TikTok upload failed: Too many posts today/
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+test("waits for an interrupted post instead of posting again", async () => {
+  const server = await startTiktokApi();
+  try {
+    const result = await tiktok.publish(settingsFor(server), job(), {
+      previous: { publishId: "publish-0", username: "storyteller" },
+    });
+    assert.equal(result.publishId, "publish-0");
+    assert.equal(result.postId, "7300000000000000001");
+    assert.equal(
+      requestsTo(server, "POST", "/v2/post/publish/video/init/").length,
+      0
+    );
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,239 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { youtube } from "../src/publishers/youtube.js";
+import { YoutubeQuotaError, quotaUsed } from "../src/youtube.js";
+import { formBody, jsonBody, startMockServer } from "./mockServer.js";
+
+const cwd = process.cwd();
+let dir;
+let videoPath;
+let clients = 0;
+
+// The quota ledger is kept in the working directory.
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "youtube-test-"));
+  process.chdir(dir);
+  videoPath = path.join(dir, "video.mp4");
+  fs.writeFileSync(videoPath, Buffer.alloc(64 * 1024, 1));
+});
+
+after(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// OAuth clients and quota are kept per client id, so every test gets its
+// own.
+const settingsFor = (server, overrides = {}) => ({
+  clientId: `client-${++clients}`,
+  clientSecret: "secret",
+  refreshToken: "refresh",
+  redirectUri: "http://localhost",
+  categoryId: "24",
+  privacyStatus: "public",
+  tags: ["reddit stories"],
+  defaultLanguage: "en",
+  madeForKids: false,
+  containsSyntheticMedia: true,
+  schedule: { enabled: false },
+  dailyQuota: 10000,
+  maxRetries: 2,
+  retryDelayMs: 1,
+  uploadURL: `${server.url}/upload`,
+  tokenURL: `${server.url}/token`,
+  ...overrides,
+});
+
+const job = (overrides = {}) => ({
+  videoPath,
+  title: "My boyfriend forgot my birthday",
+  description: "Part 1 of the story #aita #reddit",
+  hashtags: ["#aita", "#reddit"],
+  duration: 45,
+  localizations: null,
+  ...overrides,
+});
+
+/**
+ * The OAuth token endpoint and a resumable upload that takes the whole
+ * video in one chunk. `routes` replaces the answer for a method and path.
+ */
+const startYoutubeApi = async (routes = {}) => {
+  const answers = {
+    "POST /token": () => ({
+      body: { access_token: "access", token_type: "Bearer", expires_in: 3600 },
+    }),
+    "POST /upload": () => ({
+      headers: { Location: `${server.url}/session` },
+      body: "",
+    }),
+    "PUT /session": () => ({ body: { id: "video-1" } }),
+    ...routes,
+  };
+  const server = await startMockServer((request) => {
+    const answer = answers[`${request.method} ${request.path}`];
+    return answer ? answer(request) : { status: 404 };
+  });
+  return server;
+};
+
+const requestsTo = (server, method, pathname) =>
+  server.requests.filter(
+    (request) => request.method === method && request.path === pathname
+  );
+
+test("uploads the video through a resumable session", async () => {
+  const server = await startYoutubeApi();
+  try {
+    const settings = settingsFor(server);
+    const progress = [];
+    const result = await youtube.publish(settings, job(), {
+      onProgress: (data) => progress.push(data),
+    });
+    assert.equal(result.youtubeId, "video-1");
+    assert.equal(result.url, "https://youtu.be/video-1");
+    assert.equal(result.publishAt, null);
+    assert.deepEqual(progress, [
+      { uploadSession: `${server.url}/session`, publishAt: null },
+    ]);
+    assert.equal(quotaUsed(settings), 1600);
+
+    const [token] = requestsTo(server, "POST", "/token");
+    assert.equal(formBody(token).refresh_token, "refresh");
+
+    const [start] = requestsTo(server, "POST", "/upload");
+    assert.deepEqual(start.query, {
+      uploadType: "resumable",
+      part: "snippet,status",
+    });
+    assert.equal(start.headers.authorization, "Bearer access");
+    assert.equal(start.headers["x-upload-content-length"], "65536");
+    const { snippet, status } = jsonBody(start);
+    assert.equal(snippet.title, "My boyfriend forgot my birthday");
+    assert.deepEqual(snippet.tags, ["reddit stories", "aita", "reddit"]);
+    assert.equal(status.privacyStatus, "public");
+    assert.equal(status.containsSyntheticMedia, true);
+
+    const [upload] = requestsTo(server, "PUT", "/session");
+    assert.equal(upload.headers["content-range"], "bytes 0-65535/65536");
+    assert.deepEqual(upload.body, fs.readFileSync(videoPath));
+
+    const audit = JSON.parse(fs.readFileSync(result.auditPath, "utf8"));
+    assert.equal(audit.youtubeId, "video-1");
+    assert.deepEqual(audit.requestBody, jsonBody(start));
+  } finally {
+    await server.close();
+  }
+});
+
+test("fits the title to YouTube's limits", async () => {
+  const server = await startYoutubeApi();
+  try {
+    const { title } = await youtube.publish(
+      settingsFor(server),
+      job({ title: `<AITA> ${"for refusing to share my birthday ".repeat(5)}` })
+    );
+    assert.ok(title.length <= youtube.limits.titleLength);
+    assert.ok(!/[<>]/.test(title));
+  } finally {
+    await server.close();
+  }
+});
+
+test("continues from the last byte YouTube confirmed after a failure", async () => {
+  const server = await startYoutubeApi({
+    "PUT /session": (request) => {
+      const range = request.headers["content-range"];
+      if (range === "bytes 0-65535/65536") {
+        return { status: 503, body: { error: { message: "backend" } } };
+      }
+      if (range === "bytes */65536") {
+        return { status: 308, headers: { Range: "bytes=0-32767" }, body: "" };
+      }
+      return { body: { id: "video-1" } };
+    },
+  });
+  try {
+    const result = await youtube.publish(settingsFor(server), job());
+    assert.equal(result.youtubeId, "video-1");
+    const ranges = requestsTo(server, "PUT", "/session").map(
+      (request) => request.headers["content-range"]
+    );
+    assert.deepEqual(ranges, [
+      "bytes 0-65535/65536",
+      "bytes */65536",
+      "bytes 32768-65535/65536",
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test("asks for the video once YouTube confirmed every byte", async () => {
+  const server = await startYoutubeApi({
+    "PUT /session": (request) =>
+      request.headers["content-range"] === "bytes */65536"
+        ? { status: 201, body: { id: "video-1" } }
+        : { status: 308, headers: { Range: "bytes=0-65535" }, body: "" },
+  });
+  try {
+    const result = await youtube.publish(settingsFor(server), job());
+    assert.equal(result.youtubeId, "video-1");
+    const ranges = requestsTo(server, "PUT", "/session").map(
+      (request) => request.headers["content-range"]
+    );
+    assert.deepEqual(ranges, ["bytes 0-65535/65536", "bytes */65536"]);
+  } finally {
+    await server.close();
+  }
+});
+
+test("resumes the session of an interrupted upload", async () => {
+  const server = await startYoutubeApi({
+    "PUT /session": (request) =>
+      request.headers["content-range"] === "bytes */65536"
+        ? { status: 308, headers: { Range: "bytes=0-1023" }, body: "" }
+        : { body: { id: "video-1" } },
+  });
+  try {
+    const settings = settingsFor(server);
+    const result = await youtube.publish(settings, job(), {
+      previous: { uploadSession: `${server.url}/session`, publishAt: null },
+    });
+    assert.equal(result.youtubeId, "video-1");
+    assert.equal(requestsTo(server, "POST", "/upload").length, 0);
+    assert.equal(quotaUsed(settings), 0);
+    const [, upload] = requestsTo(server, "PUT", "/session");
+    assert.equal(upload.headers["content-range"], "bytes 1024-65535/65536");
+    assert.equal(upload.body.length, 65536 - 1024);
+  } finally {
+    await server.close();
+  }
+});
+
+test("stops at once when the quota is exceeded", async () => {
+  const server = await startYoutubeApi({
+    "POST /upload": () => ({
+      status: 403,
+      body: {
+        error: {
+          message:
+            "The request cannot be completed because you have exceeded your quota.",
+          errors: [{ reason: "quotaExceeded" }],
+        },
+      },
+    }),
+  });
+  try {
+    const settings = settingsFor(server);
+    await assert.rejects(youtube.publish(settings, job()), YoutubeQuotaError);
+    assert.equal(requestsTo(server, "POST", "/upload").length, 1);
+    // Later uploads in the same quota window fail without a request.
+    assert.equal(quotaUsed(settings), settings.dailyQuota);
+  } finally {
+    await server.close();
+  }
+});